@@ -1,112 +1,622 @@
-async function main(){
-  const els = {
-    nextDay: document.getElementById('nextDay'),
-    confidence: document.getElementById('confidence'),
-    updated: document.getElementById('updated'),
-    editorial: document.getElementById('editorial'),
-    reasons: document.getElementById('reasons'),
-    stokeMeter: document.getElementById('stokeMeter'),
-    lifts: document.getElementById('lifts'),
-    snow7: document.getElementById('snow7'),
-    base: document.getElementById('base'),
-    bcUpdated: document.getElementById('bcUpdated'),
-    bcProv: document.getElementById('bcProv'),
-    bcVI: document.getElementById('bcVI'),
-    bcBlurb: document.getElementById('bcBlurb'),
-    sources: document.getElementById('sources'),
-  };
+import {
+  DEFAULT_PROFILE,
+  decideNext,
+  decisionTrace,
+  isDefaultProfile,
+  isNightRainExcluded,
+  isRainExcluded,
+  isSkipped,
+  modelsDisagree,
+  nightRainMm,
+  normalizeProfile,
+  profileFromParams,
+  profileToParams,
+  rainTripHour,
+  sessionStoke,
+} from './scoring.js';
+import {
+  createFormatter,
+  defaultLocale,
+  DEFAULT_LOCALE,
+  fromDisplayUnits,
+  LANGS,
+  localeFromParams,
+  localeToParams,
+  normalizeLocale,
+  toDisplayUnits,
+  UNIT_SYSTEMS,
+} from './i18n.js';
 
-  let data;
+const STOKE_RANK = { good: 2, meh: 1, bad: 0 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PROFILE_KEY = 'snowboard-next.profile';
+const LOCALE_KEY = 'snowboard-next.locale';
+// Updates run a few times a day; past this the whole page gets a banner.
+const STALE_PAGE_HOURS = 24;
+
+const jsonCache = new Map();
+// Files the service worker answered from its cache because the network was down (see sw.js).
+const offlineFiles = new Set();
+
+// ?scenario=<id> reads the mock data files the dev server writes to scenarios/<id>/ (scripts/scenarios.mjs).
+function dataUrl(file){
+  const scenario = new URL(location.href).searchParams.get('scenario');
+  return scenario && /^\w+$/.test(scenario) ? `scenarios/${scenario}/${file}` : file;
+}
+
+async function loadJson(file){
+  if (jsonCache.has(file)) return jsonCache.get(file);
+  const r = await fetch(dataUrl(file), { cache: 'no-store' });
+  if (!r.ok) throw new Error(`${file}: HTTP ${r.status}`);
+  if (r.headers.get('x-served-from') === 'sw-cache') offlineFiles.add(file);
+  const j = await r.json();
+  jsonCache.set(file, j);
+  return j;
+}
+
+// Rider profile: URL params win over localStorage so shared links show the sender's rules.
+function loadProfile(){
+  let stored = {};
   try {
-    const r = await fetch('data.json', { cache: 'no-store' });
-    data = await r.json();
-  } catch (e) {
-    els.nextDay.textContent = 'Could not load data.json';
-    els.confidence.textContent = 'error';
-    els.confidence.className = 'pill bad';
+    stored = JSON.parse(localStorage.getItem(PROFILE_KEY) ?? '{}') ?? {};
+  } catch {}
+  const fromUrl = profileFromParams(new URL(location.href).searchParams);
+  return normalizeProfile({ ...DEFAULT_PROFILE, ...stored, ...fromUrl });
+}
+
+function saveProfile(profile){
+  try {
+    if (isDefaultProfile(profile)) localStorage.removeItem(PROFILE_KEY);
+    else localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch {}
+  const u = new URL(location.href);
+  profileToParams(profile, u.searchParams);
+  history.replaceState(null, '', u.toString());
+}
+
+// Language and units: URL params, then the stored choice, then the browser's language.
+function loadLocale(){
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(LOCALE_KEY) ?? '{}') ?? {};
+  } catch {}
+  const fromUrl = localeFromParams(new URL(location.href).searchParams);
+  return normalizeLocale({ ...defaultLocale(navigator.language), ...stored, ...fromUrl });
+}
+
+function saveLocale(locale){
+  try {
+    localStorage.setItem(LOCALE_KEY, JSON.stringify(locale));
+  } catch {}
+  const u = new URL(location.href);
+  localeToParams(locale, u.searchParams, DEFAULT_LOCALE);
+  history.replaceState(null, '', u.toString());
+}
+
+// Fixed page text: elements carry data-i18n (text) / data-i18n-aria-label keys; data-i18n-unit names
+// the unit shown in a settings label.
+function renderStaticText(f){
+  document.documentElement.lang = f.lang;
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    const unit = el.dataset.i18nUnit;
+    el.textContent = f.t(el.dataset.i18n, unit ? { unit: f.unitLabel(unit) } : {});
+  });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+    el.setAttribute('aria-label', f.t(el.dataset.i18nAriaLabel));
+  });
+}
+
+function renderLocaleSwitcher(els, locale, f, onChange){
+  els.langSelect.innerHTML = '';
+  Object.entries(LANGS).forEach(([id, name]) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = name;
+    opt.selected = id === locale.lang;
+    els.langSelect.appendChild(opt);
+  });
+  els.unitsSelect.innerHTML = '';
+  UNIT_SYSTEMS.forEach(id => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = f.t(`ui.units.${id}`);
+    opt.selected = id === locale.units;
+    els.unitsSelect.appendChild(opt);
+  });
+  els.langSelect.onchange = () => onChange({ lang: els.langSelect.value });
+  els.unitsSelect.onchange = () => onChange({ units: els.unitsSelect.value });
+}
+
+function hoursSince(iso){
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? null : (Date.now() - t) / 3600000;
+}
+
+function formatAge(hours, f){
+  if (hours < 1) return f.t('age.lessThanHour');
+  if (hours < 48) return Math.round(hours) === 1 ? f.t('age.hour') : f.t('age.hours', { n: Math.round(hours) });
+  return f.t('age.days', { n: Math.round(hours / 24) });
+}
+
+// Per-panel note for sources that failed on the last update and show their last good values.
+function renderStaleNote(el, sources, f){
+  const stale = sources.filter(s => s?.stale);
+  if (!stale.length) {
+    el.hidden = true;
     return;
   }
+  const oldest = stale.map(s => hoursSince(s.fetchedAt)).filter(h => h != null);
+  const age = oldest.length ? f.t('ui.dataAge', { age: formatAge(Math.max(...oldest), f) }) : f.t('ui.dataEarlier');
+  el.textContent = stale[0].error ? f.t('ui.staleNoteError', { age, error: stale[0].error }) : f.t('ui.staleNote', { age });
+  el.hidden = false;
+}
 
-  els.nextDay.textContent = data.next?.label ?? 'Unknown';
-  const conf = (data.next?.confidence ?? 'unknown').toLowerCase();
-  els.confidence.textContent = conf;
-  els.confidence.className = 'pill ' + (conf === 'good' ? 'good' : conf === 'meh' ? 'meh' : 'bad');
+function renderStaleBanner(els, data, f){
+  const age = hoursSince(data.generatedAt);
+  if (age == null || age < STALE_PAGE_HOURS) {
+    els.staleBanner.hidden = true;
+    return;
+  }
+  els.staleBanner.textContent = f.t('ui.staleBanner', { age: formatAge(age, f) });
+  els.staleBanner.hidden = false;
+}
 
-  els.updated.textContent = `Last updated: ${data.generatedAtLocal ?? data.generatedAt ?? 'unknown'}`;
+// The service worker keeps refreshing data in the background; main() reloads once we're back online.
+function renderOfflineNotice(els, data, file, f){
+  if (!offlineFiles.has(file)) {
+    els.offlineNotice.hidden = true;
+    return;
+  }
+  els.offlineNotice.textContent = f.t('ui.offline', { time: f.dateTime(data.generatedAt, data.resort?.tz) });
+  els.offlineNotice.hidden = false;
+}
 
-  if (data.editorial?.blurbHtml) {
-    els.editorial.innerHTML = data.editorial.blurbHtml;
-    els.editorial.style.display = 'block';
-  } else if (data.editorial?.blurb) {
-    els.editorial.textContent = data.editorial.blurb;
-    els.editorial.style.display = 'block';
-  } else {
-    els.editorial.style.display = 'none';
+function registerServiceWorker(){
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(() => {});
+}
+
+// Byline from editorial.md's frontmatter, plus a note when build.mjs found it out of step with the data.
+function renderEditorialMeta(els, editorial, f){
+  const by = [];
+  if (editorial?.author) by.push(f.t('ui.by', { author: editorial.author }));
+  if (editorial?.writtenAt && !Number.isNaN(Date.parse(editorial.writtenAt))) {
+    by.push(f.t('ui.written', { time: f.dateTime(editorial.writtenAt) }));
   }
+  if (editorial?.validFor) by.push(f.t('ui.for', { date: editorial.validFor }));
+  els.editorialMeta.textContent = by.length ? `— ${by.join(f.t('list.sep'))}` : '';
+  els.editorialMeta.hidden = !by.length;
+
+  if (editorial?.stale) {
+    els.editorialStale.textContent = f.t('ui.editorialStale');
+    els.editorialStale.title = (editorial.warnings ?? []).join('\n');
+  }
+  els.editorialStale.hidden = !editorial?.stale;
+}
+
+// The profile stays in mm / cm; the inputs show the rider's units. getUnits() is read on each input, so
+// switching units only needs fillSettings() again.
+function fillSettings(els, profile, units){
+  const f = els.settings;
+  f.rainCutoffHour.value = profile.rainCutoffHour;
+  f.rainToleranceMm.value = toDisplayUnits('rain', profile.rainToleranceMm, units);
+  f.minSnowCm.value = toDisplayUnits('snow', profile.minSnowCm, units);
+  f.rainToleranceMm.step = units === 'imperial' ? '0.01' : '0.5';
+  f.minSnowCm.step = units === 'imperial' ? '0.5' : '1';
+  f.weekdaysOnly.checked = profile.weekdaysOnly;
+}
+
+function renderSettings(els, profile, getUnits, onChange){
+  const f = els.settings;
+  fillSettings(els, profile, getUnits());
+
+  // Only the form's own fields; the Day/Night toggle owns `session`.
+  const read = () => ({
+    rainCutoffHour: f.rainCutoffHour.value,
+    rainToleranceMm: fromDisplayUnits('rain', f.rainToleranceMm.value, getUnits()),
+    minSnowCm: fromDisplayUnits('snow', f.minSnowCm.value, getUnits()),
+    weekdaysOnly: f.weekdaysOnly.checked,
+  });
+  f.addEventListener('input', () => onChange(read()));
+  f.addEventListener('reset', () => {
+    // The inputs have no value attributes, so the form resets them to blank: once it has, fill in the
+    // default rules and save those.
+    setTimeout(() => {
+      fillSettings(els, DEFAULT_PROFILE, getUnits());
+      onChange(read());
+    }, 0);
+  });
+}
+
+function renderSessionToggle(els, profile, onChange){
+  els.sessionToggle.querySelectorAll('button[data-session]').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.session === profile.session));
+    btn.onclick = () => onChange({ session: btn.dataset.session });
+  });
+}
+
+// Headline + reasons, re-scored with the rider's profile. Default rules reproduce data.next (or
+// data.nextNight for the night session) exactly.
+function renderVerdict(els, data, profile, f){
+  const inputs = { resort: data.resort, lifts: data.current?.lifts, snow: data.current?.snow, forecast: data.forecast, road: data.road };
+  const stored = profile.session === 'night' ? data.nextNight : data.next;
+  const next = (isDefaultProfile({ ...profile, session: DEFAULT_PROFILE.session }) && stored) || !data.forecast?.days
+    ? stored
+    : decideNext(inputs, profile, data.seasonal);
+
+  els.nextDay.textContent = next?.label ? f.message(next.label) : f.t('ui.unknownVerdict');
+  const conf = (next?.confidence ?? 'unknown').toLowerCase();
+  els.confidence.textContent = f.stoke(conf);
+  els.confidence.className = 'pill ' + (conf === 'good' ? 'good' : conf === 'meh' ? 'meh' : 'bad');
 
   els.reasons.innerHTML = '';
-  (data.next?.reasons ?? []).forEach(r => {
+  (next?.reasons ?? []).forEach(r => {
     const li = document.createElement('li');
-    li.textContent = r;
+    li.textContent = f.message(r);
     els.reasons.appendChild(li);
   });
 
-  // Stoke-o-meter: one card per day (up to 14)
+  // Data files don't store the trace; rebuild it from the same inputs when the verdict came from the file.
+  renderWhy(els, next?.trace ?? (data.forecast?.days ? decisionTrace(inputs, profile) : null), f);
+}
+
+// "Why?" panel: each forecast day with every rule it was checked against, its inputs and the outcome.
+function renderWhy(els, trace, f){
+  els.whyBody.innerHTML = '';
+  els.why.hidden = !trace;
+  if (!trace) return;
+
+  const note = (key) => {
+    const p = document.createElement('p');
+    p.className = 'muted';
+    p.textContent = f.t(key);
+    els.whyBody.appendChild(p);
+  };
+  note('why.intro');
+  if (!trace.days.length) return note('why.noDays');
+  if (!trace.days.some(d => d.chosen)) note('why.none');
+
+  trace.days.forEach((d, i) => {
+    const day = document.createElement('div');
+    day.className = 'why-day ' + (d.chosen ? 'chosen' : d.ok ? 'ok' : 'out');
+
+    const head = document.createElement('div');
+    head.className = 'why-day-head';
+    const label = document.createElement('span');
+    label.textContent = f.dayLabel(d.date, i === 0);
+    const status = document.createElement('span');
+    status.className = 'pill ' + (d.chosen ? 'good' : d.ok ? 'meh' : 'bad');
+    status.textContent = f.t(d.chosen ? 'why.chosen' : d.ok ? 'why.ok' : 'why.out');
+    head.append(label, status);
+
+    const rules = document.createElement('ul');
+    rules.className = 'why-rules';
+    d.rules.forEach(r => {
+      const li = document.createElement('li');
+      // A failed soft rule only costs confidence, so it gets a warning mark rather than a cross.
+      li.className = r.pass ? 'pass' : r.soft ? 'warn' : 'fail';
+      li.textContent = `${r.pass ? '✓' : r.soft ? '!' : '✗'} ${f.rule(r)}`;
+      rules.appendChild(li);
+    });
+
+    day.append(head, rules);
+    els.whyBody.appendChild(day);
+  });
+}
+
+function svgEl(name, attrs){
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  return el;
+}
+
+// Hourly sparkline: temperature line on top, rain (blue) and snow (white) bars along the bottom.
+function renderSparkline(hours, trip, f){
+  const W = 16, H = 60, BAR_H = 24;
+  const svg = svgEl('svg', { class: 'sparkline', viewBox: `0 0 ${hours.length * W} ${H}`, role: 'img' });
+  svg.setAttribute('aria-label', f.t('ui.sparklineAria'));
+
+  const temps = hours.map(h => h.tempC ?? 0);
+  const tMin = Math.min(...temps, 0), tMax = Math.max(...temps, 1);
+  const tY = (t) => 4 + (1 - (t - tMin) / (tMax - tMin)) * (H - BAR_H - 10);
+  const precipMax = Math.max(1, ...hours.map(h => Math.max(h.rainMm ?? 0, h.snowfallCm ?? 0)));
+
+  hours.forEach((h, i) => {
+    const x = i * W;
+    if (trip && trip.hour === h.hour) {
+      svg.appendChild(svgEl('rect', { class: 'spark-trip', x, y: 0, width: W, height: H }));
+    }
+    const rainH = ((h.rainMm ?? 0) / precipMax) * BAR_H;
+    const snowH = ((h.snowfallCm ?? 0) / precipMax) * BAR_H;
+    if (rainH > 0) svg.appendChild(svgEl('rect', { class: 'spark-rain', x: x + 2, y: H - rainH, width: W / 2 - 2, height: rainH }));
+    if (snowH > 0) svg.appendChild(svgEl('rect', { class: 'spark-snow', x: x + W / 2, y: H - snowH, width: W / 2 - 2, height: snowH }));
+  });
+
+  if (tMin < 0 && tMax > 0) {
+    svg.appendChild(svgEl('line', { class: 'spark-zero', x1: 0, x2: hours.length * W, y1: tY(0), y2: tY(0) }));
+  }
+  const points = hours.map((h, i) => `${i * W + W / 2},${tY(h.tempC ?? 0).toFixed(1)}`).join(' ');
+  svg.appendChild(svgEl('polyline', { class: 'spark-temp', points }));
+  return svg;
+}
+
+// BC snowpack trend: % of median at each commentary for the province and the two North Shore basins,
+// with the median (100%) dashed. Points sit by date, so a gap between commentaries shows as one.
+const BC_SERIES = ['provincial', 'southCoast', 'lowerFraser'];
+
+function renderBcTrend(history, f){
+  const W = 300, H = 90, PAD_X = 4, PAD_TOP = 6, PAD_BOTTOM = 14;
+  const svg = svgEl('svg', { class: 'bc-chart', viewBox: `0 0 ${W} ${H}`, role: 'img' });
+  svg.setAttribute('aria-label', f.t('ui.bcTrendAria', { from: history[0].date, to: history[history.length - 1].date }));
+
+  const values = history.flatMap(p => BC_SERIES.map(k => p[k])).filter(v => typeof v === 'number');
+  const vMin = Math.min(...values, 100) - 5, vMax = Math.max(...values, 100) + 5;
+  const y = (v) => PAD_TOP + (1 - (v - vMin) / (vMax - vMin)) * (H - PAD_TOP - PAD_BOTTOM);
+  const t0 = Date.parse(history[0].date), t1 = Date.parse(history[history.length - 1].date);
+  const x = (iso) => PAD_X + ((Date.parse(iso) - t0) / (t1 - t0)) * (W - 2 * PAD_X);
+
+  svg.appendChild(svgEl('line', { class: 'bc-median', x1: 0, x2: W, y1: y(100), y2: y(100) }));
+  for (const k of BC_SERIES) {
+    const points = history.filter(p => typeof p[k] === 'number').map(p => `${x(p.date).toFixed(1)},${y(p[k]).toFixed(1)}`);
+    if (points.length > 1) svg.appendChild(svgEl('polyline', { class: `bc-line bc-${k}`, points: points.join(' ') }));
+  }
+  const first = svgEl('text', { class: 'bc-axis', x: PAD_X, y: H - 2 });
+  first.textContent = f.date(history[0].date);
+  const last = svgEl('text', { class: 'bc-axis', x: W - PAD_X, y: H - 2, 'text-anchor': 'end' });
+  last.textContent = f.date(history[history.length - 1].date);
+  svg.append(first, last);
+  return svg;
+}
+
+// Expanded card body: sparkline + one cell per operating hour, with the rain-rule trip hour highlighted.
+function renderTimeline(d, profile, f){
+  const wrap = document.createElement('div');
+  wrap.className = 'timeline';
+  const trip = profile.session === 'night' ? null : rainTripHour(d, profile);
+
+  const note = document.createElement('p');
+  note.className = 'timeline-note';
+  if (profile.session === 'night') {
+    const mm = nightRainMm(d);
+    note.textContent = d.night
+      ? f.t('timeline.night', { window: d.night, what: mm > 0 ? { key: 'timeline.rainAmount', params: { mm } } : { key: 'timeline.dry' } })
+      : f.t('timeline.noNight');
+  } else if (trip?.preOpen) {
+    note.textContent = f.t('timeline.preOpen', { mm: trip.mm });
+  } else if (trip) {
+    note.textContent = f.t('timeline.trip', { hour: trip.hour, mm: trip.mm });
+  } else {
+    note.textContent = f.t('timeline.noTrip');
+  }
+  wrap.appendChild(note);
+  wrap.appendChild(renderSparkline(d.hours, trip, f));
+
+  const cells = document.createElement('div');
+  cells.className = 'timeline-hours';
+  d.hours.forEach(h => {
+    const cell = document.createElement('div');
+    const inNight = profile.session === 'night' && d.night && h.hour >= d.night.start && h.hour < d.night.end;
+    cell.className = 'timeline-hour' + (trip && trip.hour === h.hour ? ' trip' : '') + (inNight ? ' night' : '');
+    const parts = [`${h.hour}:00`, f.temp(h.tempC)];
+    if (h.rainMm > 0) parts.push(f.rain(h.rainMm));
+    if (h.snowfallCm > 0) parts.push(f.snow(h.snowfallCm));
+    if (h.gustKmh != null) parts.push(f.t('timeline.gust', { kmh: h.gustKmh }));
+    parts.forEach((p, i) => {
+      const span = document.createElement('span');
+      span.className = i === 0 ? 'timeline-h' : 'timeline-v';
+      span.textContent = p;
+      cell.appendChild(span);
+    });
+    cells.appendChild(cell);
+  });
+  wrap.appendChild(cells);
+  return wrap;
+}
+
+// Stoke-o-meter: one card per day (up to 14)
+function renderStoke(els, data, profile, f){
   els.stokeMeter.innerHTML = '';
   const days = data.forecast?.days ?? [];
-  days.forEach((d) => {
-    const stoke = d.stoke ?? (d.rainBefore3pm ? 'bad' : (d.snowfallCm > 0 && (d.rainMm ?? 0) < 5) || (d.rainMm ?? 0) < 2 ? 'good' : 'meh');
+  days.forEach((d, idx) => {
+    const night = profile.session === 'night';
+    const stoke = sessionStoke(d, profile);
+    const excluded = night ? isNightRainExcluded(d, profile) : isRainExcluded(d, profile);
+    const wind = night ? d.night : d;
+    const skipped = isSkipped(d, profile);
     const card = document.createElement('div');
-    card.className = 'stoke-day';
+    card.className = 'stoke-day' + (skipped ? ' skipped' : '');
     card.setAttribute('role', 'listitem');
     const label = document.createElement('span');
     label.className = 'stoke-day-label';
-    label.textContent = d.label ?? d.date;
+    // The first day is "today" as of the update that wrote the file.
+    label.textContent = f.dayLabel(d.date, idx === 0);
     const pill = document.createElement('span');
     pill.className = 'pill stoke-pill ' + stoke;
-    pill.textContent = stoke;
+    pill.textContent = f.stoke(stoke);
     card.appendChild(label);
     card.appendChild(pill);
+    if (d.surface) {
+      const surface = document.createElement('span');
+      surface.className = 'stoke-surface surface-' + d.surface;
+      surface.textContent = f.surface(d.surface);
+      const temps = [];
+      if (d.overnightLowC != null) temps.push(f.t('card.surfaceLow', { c: d.overnightLowC }));
+      if (d.maxTempC != null) temps.push(f.t('card.surfaceHigh', { c: d.maxTempC }));
+      if (d.freezingLevelM != null) temps.push(f.t('card.surfaceFreezing', { m: d.freezingLevelM }));
+      surface.title = temps.join(f.t('list.sep'));
+      card.appendChild(surface);
+    }
+    if (wind?.windRisk) {
+      const span = document.createElement('span');
+      span.className = 'stoke-wind wind-' + wind.windRisk;
+      span.textContent = wind.maxGustKmh != null
+        ? f.t('card.windGusts', { risk: wind.windRisk, gust: wind.maxGustKmh })
+        : f.t('card.wind', { risk: wind.windRisk });
+      span.title = wind.windRisk === 'high' ? f.t(night ? 'card.windHighNight' : 'card.windHighDay') : wind.windRisk === 'moderate' ? f.t('card.windModerate') : f.t('card.windLow');
+      card.appendChild(span);
+    }
     const detail = document.createElement('span');
     detail.className = 'stoke-day-detail';
     const parts = [];
-    if (d.rainBefore3pm) parts.push('rain AM');
-    if (d.snowfallCm != null && d.snowfallCm > 0) parts.push(d.snowfallCm + ' cm snow');
-    if (d.rainMm != null && d.rainMm > 0 && !d.rainBefore3pm) parts.push(d.rainMm + ' mm rain');
-    detail.textContent = parts.length ? parts.join(' · ') : 'dry';
+    if (skipped) parts.push(f.t('card.weekend'));
+    if (night && !d.night) parts.push(f.t('card.noNight'));
+    if (excluded) parts.push(f.t(night ? 'card.rainTonight' : 'card.rainAm'));
+    if (wind?.windRisk === 'high') parts.push(f.t('card.windHold'));
+    if (night && d.night) {
+      if (d.night.snowfallCm > 0) parts.push(f.t('card.snow', { cm: d.night.snowfallCm }));
+      if (nightRainMm(d) > 0 && !excluded) parts.push(f.t('card.rain', { mm: nightRainMm(d) }));
+      parts.push(f.window(d.night));
+    } else if (!night) {
+      if (d.snowfallCm != null && d.snowfallCm > 0) parts.push(f.t('card.snow', { cm: d.snowfallCm }));
+      if (d.rainMm != null && d.rainMm > 0 && !excluded) parts.push(f.t('card.rain', { mm: d.rainMm }));
+      if (modelsDisagree(d)) parts.push(f.t('card.modelsDisagree'));
+    }
+    detail.textContent = parts.length ? parts.join(' · ') : f.t('card.dry');
     card.appendChild(detail);
+
+    const models = d.consensus?.models;
+    if (models) {
+      const fmt = (m) => f.t(m.rainBefore3pm ? 'card.modelAm' : 'card.model', { cm: m.snowCm, mm: m.rainMm });
+      card.title = `Open-Meteo: ${fmt(models.openMeteo)}\nSnow-Forecast: ${fmt(models.snowForecast)}\n${f.t('card.disagreement', { n: d.consensus.disagreement })}`;
+    }
+
+    if (Array.isArray(d.hours) && d.hours.length) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'stoke-expand';
+      toggle.textContent = f.t('card.hourly');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.addEventListener('click', () => {
+        const open = card.classList.toggle('expanded');
+        toggle.setAttribute('aria-expanded', String(open));
+        const existing = card.querySelector('.timeline');
+        if (existing) existing.remove();
+        if (open) card.appendChild(renderTimeline(d, profile, f));
+      });
+      card.appendChild(toggle);
+    }
+
     els.stokeMeter.appendChild(card);
   });
+}
+
+function renderResortSwitcher(els, data){
+  const resorts = data.resorts ?? [];
+  els.resortSelect.innerHTML = '';
+  if (resorts.length < 2) {
+    els.resortSelect.style.display = 'none';
+    return;
+  }
+  resorts.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.id;
+    opt.textContent = r.name;
+    if (r.id === data.resort?.id) opt.selected = true;
+    els.resortSelect.appendChild(opt);
+  });
+  els.resortSelect.addEventListener('change', () => {
+    const u = new URL(location.href);
+    u.searchParams.set('resort', els.resortSelect.value);
+    location.href = u.toString();
+  });
+}
 
+// "Which North Shore hill is best tomorrow?" — one row per resort, best first.
+async function renderCompare(els, resorts, profile, f){
+  if (resorts.length < 2) {
+    els.compareSection.style.display = 'none';
+    return;
+  }
+
+  const rows = await Promise.all(resorts.map(async (r) => {
+    try {
+      const d = await loadJson(r.dataFile);
+      const day = d.forecast?.days?.[1] ?? null;
+      const tomorrow = day ? { ...day, stoke: sessionStoke(day, profile), rainAm: profile.session !== 'night' && isRainExcluded(day, profile) } : null;
+      return { resort: r, tomorrow, lifts: d.current?.lifts ?? null };
+    } catch {
+      return { resort: r, tomorrow: null, lifts: null };
+    }
+  }));
+
+  // Cleared after the fetches so overlapping re-renders don't stack rows.
+  els.compare.innerHTML = '';
+  rows.sort((a, b) => {
+    const sa = STOKE_RANK[a.tomorrow?.stoke] ?? -1;
+    const sb = STOKE_RANK[b.tomorrow?.stoke] ?? -1;
+    if (sa !== sb) return sb - sa;
+    const snow = (b.tomorrow?.snowfallCm ?? 0) - (a.tomorrow?.snowfallCm ?? 0);
+    if (snow !== 0) return snow;
+    return (a.tomorrow?.rainMm ?? Infinity) - (b.tomorrow?.rainMm ?? Infinity);
+  });
+
+  rows.forEach((row, idx) => {
+    const li = document.createElement('li');
+    li.className = 'compare-row' + (idx === 0 && row.tomorrow ? ' best' : '');
+    const name = document.createElement('span');
+    name.className = 'compare-name';
+    name.textContent = row.resort.name;
+    li.appendChild(name);
+
+    const pill = document.createElement('span');
+    const stoke = row.tomorrow?.stoke ?? 'bad';
+    pill.className = 'pill stoke-pill ' + stoke;
+    pill.textContent = row.tomorrow ? f.stoke(stoke) : f.t('compare.noData');
+    li.appendChild(pill);
+
+    const detail = document.createElement('span');
+    detail.className = 'compare-detail';
+    const parts = [];
+    if (row.tomorrow) {
+      if (row.tomorrow.rainAm) parts.push(f.t('card.rainAm'));
+      parts.push(f.t('card.snow', { cm: row.tomorrow.snowfallCm ?? 0 }));
+      parts.push(f.t('card.rain', { mm: row.tomorrow.rainMm ?? 0 }));
+    }
+    if (row.lifts?.open != null && row.lifts?.total != null) parts.push(f.t('compare.lifts', { open: row.lifts.open, total: row.lifts.total }));
+    detail.textContent = parts.join(' · ');
+    li.appendChild(detail);
+
+    els.compare.appendChild(li);
+  });
+}
+
+// Right now, BC and Sources panels: formatted once per locale.
+function renderPanels(els, data, f){
   if (data.current) {
     const lifts = data.current.lifts;
     if (lifts) {
-      els.lifts.textContent = `${lifts.open}/${lifts.total} open (${lifts.closed} closed)`;
+      els.lifts.textContent = f.t('ui.liftsValue', { open: lifts.open, total: lifts.total, closed: lifts.closed });
     }
     if (data.current.snow) {
-      els.snow7.textContent = data.current.snow.snow7DaysCm != null ? `${data.current.snow.snow7DaysCm} cm` : '—';
-      els.base.textContent = data.current.snow.baseDepthCm != null ? `${data.current.snow.baseDepthCm} cm` : '—';
+      els.snow7.textContent = f.snow(data.current.snow.snow7DaysCm);
+      els.base.textContent = f.snow(data.current.snow.baseDepthCm);
     }
   }
 
   // BC context panel
   const bc = data.bcSnowpack;
-  if (!bc) {
-    els.bcUpdated.textContent = '—';
-    els.bcProv.textContent = '—';
-    els.bcVI.textContent = '—';
-    els.bcBlurb.textContent = '';
-  } else if (bc.error) {
-    els.bcUpdated.textContent = `Could not load BC commentary (${bc.error})`;
-    els.bcProv.textContent = '—';
-    els.bcVI.textContent = '—';
+  const bcPct = (v) => (v != null ? f.t('ui.pctMedian', { pct: v }) : '—');
+  const bcRows = [[els.bcProv, 'provincialPctMedian'], [els.bcSC, 'southCoastPctMedian'], [els.bcLF, 'lowerFraserPctMedian'], [els.bcVI, 'vancouverIslandPctMedian']];
+  const usable = bc && !(bc.error && !bc.stale);
+  if (!usable) {
+    els.bcUpdated.textContent = bc ? f.t('ui.bcError', { error: bc.error }) : '—';
+    bcRows.forEach(([el]) => { el.textContent = '—'; });
     els.bcBlurb.textContent = '';
   } else {
-    els.bcUpdated.textContent = `Last updated: ${bc.updatedOn ?? 'unknown'}`;
-    els.bcProv.textContent = bc.provincialPctMedian != null ? `${bc.provincialPctMedian}% of median` : '—';
-    els.bcVI.textContent = bc.vancouverIslandPctMedian != null ? `${bc.vancouverIslandPctMedian}% of median` : '—';
+    els.bcUpdated.textContent = f.t('ui.lastUpdated', { time: f.longDate(bc.updatedOn) });
+    bcRows.forEach(([el, k]) => { el.textContent = bcPct(bc[k]); });
     els.bcBlurb.textContent = bc.blurb ?? '';
   }
+  const basins = usable ? bc.basins ?? [] : [];
+  els.bcBasins.textContent = basins.length
+    ? f.t('ui.bcBasins', { basins: basins.map(b => ({ key: 'ui.basinPct', params: { name: b.name, pct: b.pctMedian } })) })
+    : '';
+  const history = usable ? bc.history ?? [] : [];
+  els.bcTrendChart.innerHTML = '';
+  els.bcTrend.hidden = history.length < 2;
+  if (history.length >= 2) els.bcTrendChart.appendChild(renderBcTrend(history, f));
+
+  renderRoad(els, data.road, data.resort?.tz, f);
 
   els.sources.innerHTML = '';
   (data.sources ?? []).forEach(s => {
@@ -121,4 +631,179 @@ async function main(){
   });
 }
 
+// "Getting there": DriveBC events on the access road, for resorts that have one in the registry.
+function renderRoad(els, road, tz, f){
+  els.roadCard.hidden = !road;
+  if (!road) return;
+  els.roadSource.textContent = f.t('road.source', { road: road.name });
+  els.roadEvents.innerHTML = '';
+  if (road.error && !road.stale) {
+    els.roadStatus.textContent = '—';
+    // A closure from the last render shouldn't stay red on the dash.
+    els.roadStatus.className = 'v';
+    els.roadTires.textContent = '—';
+    els.roadSource.textContent = f.t('road.error', { error: road.error });
+    return;
+  }
+
+  els.roadStatus.textContent = f.t(road.closed ? 'road.closed' : 'road.open');
+  els.roadStatus.className = 'v' + (road.closed ? ' road-closed' : '');
+  const req = road.requirement;
+  els.roadTires.textContent = !req
+    ? f.t('road.noRequirement')
+    : f.t(req.level === 'chains' ? 'road.chains' : req.source === 'season' ? 'road.winterTiresSeason' : 'road.winterTires');
+
+  if (!road.events?.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = f.t('road.noEvents');
+    els.roadEvents.appendChild(li);
+    return;
+  }
+  road.events.forEach(e => {
+    const li = document.createElement('li');
+    if (e.closed) li.className = 'closed';
+    const type = document.createElement('strong');
+    type.textContent = e.type ? f.t(`roadEvent.${e.type}`) : '—';
+    // DriveBC writes the descriptions; they stay in English.
+    li.append(type, ` — ${e.description}`);
+    if (e.updated) {
+      const when = document.createElement('span');
+      when.className = 'muted';
+      when.textContent = ` (${f.t('road.eventUpdated', { time: f.dateTime(e.updated, tz) })})`;
+      li.appendChild(when);
+    }
+    els.roadEvents.appendChild(li);
+  });
+}
+
+async function main(){
+  const els = {
+    resortSelect: document.getElementById('resortSelect'),
+    langSelect: document.getElementById('langSelect'),
+    unitsSelect: document.getElementById('unitsSelect'),
+    resortName: document.getElementById('resortName'),
+    compareSection: document.getElementById('compareSection'),
+    compare: document.getElementById('compare'),
+    settings: document.getElementById('settings'),
+    sessionToggle: document.getElementById('sessionToggle'),
+    nextDay: document.getElementById('nextDay'),
+    confidence: document.getElementById('confidence'),
+    updated: document.getElementById('updated'),
+    editorial: document.getElementById('editorial'),
+    editorialMeta: document.getElementById('editorialMeta'),
+    editorialStale: document.getElementById('editorialStale'),
+    reasons: document.getElementById('reasons'),
+    why: document.getElementById('why'),
+    whyBody: document.getElementById('whyBody'),
+    stokeMeter: document.getElementById('stokeMeter'),
+    lifts: document.getElementById('lifts'),
+    snow7: document.getElementById('snow7'),
+    base: document.getElementById('base'),
+    bcUpdated: document.getElementById('bcUpdated'),
+    bcProv: document.getElementById('bcProv'),
+    bcSC: document.getElementById('bcSC'),
+    bcLF: document.getElementById('bcLF'),
+    bcVI: document.getElementById('bcVI'),
+    bcTrend: document.getElementById('bcTrend'),
+    bcTrendChart: document.getElementById('bcTrendChart'),
+    bcBasins: document.getElementById('bcBasins'),
+    bcBlurb: document.getElementById('bcBlurb'),
+    sources: document.getElementById('sources'),
+    calendarLink: document.getElementById('calendarLink'),
+    staleBanner: document.getElementById('staleBanner'),
+    offlineNotice: document.getElementById('offlineNotice'),
+    currentStale: document.getElementById('currentStale'),
+    forecastStale: document.getElementById('forecastStale'),
+    bcStale: document.getElementById('bcStale'),
+    roadCard: document.getElementById('roadCard'),
+    roadSource: document.getElementById('roadSource'),
+    roadStale: document.getElementById('roadStale'),
+    roadStatus: document.getElementById('roadStatus'),
+    roadTires: document.getElementById('roadTires'),
+    roadEvents: document.getElementById('roadEvents'),
+  };
+
+  let locale = loadLocale();
+  let f = createFormatter(locale);
+  renderStaticText(f);
+
+  // data.json is the default resort and carries the resort index; ?resort=<id> picks another.
+  let data;
+  let dataFile = 'data.json';
+  try {
+    data = await loadJson(dataFile);
+    const wanted = new URL(location.href).searchParams.get('resort');
+    const entry = (data.resorts ?? []).find(r => r.id === wanted);
+    if (entry && entry.dataFile !== 'data.json') {
+      dataFile = entry.dataFile;
+      data = await loadJson(dataFile);
+    }
+  } catch (e) {
+    els.nextDay.textContent = f.t('ui.couldNotLoad');
+    els.confidence.textContent = f.t('ui.error');
+    els.confidence.className = 'pill bad';
+    return;
+  }
+
+  const resortName = data.resort?.name ?? 'Cypress Mountain';
+  els.resortName.textContent = resortName;
+  renderResortSwitcher(els, data);
+  // build.mjs writes one feed per data file: good-days.ics for data.json, good-days-<id>.ics for the rest.
+  const entry = (data.resorts ?? []).find(r => r.id === data.resort?.id);
+  if (entry && entry.dataFile !== 'data.json') els.calendarLink.href = `good-days-${entry.id}.ics`;
+
+  if (offlineFiles.has(dataFile)) window.addEventListener('online', () => location.reload(), { once: true });
+
+  if (data.editorial?.blurbHtml) {
+    els.editorial.innerHTML = data.editorial.blurbHtml;
+    els.editorial.style.display = 'block';
+  } else if (data.editorial?.blurb) {
+    els.editorial.textContent = data.editorial.blurb;
+    els.editorial.style.display = 'block';
+  } else {
+    els.editorial.style.display = 'none';
+  }
+
+  // Settings and the Day/Night toggle each change part of the profile; re-render everything that scores.
+  let profile = loadProfile();
+  const update = (patch) => {
+    profile = normalizeProfile({ ...profile, ...patch });
+    saveProfile(profile);
+    render();
+  };
+  const render = () => {
+    renderSessionToggle(els, profile, update);
+    renderVerdict(els, data, profile, f);
+    renderStoke(els, data, profile, f);
+    renderCompare(els, data.resorts ?? [], profile, f);
+  };
+  // Everything with words or units in it, for the current locale.
+  const renderText = () => {
+    renderStaticText(f);
+    document.title = f.t('ui.docTitle', { resort: data.resort?.shortName ?? 'Cypress' });
+    els.updated.textContent = f.t('ui.lastUpdated', { time: f.dateTime(data.generatedAt, data.resort?.tz) });
+    renderOfflineNotice(els, data, dataFile, f);
+    renderStaleBanner(els, data, f);
+    renderStaleNote(els.currentStale, [data.current?.lifts, data.current?.snow], f);
+    renderStaleNote(els.forecastStale, [data.forecast], f);
+    renderStaleNote(els.bcStale, [data.bcSnowpack], f);
+    renderStaleNote(els.roadStale, [data.road], f);
+    renderEditorialMeta(els, data.editorial, f);
+    renderPanels(els, data, f);
+    fillSettings(els, profile, locale.units);
+    renderLocaleSwitcher(els, locale, f, changeLocale);
+    render();
+  };
+  const changeLocale = (patch) => {
+    locale = normalizeLocale({ ...locale, ...patch });
+    f = createFormatter(locale);
+    saveLocale(locale);
+    renderText();
+  };
+  renderSettings(els, profile, () => locale.units, update);
+  renderText();
+}
+
+registerServiceWorker();
 main();
@@ -0,0 +1,658 @@
+/*
+  Locale and units layer shared by app.js (the page) and the build scripts (prerender, share image,
+  calendar feed, alerts).
+
+  data.json holds raw numbers (cm, mm, °C, km/h, m), ISO dates and timestamps, and messages instead of
+  sentences: { key, params }, e.g. { key: 'reason.snow7', params: { cm: 11 } }. createFormatter() turns
+  those into text for a language (en, fr) and a unit system (metric, imperial).
+
+  Templates name their params as {name} or {name:type}. Types:
+    snow, rain, temp, speed, elevation  a raw metric value, converted and given its unit
+    pct                                 a percentage
+    date, longDate                      an ISO date ("Thu, Feb 5" / "February 15, 2026")
+    hour, window                        an hour 0–24 / a { start, end } window ("3pm", "4pm–10pm")
+    surface, risk, stoke                an enum value, translated
+    yesno                               a boolean, as "yes" / "no"
+    msg, list                           a nested message / an array of messages
+  Plain {name} prints strings as-is and numbers in the locale's format.
+*/
+
+export const LANGS = { en: 'English', fr: 'Français' };
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+export const DEFAULT_LOCALE = { lang: 'en', units: 'metric' };
+
+const INTL_LOCALES = { en: 'en-CA', fr: 'fr-CA' };
+
+// URL query keys, as for the rider profile in scoring.js.
+const PARAM_KEYS = { lang: 'lang', units: 'units' };
+
+export function msg(key, params) {
+  return params ? { key, params } : { key };
+}
+
+export const MESSAGES = {
+  en: {
+    text: '{text}',
+    'list.sep': ', ',
+    'value.unknown': 'unknown',
+    'value.unknownDate': 'unknown date',
+    'value.yes': 'yes',
+    'value.no': 'no',
+
+    'unit.cm': '{n} cm', 'unit.mm': '{n} mm', 'unit.in': '{n} in',
+    'unit.degC': '{n}°C', 'unit.degF': '{n}°F',
+    'unit.kmh': '{n} km/h', 'unit.mph': '{n} mph',
+    'unit.m': '{n} m', 'unit.ft': '{n} ft',
+    'unit.pct': '{n}%',
+    'unit.cmShort': 'cm', 'unit.mmShort': 'mm', 'unit.inShort': 'in',
+
+    'hour.midnight': 'midnight', 'hour.noon': 'noon', 'hour.am': '{h}am', 'hour.pm': '{h}pm',
+    'day.today': '{date:date} (today)',
+
+    'surface.powder': 'fresh powder', 'surface.packed': 'packed', 'surface.corn': 'spring corn',
+    'surface.slush': 'slush', 'surface.ice': 'refrozen ice',
+    'risk.low': 'low', 'risk.moderate': 'moderate', 'risk.high': 'high',
+    'stoke.good': 'good', 'stoke.meh': 'meh', 'stoke.bad': 'bad', 'stoke.unknown': 'unknown',
+
+    // Verdicts (scoring.js decideNext, update.mjs seasonalGuess)
+    'verdict.today': 'Next good day: Today (no {rule:msg}) — go when you can',
+    'verdict.day': 'Next good day: {date:date}',
+    'verdict.none': 'No good day in the forecast window',
+    'verdict.tonight': 'Next good night: Tonight (dry {window:window}) — go after work',
+    'verdict.night': 'Next good night: {date:date}',
+    'verdict.noneNight': 'No good night in the forecast window',
+    'verdict.nextSeason': 'Next season (aim for {target:msg}) — check again in fall',
+    'verdict.likely': 'Likely {target:msg} (watch for first storms)',
+    'verdict.prime': 'This week / next week (prime season) — watch for fresh snow + cold nights',
+    'verdict.spring': 'Next 1–2 weeks (spring variable) — prioritize cold nights + fresh snow',
+    'target.lateNovMaybeEarly': 'late Nov (maybe early)',
+    'target.midLateDec': 'mid/late Dec',
+    'target.lateNovDec': 'late Nov / Dec',
+    'target.midLateNov': 'mid/late Nov',
+    'target.earlyMidDec': 'early/mid Dec',
+    'target.lateNovEarlyDec': 'late Nov / early Dec',
+    'target.weekOf': 'the week of {date:date}, {pct:pct} chance',
+    'verdict.climateNow': 'This week: {pct:pct} chance of rideable conditions in a typical season — watch for fresh snow + cold nights',
+    'verdict.climateWeek': 'Likely rideable from the week of {date:date} ({pct:pct} chance)',
+    'verdict.climateLow': 'Low odds of rideable conditions over the next {n} weeks — watch for a storm cycle',
+
+    'rule.rainBefore': 'rain before {hour:hour}',
+    'rule.rainOver': 'more than {mm:rain} rain before {hour:hour}',
+    'when.today': 'today',
+    'when.tonight': 'tonight',
+    'when.on': 'on {date:date}',
+    'when.onEvening': 'on {date:date} evening',
+
+    'reason.lifts': '{resort} lift status: {open}/{total} open.',
+    'reason.snow7': 'Snow (7 days): {cm:snow}.',
+    'reason.base': 'Base depth: {cm:snow}.',
+    'reason.excludedToday': 'Excluded today: forecast shows {rule:msg}.',
+    'reason.windExcludedToday': 'Excluded today: high wind-hold risk (gusts to {gust:speed}).',
+    'reason.roadClosedToday': 'Excluded today: DriveBC reports {road} closed.',
+    'reason.roadClosedStale': 'DriveBC last reported {road} closed, but it couldn\'t be reached since: the closure may be over (lower confidence).',
+    'reason.skippedToday': 'Skipped today: weekdays only.',
+    'reason.modelsDisagreeToday': 'Forecast models disagree about rain before 3pm today.',
+    'reason.surface': 'Surface {when:msg}: {surface:surface}.',
+    'reason.surfaceDetail': 'Surface {when:msg}: {surface:surface} ({details:list}).',
+    'detail.overnightLow': 'overnight low {c:temp}',
+    'detail.high': 'high {c:temp}',
+    'detail.freezingLevel': 'freezing level {m:elevation}',
+    'reason.windRisk': 'Wind-hold risk {when:msg}: {risk:risk} (gusts to {gust:speed}).',
+    'reason.noRainBefore': 'No forecast rain before {hour:hour} on {date:date}.',
+    'reason.rainWithinTolerance': '~{mm:rain} rain before {hour:hour} on {date:date} (within your {tol:rain} tolerance).',
+    'reason.forecastSnow': 'Forecast snowfall: ~{cm:snow} (low confidence).',
+    'reason.forecastRainAfter': 'Forecast total rain: ~{mm:rain} (but after {hour:hour}, per rule).',
+    'reason.modelsDisagreeOn': 'Forecast models disagree about rain before 3pm on {date:date} (lower confidence).',
+    'reason.noneFound': 'Also: no acceptable (no {rule:msg}) day found in the next {n} days.',
+    'reason.noNightToday': 'No night session today.',
+    'reason.excludedTonight': 'Excluded tonight: forecast shows {mm:rain} rain {window:window}.',
+    'reason.windExcludedTonight': 'Excluded tonight: high wind-hold risk (gusts to {gust:speed}).',
+    'reason.roadClosedTonight': 'Excluded tonight: DriveBC reports {road} closed.',
+    'reason.skippedTonight': 'Skipped tonight: weekdays only.',
+    'reason.noNightRain': 'No forecast rain {window:window} on {date:date}.',
+    'reason.nightRainWithinTolerance': '~{mm:rain} rain {window:window} on {date:date} (within your {tol:rain} tolerance).',
+    'reason.noNightFound': 'Also: no dry night session found in the next {n} days.',
+    'reason.outOfSeason': 'Out of typical {resort} snow season ({start} to {end}).',
+    'reason.historicalFirst': 'Historical pattern: first reliably rideable windows tend to show up late Nov–Dec.',
+    'reason.bcCoast': 'BC ASWS South Coast / Lower Fraser avg: {pct:pct} of median ({updated:longDate}).',
+    'reason.bcVanIsle': 'BC ASWS Vancouver Island avg: {pct:pct} of median ({updated:longDate}).',
+    'reason.bcProvincial': 'BC ASWS provincial avg: {pct:pct} of median ({updated:longDate}).',
+    'reason.earlySeason': 'Early season: openings depend on first significant snow + sustained cold.',
+    'reason.primeSeason': 'Jan/Feb is historically the most reliable window for Cypress.',
+    'reason.springVolatile': 'Spring conditions are volatile; base can be fine but rain/warmth ruins it fast.',
+    'reason.climatology': 'Climatology: {seasons} seasons of Open-Meteo archive data ({from}–{to}); a week counts as rideable with a modelled base of {base:snow} on most of its days.',
+    'reason.weekOdds': 'Chance of rideable conditions by week: {weeks:list}.',
+    'odds.week': '{date:date} ({pct:pct})',
+    'reason.snowpackUp': 'Snowpack at {pct:pct} of median: odds raised from the climatology.',
+    'reason.snowpackDown': 'Snowpack at {pct:pct} of median: odds lowered from the climatology.',
+    'reason.snowpackOld': 'The BC snowpack numbers are from {updated:longDate}, too old to adjust the odds.',
+
+    // Page (index.html data-i18n, app.js)
+    'ui.title': 'When can I snowboard next?',
+    'ui.docTitle': 'When can I snowboard next? ({resort})',
+    'ui.subtitle': '(best-effort guess from lift status + snow totals + forecast)',
+    'ui.resort': 'Resort',
+    'ui.editorial': 'Editorial',
+    'ui.language': 'Language',
+    'ui.units': 'Units',
+    'ui.units.metric': 'Metric (cm, °C)',
+    'ui.units.imperial': 'Imperial (in, °F)',
+    'ui.loading': 'Loading…',
+    'ui.session': 'Session',
+    'ui.day': 'Day',
+    'ui.night': 'Night',
+    'ui.yourRules': 'Your rules',
+    'ui.rainCutoffHour': 'Rain cutoff hour',
+    'ui.rainTolerance': 'Rain tolerance ({unit})',
+    'ui.minSnow': 'Min 7-day snow ({unit})',
+    'ui.weekdaysOnly': 'Weekdays only',
+    'ui.resetDefaults': 'Reset to defaults',
+    'ui.savedNote': 'Saved in this browser and in the page URL, so you can share it.',
+    'ui.why': 'Why?',
+    'ui.stokeTitle': 'Stoke-o-meter',
+    'ui.next14': '(next 14 days)',
+    'ui.stokeAria': 'Stoke level for each day',
+    'ui.compareTitle': 'Which North Shore hill is best tomorrow?',
+    'ui.rightNow': 'Right now (from mountain report)',
+    'ui.lifts': 'Lifts',
+    'ui.snow7': 'Snow 7 days',
+    'ui.baseDepth': 'Base depth',
+    'ui.bcTitle': 'BC snowpack context (River Forecast Centre)',
+    'ui.provincialAvg': 'Provincial avg',
+    'ui.southCoast': 'South Coast',
+    'ui.lowerFraser': 'Lower Fraser',
+    'ui.vancouverIsland': 'Vancouver Island',
+    'ui.bcBasins': 'All basins: {basins:list}.',
+    'ui.basinPct': '{name} {pct:pct}',
+    'ui.bcTrendAria': 'Snowpack as a share of median at each BC commentary, {from:date} to {to:date}',
+    'ui.gettingThere': 'Getting there',
+    'ui.road': 'Road',
+    'ui.tires': 'Tires',
+    'ui.sources': 'Sources',
+    'ui.disclaimer': 'This is a heuristic. Always sanity-check before driving up. If this says “next season,” it’s using rough historical seasonality.',
+    'ui.historyLink': 'How have past calls held up?',
+    'ui.calendarLink': 'Subscribe to good days in your calendar (.ics)',
+    'ui.couldNotLoad': 'Could not load data.json',
+    'ui.error': 'error',
+    'ui.unknownVerdict': 'Unknown',
+    'ui.widgetDay': '{date}: {stoke}',
+    'ui.lastUpdated': 'Last updated: {time}',
+    'ui.offline': 'Offline — showing data from {time}.',
+    'ui.staleBanner': 'Heads up: this page was last updated {age} ago, so the forecast may have moved on.',
+    'ui.dataAge': 'Data is {age} old',
+    'ui.dataEarlier': 'Data is from an earlier update',
+    'ui.staleNote': '{age} — the last update couldn\'t refresh it.',
+    'ui.staleNoteError': '{age} — the last update couldn\'t refresh it ({error}).',
+    'ui.by': 'by {author}',
+    'ui.written': 'written {time}',
+    'ui.for': 'for {date:longDate}',
+    'ui.editorialStale': 'This write-up was written for older data, so some of its numbers may not match the rest of the page.',
+    'ui.liftsValue': '{open}/{total} open ({closed} closed)',
+    'ui.bcError': 'Could not load BC commentary ({error})',
+    'ui.pctMedian': '{pct:pct} of median',
+    'ui.sparklineAria': 'Hourly temperature, rain and snow',
+    'age.lessThanHour': 'less than an hour',
+    'age.hour': '1 hour',
+    'age.hours': '{n} hours',
+    'age.days': '{n} days',
+
+    'timeline.night': 'Night {window:window}: {what:msg}.',
+    'timeline.rainAmount': '{mm:rain} of rain',
+    'timeline.dry': 'dry',
+    'timeline.noNight': 'No night session this day.',
+    'timeline.preOpen': 'Excluded by {mm:rain} of rain before the lifts open.',
+    'timeline.trip': 'Excluded at {hour}:00 — {mm:rain} of rain by then.',
+    'timeline.noTrip': 'No rain-rule trip this day.',
+    'timeline.gust': 'gust {kmh:speed}',
+
+    'card.wind': 'wind: {risk:risk}',
+    'card.windGusts': 'wind: {risk:risk} (gusts {gust:speed})',
+    'card.windHighDay': 'Likely lift wind holds — day excluded',
+    'card.windHighNight': 'Likely lift wind holds — night excluded',
+    'card.windModerate': 'Some chairs may go on wind hold',
+    'card.windLow': 'Wind unlikely to affect lifts',
+    'card.surfaceLow': 'low {c:temp} overnight',
+    'card.surfaceHigh': 'high {c:temp}',
+    'card.surfaceFreezing': 'freezing level {m:elevation}',
+    'card.weekend': 'weekend',
+    'card.noNight': 'no night session',
+    'card.rainTonight': 'rain tonight',
+    'card.rainAm': 'rain AM',
+    'card.windHold': 'wind hold',
+    'card.snow': '{cm:snow} snow',
+    'card.rain': '{mm:rain} rain',
+    'card.modelsDisagree': 'models disagree',
+    'card.dry': 'dry',
+    'card.model': '{cm:snow} snow, {mm:rain} rain',
+    'card.modelAm': '{cm:snow} snow, {mm:rain} rain (AM rain)',
+    'card.disagreement': 'Disagreement: {n}',
+    'card.hourly': 'Hourly',
+    'compare.noData': 'no data',
+    'compare.lifts': 'lifts {open}/{total} now',
+
+    'road.source': '{road} · DriveBC events',
+    'road.open': 'Open',
+    'road.closed': 'Closed',
+    'road.chains': 'Chains required',
+    'road.winterTires': 'Winter tires required',
+    'road.winterTiresSeason': 'Winter tires required (by law this time of year)',
+    'road.noRequirement': 'No requirement posted',
+    'road.noEvents': 'No active DriveBC events on this road.',
+    'road.eventUpdated': 'updated {time}',
+    'road.error': 'Could not load DriveBC events ({error})',
+    'roadEvent.INCIDENT': 'Incident',
+    'roadEvent.CONSTRUCTION': 'Construction',
+    'roadEvent.SPECIAL_EVENT': 'Special event',
+    'roadEvent.WEATHER_CONDITION': 'Weather',
+    'roadEvent.ROAD_CONDITION': 'Road conditions',
+
+    'why.intro': 'Each forecast day and the rules it was checked against. Soft rules only lower confidence.',
+    'why.chosen': 'picked',
+    'why.ok': 'also OK',
+    'why.out': 'ruled out',
+    'why.none': 'No day passed every rule, so the verdict falls back to the season guess.',
+    'why.noDays': 'No forecast days to check.',
+    'trace.rain': 'Rain before {hour:hour}: {mm:rain} (allowed: {maxMm:rain})',
+    'trace.nightRain': 'Rain {window:window}: {mm:rain} (allowed: {maxMm:rain})',
+    'trace.nightSession': 'Night session: {window:window}',
+    'trace.wind': 'Wind-hold risk: {risk:risk}, gusts {gust:speed} (high rules it out)',
+    'trace.weekday': 'Weekend: {weekend:yesno} (weekdays only: {weekdaysOnly:yesno})',
+    'trace.lifts': 'Lifts open: {open}/{total} (needs {minPct:pct})',
+    'trace.road': '{road} closed (DriveBC): {closed:yesno}',
+    'trace.roadStale': 'Earlier {road} closure confirmed by DriveBC this update: {confirmed:yesno} (an unconfirmed one lowers confidence)',
+    'trace.snow': 'Snow: {snow7:snow} in 7 days (needs {minSnow:snow}) or a {base:snow} base (needs {minBase:snow})',
+    'trace.modelsAgree': 'Forecast models agree on morning rain: {agree:yesno}',
+    'trace.surface': 'Surface: {surface:surface} (slush or ice lowers confidence)',
+    'trace.windCalm': 'Calm enough for full confidence: {calm:yesno} (a moderate wind-hold risk lowers it)',
+  },
+
+  fr: {
+    text: '{text}',
+    'list.sep': ', ',
+    'value.unknown': 'inconnu',
+    'value.unknownDate': 'date inconnue',
+    'value.yes': 'oui',
+    'value.no': 'non',
+
+    'unit.cm': '{n} cm', 'unit.mm': '{n} mm', 'unit.in': '{n} po',
+    'unit.degC': '{n} °C', 'unit.degF': '{n} °F',
+    'unit.kmh': '{n} km/h', 'unit.mph': '{n} mi/h',
+    'unit.m': '{n} m', 'unit.ft': '{n} pi',
+    'unit.pct': '{n} %',
+    'unit.cmShort': 'cm', 'unit.mmShort': 'mm', 'unit.inShort': 'po',
+
+    'hour.midnight': 'minuit', 'hour.noon': 'midi', 'hour.am': '{h} h', 'hour.pm': '{h} h',
+    'day.today': 'Aujourd’hui ({date:date})',
+
+    'surface.powder': 'poudreuse fraîche', 'surface.packed': 'damée', 'surface.corn': 'neige de printemps',
+    'surface.slush': 'neige fondante', 'surface.ice': 'neige regelée',
+    'risk.low': 'faible', 'risk.moderate': 'modéré', 'risk.high': 'élevé',
+    'stoke.good': 'bon', 'stoke.meh': 'bof', 'stoke.bad': 'mauvais', 'stoke.unknown': 'inconnu',
+
+    'verdict.today': 'Prochaine bonne journée : aujourd’hui (sans {rule:msg}) — vas-y dès que tu peux',
+    'verdict.day': 'Prochaine bonne journée : {date:date}',
+    'verdict.none': 'Aucune bonne journée dans la période de prévision',
+    'verdict.tonight': 'Prochaine bonne soirée : ce soir (sec {window:window}) — vas-y après le travail',
+    'verdict.night': 'Prochaine bonne soirée : {date:date}',
+    'verdict.noneNight': 'Aucune bonne soirée dans la période de prévision',
+    'verdict.nextSeason': 'La saison prochaine (vise {target:msg}) — reviens à l’automne',
+    'verdict.likely': 'Probablement {target:msg} (surveille les premières tempêtes)',
+    'verdict.prime': 'Cette semaine ou la suivante (haute saison) — surveille la neige fraîche et les nuits froides',
+    'verdict.spring': 'D’ici 1 à 2 semaines (printemps variable) — privilégie les nuits froides et la neige fraîche',
+    'target.lateNovMaybeEarly': 'fin novembre (peut-être plus tôt)',
+    'target.midLateDec': 'mi-/fin décembre',
+    'target.lateNovDec': 'fin novembre / décembre',
+    'target.midLateNov': 'mi-/fin novembre',
+    'target.earlyMidDec': 'début/mi-décembre',
+    'target.lateNovEarlyDec': 'fin novembre / début décembre',
+    'target.weekOf': 'la semaine du {date:date}, {pct:pct} de chances',
+    'verdict.climateNow': 'Cette semaine : {pct:pct} de chances de conditions praticables lors d’une saison typique — surveille la neige fraîche et les nuits froides',
+    'verdict.climateWeek': 'Probablement praticable à partir de la semaine du {date:date} ({pct:pct} de chances)',
+    'verdict.climateLow': 'Peu de chances de conditions praticables d’ici {n} semaines — surveille les séries de tempêtes',
+
+    'rule.rainBefore': 'pluie avant {hour:hour}',
+    'rule.rainOver': 'plus de {mm:rain} de pluie avant {hour:hour}',
+    'when.today': 'aujourd’hui',
+    'when.tonight': 'ce soir',
+    'when.on': 'le {date:date}',
+    'when.onEvening': 'le {date:date} en soirée',
+
+    'reason.lifts': 'Remontées à {resort} : {open}/{total} ouvertes.',
+    'reason.snow7': 'Neige (7 jours) : {cm:snow}.',
+    'reason.base': 'Base : {cm:snow}.',
+    'reason.excludedToday': 'Exclu aujourd’hui : {rule:msg} prévue.',
+    'reason.windExcludedToday': 'Exclu aujourd’hui : risque élevé d’arrêt pour le vent (rafales jusqu’à {gust:speed}).',
+    'reason.roadClosedToday': 'Exclu aujourd’hui : DriveBC signale la fermeture de {road}.',
+    'reason.roadClosedStale': 'DriveBC signalait la fermeture de {road}, mais n’a pas pu être joint depuis : elle est peut-être levée (confiance moindre).',
+    'reason.skippedToday': 'Ignoré aujourd’hui : jours de semaine seulement.',
+    'reason.modelsDisagreeToday': 'Les modèles ne s’entendent pas sur la pluie avant 15 h aujourd’hui.',
+    'reason.surface': 'Surface {when:msg} : {surface:surface}.',
+    'reason.surfaceDetail': 'Surface {when:msg} : {surface:surface} ({details:list}).',
+    'detail.overnightLow': 'minimum de nuit {c:temp}',
+    'detail.high': 'maximum {c:temp}',
+    'detail.freezingLevel': 'isotherme zéro {m:elevation}',
+    'reason.windRisk': 'Risque d’arrêt pour le vent {when:msg} : {risk:risk} (rafales jusqu’à {gust:speed}).',
+    'reason.noRainBefore': 'Aucune pluie prévue avant {hour:hour} le {date:date}.',
+    'reason.rainWithinTolerance': '~{mm:rain} de pluie avant {hour:hour} le {date:date} (dans ta tolérance de {tol:rain}).',
+    'reason.forecastSnow': 'Neige prévue : ~{cm:snow} (faible confiance).',
+    'reason.forecastRainAfter': 'Pluie totale prévue : ~{mm:rain} (mais après {hour:hour}, selon la règle).',
+    'reason.modelsDisagreeOn': 'Les modèles ne s’entendent pas sur la pluie avant 15 h le {date:date} (confiance moindre).',
+    'reason.noneFound': 'Aussi : aucune journée acceptable (sans {rule:msg}) dans les {n} prochains jours.',
+    'reason.noNightToday': 'Pas de ski de soirée aujourd’hui.',
+    'reason.excludedTonight': 'Exclu ce soir : la prévision annonce {mm:rain} de pluie {window:window}.',
+    'reason.windExcludedTonight': 'Exclu ce soir : risque élevé d’arrêt pour le vent (rafales jusqu’à {gust:speed}).',
+    'reason.roadClosedTonight': 'Exclu ce soir : DriveBC signale la fermeture de {road}.',
+    'reason.skippedTonight': 'Ignoré ce soir : jours de semaine seulement.',
+    'reason.noNightRain': 'Aucune pluie prévue {window:window} le {date:date}.',
+    'reason.nightRainWithinTolerance': '~{mm:rain} de pluie {window:window} le {date:date} (dans ta tolérance de {tol:rain}).',
+    'reason.noNightFound': 'Aussi : aucune soirée sèche dans les {n} prochains jours.',
+    'reason.outOfSeason': 'Hors de la saison de neige habituelle à {resort} ({start} au {end}).',
+    'reason.historicalFirst': 'Historiquement, les premières fenêtres vraiment praticables arrivent fin novembre–décembre.',
+    'reason.bcCoast': 'Moyenne ASWS Côte Sud / bas Fraser (C.-B.) : {pct:pct} de la médiane ({updated:longDate}).',
+    'reason.bcVanIsle': 'Moyenne ASWS de l’île de Vancouver (C.-B.) : {pct:pct} de la médiane ({updated:longDate}).',
+    'reason.bcProvincial': 'Moyenne provinciale ASWS (C.-B.) : {pct:pct} de la médiane ({updated:longDate}).',
+    'reason.earlySeason': 'Début de saison : l’ouverture dépend des premières vraies chutes de neige et d’un froid durable.',
+    'reason.primeSeason': 'Janvier et février sont historiquement la période la plus fiable à Cypress.',
+    'reason.springVolatile': 'Les conditions de printemps sont instables : la base peut tenir, mais la pluie et la chaleur la gâchent vite.',
+    'reason.climatology': 'Climatologie : {seasons} saisons de données d’archive Open-Meteo ({from}–{to}); une semaine compte comme praticable avec une base modélisée d’au moins {base:snow} la plupart des jours.',
+    'reason.weekOdds': 'Chances de conditions praticables par semaine : {weeks:list}.',
+    'odds.week': '{date:date} ({pct:pct})',
+    'reason.snowpackUp': 'Enneigement à {pct:pct} de la médiane : chances relevées par rapport à la climatologie.',
+    'reason.snowpackDown': 'Enneigement à {pct:pct} de la médiane : chances abaissées par rapport à la climatologie.',
+    'reason.snowpackOld': 'Les données d’enneigement de la C.-B. datent du {updated:longDate}, trop anciennes pour ajuster les chances.',
+
+    'ui.title': 'Quand est-ce que je peux faire de la planche?',
+    'ui.docTitle': 'Quand est-ce que je peux faire de la planche? ({resort})',
+    'ui.subtitle': '(estimation à partir des remontées, des cumuls de neige et de la prévision)',
+    'ui.resort': 'Station',
+    'ui.editorial': 'Éditorial',
+    'ui.language': 'Langue',
+    'ui.units': 'Unités',
+    'ui.units.metric': 'Métriques (cm, °C)',
+    'ui.units.imperial': 'Impériales (po, °F)',
+    'ui.loading': 'Chargement…',
+    'ui.session': 'Séance',
+    'ui.day': 'Jour',
+    'ui.night': 'Soir',
+    'ui.yourRules': 'Tes règles',
+    'ui.rainCutoffHour': 'Heure limite pour la pluie',
+    'ui.rainTolerance': 'Tolérance à la pluie ({unit})',
+    'ui.minSnow': 'Neige min. sur 7 jours ({unit})',
+    'ui.weekdaysOnly': 'Jours de semaine seulement',
+    'ui.resetDefaults': 'Valeurs par défaut',
+    'ui.savedNote': 'Enregistré dans ce navigateur et dans l’adresse de la page, pour que tu puisses la partager.',
+    'ui.why': 'Pourquoi?',
+    'ui.stokeTitle': 'Stoke-o-mètre',
+    'ui.next14': '(14 prochains jours)',
+    'ui.stokeAria': 'Niveau de stoke pour chaque jour',
+    'ui.compareTitle': 'Quelle montagne de la Rive-Nord est la meilleure demain?',
+    'ui.rightNow': 'En ce moment (bulletin de la montagne)',
+    'ui.lifts': 'Remontées',
+    'ui.snow7': 'Neige 7 jours',
+    'ui.baseDepth': 'Épaisseur de base',
+    'ui.bcTitle': 'Contexte du manteau neigeux en C.-B. (River Forecast Centre)',
+    'ui.provincialAvg': 'Moyenne provinciale',
+    'ui.southCoast': 'Côte Sud',
+    'ui.lowerFraser': 'Bas Fraser',
+    'ui.vancouverIsland': 'Île de Vancouver',
+    'ui.bcBasins': 'Tous les bassins : {basins:list}.',
+    'ui.basinPct': '{name} {pct:pct}',
+    'ui.bcTrendAria': 'Manteau neigeux en part de la médiane à chaque commentaire de la C.-B., du {from:date} au {to:date}',
+    'ui.gettingThere': 'Pour s’y rendre',
+    'ui.road': 'Route',
+    'ui.tires': 'Pneus',
+    'ui.sources': 'Sources',
+    'ui.disclaimer': 'C’est une heuristique. Vérifie toujours avant de monter. Si on affiche « la saison prochaine », c’est une estimation d’après la saisonnalité historique.',
+    'ui.historyLink': 'Comment nos prévisions ont-elles tenu?',
+    'ui.calendarLink': 'S’abonner aux bonnes journées dans ton calendrier (.ics)',
+    'ui.couldNotLoad': 'Impossible de charger data.json',
+    'ui.error': 'erreur',
+    'ui.unknownVerdict': 'Inconnu',
+    'ui.widgetDay': '{date} : {stoke}',
+    'ui.lastUpdated': 'Dernière mise à jour : {time}',
+    'ui.offline': 'Hors ligne — données du {time}.',
+    'ui.staleBanner': 'Attention : cette page a été mise à jour il y a {age}, la prévision a peut-être changé.',
+    'ui.dataAge': 'Données vieilles de {age}',
+    'ui.dataEarlier': 'Données d’une mise à jour précédente',
+    'ui.staleNote': '{age} — la dernière mise à jour n’a pas pu les rafraîchir.',
+    'ui.staleNoteError': '{age} — la dernière mise à jour n’a pas pu les rafraîchir ({error}).',
+    'ui.by': 'par {author}',
+    'ui.written': 'écrit le {time}',
+    'ui.for': 'pour le {date:longDate}',
+    'ui.editorialStale': 'Ce texte a été écrit pour des données plus anciennes; certains chiffres peuvent ne plus correspondre au reste de la page.',
+    'ui.liftsValue': '{open}/{total} ouvertes ({closed} fermées)',
+    'ui.bcError': 'Impossible de charger le commentaire de la C.-B. ({error})',
+    'ui.pctMedian': '{pct:pct} de la médiane',
+    'ui.sparklineAria': 'Température, pluie et neige heure par heure',
+    'age.lessThanHour': 'moins d’une heure',
+    'age.hour': '1 heure',
+    'age.hours': '{n} heures',
+    'age.days': '{n} jours',
+
+    'timeline.night': 'Soirée {window:window} : {what:msg}.',
+    'timeline.rainAmount': '{mm:rain} de pluie',
+    'timeline.dry': 'sec',
+    'timeline.noNight': 'Pas de ski de soirée ce jour-là.',
+    'timeline.preOpen': 'Exclu par {mm:rain} de pluie avant l’ouverture des remontées.',
+    'timeline.trip': 'Exclu à {hour} h — {mm:rain} de pluie à ce moment-là.',
+    'timeline.noTrip': 'Règle de pluie non déclenchée ce jour-là.',
+    'timeline.gust': 'rafale {kmh:speed}',
+
+    'card.wind': 'vent : {risk:risk}',
+    'card.windGusts': 'vent : {risk:risk} (rafales {gust:speed})',
+    'card.windHighDay': 'Arrêts probables des remontées pour le vent — journée exclue',
+    'card.windHighNight': 'Arrêts probables des remontées pour le vent — soirée exclue',
+    'card.windModerate': 'Certains télésièges pourraient s’arrêter à cause du vent',
+    'card.windLow': 'Vent peu susceptible d’affecter les remontées',
+    'card.surfaceLow': 'minimum {c:temp} la nuit',
+    'card.surfaceHigh': 'maximum {c:temp}',
+    'card.surfaceFreezing': 'isotherme zéro {m:elevation}',
+    'card.weekend': 'fin de semaine',
+    'card.noNight': 'pas de ski de soirée',
+    'card.rainTonight': 'pluie ce soir',
+    'card.rainAm': 'pluie en matinée',
+    'card.windHold': 'arrêt pour le vent',
+    'card.snow': '{cm:snow} de neige',
+    'card.rain': '{mm:rain} de pluie',
+    'card.modelsDisagree': 'modèles en désaccord',
+    'card.dry': 'sec',
+    'card.model': '{cm:snow} de neige, {mm:rain} de pluie',
+    'card.modelAm': '{cm:snow} de neige, {mm:rain} de pluie (pluie en matinée)',
+    'card.disagreement': 'Désaccord : {n}',
+    'card.hourly': 'Par heure',
+    'compare.noData': 'aucune donnée',
+    'compare.lifts': 'remontées {open}/{total} en ce moment',
+
+    'road.source': '{road} · événements DriveBC',
+    'road.open': 'Ouverte',
+    'road.closed': 'Fermée',
+    'road.chains': 'Chaînes obligatoires',
+    'road.winterTires': 'Pneus d’hiver obligatoires',
+    'road.winterTiresSeason': 'Pneus d’hiver obligatoires (exigés par la loi en cette saison)',
+    'road.noRequirement': 'Aucune exigence affichée',
+    'road.noEvents': 'Aucun événement DriveBC en cours sur cette route.',
+    'road.eventUpdated': 'mis à jour le {time}',
+    'road.error': 'Impossible de charger les événements DriveBC ({error})',
+    'roadEvent.INCIDENT': 'Incident',
+    'roadEvent.CONSTRUCTION': 'Travaux',
+    'roadEvent.SPECIAL_EVENT': 'Événement spécial',
+    'roadEvent.WEATHER_CONDITION': 'Météo',
+    'roadEvent.ROAD_CONDITION': 'État de la route',
+
+    'why.intro': 'Chaque jour de prévision et les règles qui lui ont été appliquées. Les règles souples ne font que baisser la confiance.',
+    'why.chosen': 'choisie',
+    'why.ok': 'aussi correcte',
+    'why.out': 'écartée',
+    'why.none': 'Aucune journée ne passe toutes les règles; le verdict se rabat sur l’estimation saisonnière.',
+    'why.noDays': 'Aucun jour de prévision à vérifier.',
+    'trace.rain': 'Pluie avant {hour:hour} : {mm:rain} (permis : {maxMm:rain})',
+    'trace.nightRain': 'Pluie {window:window} : {mm:rain} (permis : {maxMm:rain})',
+    'trace.nightSession': 'Ski de soirée : {window:window}',
+    'trace.wind': 'Risque d’arrêt pour le vent : {risk:risk}, rafales {gust:speed} (élevé = exclu)',
+    'trace.weekday': 'Fin de semaine : {weekend:yesno} (jours de semaine seulement : {weekdaysOnly:yesno})',
+    'trace.lifts': 'Remontées ouvertes : {open}/{total} (minimum {minPct:pct})',
+    'trace.road': '{road} fermée (DriveBC) : {closed:yesno}',
+    'trace.roadStale': 'Fermeture antérieure de {road} confirmée par DriveBC à cette mise à jour : {confirmed:yesno} (sinon la confiance baisse)',
+    'trace.snow': 'Neige : {snow7:snow} sur 7 jours (minimum {minSnow:snow}) ou base de {base:snow} (minimum {minBase:snow})',
+    'trace.modelsAgree': 'Modèles d’accord sur la pluie en matinée : {agree:yesno}',
+    'trace.surface': 'Surface : {surface:surface} (neige fondante ou glace baisse la confiance)',
+    'trace.windCalm': 'Assez calme pour une confiance entière : {calm:yesno} (un risque modéré d’arrêt pour le vent la baisse)',
+  },
+};
+
+// Metric values as stored in data.json → the unit system's value and message key.
+const CONVERSIONS = {
+  snow: { metric: [(v) => v, 'unit.cm', 1], imperial: [(v) => v / 2.54, 'unit.in', 1] },
+  rain: { metric: [(v) => v, 'unit.mm', 1], imperial: [(v) => v / 25.4, 'unit.in', 2] },
+  temp: { metric: [(v) => v, 'unit.degC', 1], imperial: [(v) => (v * 9) / 5 + 32, 'unit.degF', 0] },
+  speed: { metric: [(v) => v, 'unit.kmh', 0], imperial: [(v) => v / 1.609344, 'unit.mph', 0] },
+  elevation: { metric: [(v) => v, 'unit.m', 0], imperial: [(v) => v * 3.28084, 'unit.ft', 0] },
+};
+
+// Settings inputs: rain tolerance and minimum snow are kept in mm / cm and shown in the rider's units.
+export function toDisplayUnits(kind, value, units) {
+  const [convert, , digits] = CONVERSIONS[kind][units === 'imperial' ? 'imperial' : 'metric'];
+  const p = 10 ** digits;
+  return Math.round(convert(value) * p) / p;
+}
+
+export function fromDisplayUnits(kind, value, units) {
+  const n = Number(value);
+  if (value === '' || value == null || !Number.isFinite(n) || units !== 'imperial') return value;
+  const factor = { snow: 2.54, rain: 25.4 }[kind];
+  return Math.round(n * factor * 10) / 10;
+}
+
+const TEMPLATE_PARAM = /\{(\w+)(?::(\w+))?\}/g;
+
+export function createFormatter({ lang = DEFAULT_LOCALE.lang, units = DEFAULT_LOCALE.units } = {}) {
+  // Own keys only: "constructor" and friends are not languages.
+  const dict = Object.hasOwn(MESSAGES, lang) ? MESSAGES[lang] : MESSAGES.en;
+  const locale = Object.hasOwn(INTL_LOCALES, lang) ? INTL_LOCALES[lang] : INTL_LOCALES.en;
+  const numberFormats = new Map();
+
+  function number(v, digits = 1) {
+    if (!numberFormats.has(digits)) numberFormats.set(digits, new Intl.NumberFormat(locale, { maximumFractionDigits: digits }));
+    return numberFormats.get(digits).format(v);
+  }
+
+  function t(key, params = {}) {
+    const template = dict[key] ?? MESSAGES.en[key];
+    if (template == null) return key;
+    return template.replace(TEMPLATE_PARAM, (whole, name, type) => {
+      const v = params[name];
+      if (type) return typed(type, v);
+      if (v == null) return t('value.unknown');
+      return typeof v === 'number' ? number(v) : String(v);
+    });
+  }
+
+  function measure(kind, v) {
+    if (v == null) return '—';
+    const [convert, key, digits] = CONVERSIONS[kind][units === 'imperial' ? 'imperial' : 'metric'];
+    return t(key, { n: number(convert(v), digits) });
+  }
+
+  function date(iso, opts = { weekday: 'short', month: 'short', day: 'numeric' }) {
+    if (!iso) return t('value.unknownDate');
+    // ISO dates are calendar days; noon UTC formatted in UTC keeps the day stable for any viewer.
+    return new Intl.DateTimeFormat(locale, { ...opts, timeZone: 'UTC' }).format(new Date(`${iso}T12:00:00Z`));
+  }
+
+  function hour(h) {
+    if (h === 0 || h === 24) return t('hour.midnight');
+    if (h === 12) return t('hour.noon');
+    return h < 12 ? t('hour.am', { h }) : t('hour.pm', { h: lang === 'en' ? h - 12 : h });
+  }
+
+  const f = {
+    lang,
+    units,
+    locale,
+    t,
+    number,
+    snow: (cm) => measure('snow', cm),
+    rain: (mm) => measure('rain', mm),
+    temp: (c) => measure('temp', c),
+    speed: (kmh) => measure('speed', kmh),
+    elevation: (m) => measure('elevation', m),
+    pct: (v) => (v == null ? '—' : t('unit.pct', { n: number(v, 0) })),
+    date: (iso) => date(iso),
+    longDate: (iso) => date(iso, { year: 'numeric', month: 'long', day: 'numeric' }),
+    // First forecast day is "today" as of the update that produced it.
+    dayLabel: (iso, isToday = false) => (isToday ? t('day.today', { date: iso }) : date(iso)),
+    dateTime: (iso, timeZone) => {
+      const d = new Date(iso);
+      if (!iso || Number.isNaN(d.getTime())) return t('value.unknown');
+      return d.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short', ...(timeZone ? { timeZone } : {}) });
+    },
+    hour,
+    window: (w) => (w ? `${hour(w.start)}–${hour(w.end)}` : '—'),
+    surface: (s) => (s ? t(`surface.${s}`) : '—'),
+    risk: (r) => (r ? t(`risk.${r}`) : '—'),
+    stoke: (s) => t(`stoke.${s ?? 'unknown'}`),
+    unitLabel: (kind) => t(units === 'imperial' ? 'unit.inShort' : kind === 'rain' ? 'unit.mmShort' : 'unit.cmShort'),
+    // One rule from a decision trace (scoring.js decisionTrace), as a sentence.
+    rule: (r) => t(`trace.${r.id}`, { ...r.threshold, ...r.input }),
+    // A message from data.json / scoring.js. Plain strings (files from before messages) pass through.
+    message: (m) => {
+      if (m == null) return '';
+      if (typeof m === 'string') return m;
+      return t(m.key, m.params);
+    },
+  };
+
+  function typed(type, v) {
+    switch (type) {
+      case 'msg': return f.message(v);
+      case 'list': return (v ?? []).map((m) => f.message(m)).join(t('list.sep'));
+      case 'snow': case 'rain': case 'temp': case 'speed': case 'elevation': return measure(type, v);
+      case 'pct': return f.pct(v);
+      case 'date': return f.date(v);
+      case 'longDate': return f.longDate(v);
+      case 'hour': return hour(v);
+      case 'window': return f.window(v);
+      case 'surface': return f.surface(v);
+      case 'risk': return f.risk(v);
+      case 'stoke': return f.stoke(v);
+      case 'yesno': return t(v ? 'value.yes' : 'value.no');
+      default: throw new Error(`i18n: unknown param type ${type}`);
+    }
+  }
+
+  return f;
+}
+
+// ---- Locale preference: URL params win over the stored choice, as for the rider profile ----
+
+export function normalizeLocale(p = {}) {
+  return {
+    lang: Object.hasOwn(LANGS, p.lang) ? p.lang : DEFAULT_LOCALE.lang,
+    units: UNIT_SYSTEMS.includes(p.units) ? p.units : DEFAULT_LOCALE.units,
+  };
+}
+
+// The browser's language picks the default: French for fr-*, imperial for the US.
+export function defaultLocale(navigatorLanguage = '') {
+  const tag = String(navigatorLanguage).toLowerCase();
+  return {
+    lang: tag.startsWith('fr') ? 'fr' : 'en',
+    units: tag === 'en-us' ? 'imperial' : 'metric',
+  };
+}
+
+export function localeFromParams(params) {
+  const p = {};
+  for (const [field, key] of Object.entries(PARAM_KEYS)) {
+    if (params.has(key)) p[field] = params.get(key);
+  }
+  return p;
+}
+
+export function localeToParams(locale, params, fallback = DEFAULT_LOCALE) {
+  for (const [field, key] of Object.entries(PARAM_KEYS)) {
+    if (locale[field] === fallback[field]) params.delete(key);
+    else params.set(key, locale[field]);
+  }
+  return params;
+}
@@ -0,0 +1,466 @@
+/*
+  Scoring rules shared by scripts/update.mjs (baked into data.json) and app.js (re-scored per rider).
+
+  A "profile" holds the rider-tunable knobs. DEFAULT_PROFILE reproduces the original rules:
+  - any rain before 3pm local excludes the day,
+  - 7-day snow >= 10 cm counts as decent,
+  - every day of the week is fair game,
+  - the question is the day session (session: 'night' asks about the evening window instead).
+  The lift and base thresholds are not rider-tunable and live in RULES.
+
+  Verdict labels and reasons are messages ({ key, params } from i18n.js), not sentences, so the page can
+  show them in the rider's language and units.
+*/
+
+import { msg } from './i18n.js';
+
+export const DEFAULT_PROFILE = {
+  rainCutoffHour: 15,
+  rainToleranceMm: 0,
+  minSnowCm: 10,
+  weekdaysOnly: false,
+  session: 'day',
+};
+
+export const RULES = {
+  minLiftRatio: 0.67,
+  minBaseCm: 80,
+};
+
+// Max gust (km/h, operating hours) at which chairs start going on wind hold. Resorts can override
+// these in scripts/resorts.mjs (windHold); update.mjs stores the resulting day.windRisk.
+export const WIND_RULES = {
+  moderateGustKmh: 50,
+  highGustKmh: 70,
+};
+
+export function windRisk(maxGustKmh, rules = WIND_RULES) {
+  if (maxGustKmh == null) return null;
+  if (maxGustKmh >= rules.highGustKmh) return 'high';
+  if (maxGustKmh >= rules.moderateGustKmh) return 'moderate';
+  return 'low';
+}
+
+export function isWindExcluded(day) {
+  return day.windRisk === 'high';
+}
+
+// Surfaces that keep an otherwise dry day from being "good".
+const POOR_SURFACES = new Set(['slush', 'ice']);
+
+// URL query keys for each profile field (kept short so links stay shareable).
+const PARAM_KEYS = {
+  rainCutoffHour: 'cutoff',
+  rainToleranceMm: 'rainTol',
+  minSnowCm: 'minSnow',
+  weekdaysOnly: 'weekdays',
+  session: 'session',
+};
+
+function clampNumber(v, min, max, fallback) {
+  const n = Number(v);
+  if (v === null || v === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export function normalizeProfile(p = {}) {
+  return {
+    rainCutoffHour: Math.round(clampNumber(p.rainCutoffHour, 0, 24, DEFAULT_PROFILE.rainCutoffHour)),
+    rainToleranceMm: clampNumber(p.rainToleranceMm, 0, 100, DEFAULT_PROFILE.rainToleranceMm),
+    minSnowCm: clampNumber(p.minSnowCm, 0, 500, DEFAULT_PROFILE.minSnowCm),
+    weekdaysOnly: p.weekdaysOnly === true || p.weekdaysOnly === 'true' || p.weekdaysOnly === '1',
+    session: p.session === 'night' ? 'night' : 'day',
+  };
+}
+
+export function profileFromParams(params) {
+  const p = {};
+  for (const [field, key] of Object.entries(PARAM_KEYS)) {
+    if (params.has(key)) p[field] = params.get(key);
+  }
+  return p;
+}
+
+// Only non-default fields are written, so the default profile gives a clean URL.
+export function profileToParams(profile, params) {
+  for (const [field, key] of Object.entries(PARAM_KEYS)) {
+    const v = profile[field];
+    if (v === DEFAULT_PROFILE[field]) params.delete(key);
+    else params.set(key, typeof v === 'boolean' ? '1' : String(v));
+  }
+  return params;
+}
+
+export function isDefaultProfile(profile) {
+  return Object.keys(DEFAULT_PROFILE).every((k) => profile[k] === DEFAULT_PROFILE[k]);
+}
+
+export function isWeekend(date) {
+  // date is a local "YYYY-MM-DD"; noon UTC keeps the weekday stable in any viewer timezone.
+  const dow = new Date(date + 'T12:00:00Z').getUTCDay();
+  return dow === 0 || dow === 6;
+}
+
+export function rainBeforeCutoffMm(day, profile) {
+  // day.hours carries rain that counts (snow-guarded) per local operating hour, and
+  // day.preOpenRainMm the rain before opening. Older data files only have the 3pm flag, so fall back to it.
+  if (Array.isArray(day.hours)) {
+    const mm = day.hours
+      .filter((h) => h.hour < profile.rainCutoffHour)
+      .reduce((sum, h) => sum + (h.rainMm ?? 0), day.preOpenRainMm ?? 0);
+    return Math.round(mm * 10) / 10;
+  }
+  return day.rainBefore3pm ? (day.rainMm ?? 0) : 0;
+}
+
+// Which hour pushed the day over the rain rule: { hour, mm } for an operating hour,
+// { preOpen: true, mm } when rain before opening already did it, or null if the day isn't excluded.
+export function rainTripHour(day, profile) {
+  if (!Array.isArray(day.hours) || !isRainExcluded(day, profile)) return null;
+  let mm = day.preOpenRainMm ?? 0;
+  if (mm > 0 && mm > profile.rainToleranceMm) return { preOpen: true, mm };
+  for (const h of day.hours) {
+    if (h.hour >= profile.rainCutoffHour) break;
+    mm += h.rainMm ?? 0;
+    if (mm > 0 && mm > profile.rainToleranceMm) return { hour: h.hour, mm: Math.round(mm * 10) / 10 };
+  }
+  return null;
+}
+
+// The day's rain total from the same source as day.hours: the hourly rule runs on Open-Meteo, so after the
+// Snow-Forecast blend (day.consensus) the blended rainMm can't be set against the hourly sums.
+function hourlyRainTotalMm(day) {
+  if (!Array.isArray(day.hours)) return day.rainMm ?? null;
+  return day.consensus?.models?.openMeteo?.rainMm ?? day.rainMm ?? null;
+}
+
+export function isRainExcluded(day, profile) {
+  // Without hourly data the rider's cutoff/tolerance can't be applied; trust the 3pm flag.
+  if (!Array.isArray(day.hours)) return Boolean(day.rainBefore3pm);
+  const mm = rainBeforeCutoffMm(day, profile);
+  return mm > 0 && mm > profile.rainToleranceMm;
+}
+
+// Open-Meteo and Snow-Forecast split on whether it rains before 3pm (see scripts/snow-forecast.mjs).
+export function modelsDisagree(day) {
+  return Boolean(day.consensus?.rainAmDisagree);
+}
+
+export function dayStoke(day, profile = DEFAULT_PROFILE) {
+  if (isRainExcluded(day, profile) || isWindExcluded(day)) return 'bad';
+  const rainMm = day.rainMm ?? 0;
+  const stoke = (day.snowfallCm > 0 && rainMm < 5) || rainMm < 2 ? 'good' : 'meh';
+  const downgrade = modelsDisagree(day) || POOR_SURFACES.has(day.surface) || day.windRisk === 'moderate';
+  return stoke === 'good' && downgrade ? 'meh' : stoke;
+}
+
+// Night session: day.night = { start, end, rainMm, maxGustKmh, windRisk } from update.mjs. With hourly
+// data the rain in the window is re-summed so the rider's rain tolerance applies.
+export function nightRainMm(day) {
+  const n = day.night;
+  if (!n) return null;
+  if (Array.isArray(day.hours)) {
+    const mm = day.hours
+      .filter((h) => h.hour >= n.start && h.hour < n.end)
+      .reduce((sum, h) => sum + (h.rainMm ?? 0), 0);
+    return Math.round(mm * 10) / 10;
+  }
+  return n.rainMm ?? 0;
+}
+
+export function isNightRainExcluded(day, profile) {
+  const mm = nightRainMm(day);
+  return mm != null && mm > 0 && mm > profile.rainToleranceMm;
+}
+
+export function isNightExcluded(day, profile) {
+  // No night entry means no night session that day.
+  return !day.night || isNightRainExcluded(day, profile) || day.night.windRisk === 'high';
+}
+
+export function nightStoke(day, profile = DEFAULT_PROFILE) {
+  if (isNightExcluded(day, profile)) return 'bad';
+  const downgrade = POOR_SURFACES.has(day.surface) || day.night.windRisk === 'moderate';
+  return downgrade ? 'meh' : 'good';
+}
+
+export function sessionStoke(day, profile = DEFAULT_PROFILE) {
+  return profile.session === 'night' ? nightStoke(day, profile) : dayStoke(day, profile);
+}
+
+// `when` is a message too: msg('when.today'), msg('when.on', { date }), ...
+function windReason(day, when) {
+  if (!day.windRisk || day.windRisk === 'low') return null;
+  return msg('reason.windRisk', { when, risk: day.windRisk, gust: day.maxGustKmh });
+}
+
+export function surfaceReason(day, when) {
+  if (!day.surface) return null;
+  const details = [];
+  if (day.overnightLowC != null) details.push(msg('detail.overnightLow', { c: day.overnightLowC }));
+  if (day.maxTempC != null) details.push(msg('detail.high', { c: day.maxTempC }));
+  if (day.freezingLevelM != null) details.push(msg('detail.freezingLevel', { m: day.freezingLevelM }));
+  return details.length
+    ? msg('reason.surfaceDetail', { when, surface: day.surface, details })
+    : msg('reason.surface', { when, surface: day.surface });
+}
+
+// DriveBC reports the access road closed (inputs.road, see scripts/drivebc.mjs). Only today can be
+// flagged: closures are current events, not a forecast. A closure carried over from an earlier update
+// because DriveBC couldn't be reached (road.stale) may be long over, so it doesn't rule today out; it only
+// lowers confidence (isRoadClosureStale).
+export function isRoadClosed(road) {
+  return Boolean(road?.closed) && !road.stale;
+}
+
+export function isRoadClosureStale(road) {
+  return Boolean(road?.closed && road.stale);
+}
+
+export function isSkipped(day, profile) {
+  return profile.weekdaysOnly && isWeekend(day.date);
+}
+
+function currentReasons({ resort, lifts, snow }) {
+  const reasons = [];
+  if (lifts?.open != null && lifts?.total != null) {
+    reasons.push(msg('reason.lifts', { resort: resort?.shortName ?? 'Cypress', open: lifts.open, total: lifts.total }));
+  }
+  if (snow?.snow7DaysCm != null) {
+    reasons.push(msg('reason.snow7', { cm: snow.snow7DaysCm }));
+  }
+  if (snow?.baseDepthCm != null) {
+    reasons.push(msg('reason.base', { cm: snow.baseDepthCm }));
+  }
+  return reasons;
+}
+
+function conditionsOk({ lifts, snow }, profile) {
+  const liftOk = lifts?.open != null && lifts?.total != null && lifts.open / lifts.total >= RULES.minLiftRatio;
+  const snowOk = snow?.snow7DaysCm != null && snow.snow7DaysCm >= profile.minSnowCm;
+  const baseOk = snow?.baseDepthCm != null && snow.baseDepthCm >= RULES.minBaseCm;
+  return liftOk && (snowOk || baseOk);
+}
+
+// Same shape as the day verdict, for the evening window: "tonight" when it's dry and the hill is in
+// shape, else the next night whose window is dry and not on wind hold.
+function decideNextNight(inputs, profile, fallback) {
+  const days = inputs.forecast?.days ?? [];
+  const reasons = currentReasons(inputs);
+  const today = days[0] ?? null;
+  const window = today?.night ? { start: today.night.start, end: today.night.end } : { start: 16, end: 22 };
+
+  if (!today?.night && today) {
+    reasons.push(msg('reason.noNightToday'));
+  } else if (today && isNightRainExcluded(today, profile)) {
+    reasons.push(msg('reason.excludedTonight', { mm: nightRainMm(today), window }));
+  } else if (today?.night?.windRisk === 'high') {
+    reasons.push(msg('reason.windExcludedTonight', { gust: today.night.maxGustKmh }));
+  } else if (today && isSkipped(today, profile)) {
+    reasons.push(msg('reason.skippedTonight'));
+  }
+  // Said even when the weather already rules tonight out: it matters to anyone heading up anyway.
+  if (today && isRoadClosed(inputs.road)) reasons.push(msg('reason.roadClosedTonight', { road: inputs.road.name }));
+  const roadStale = Boolean(today) && isRoadClosureStale(inputs.road);
+  if (roadStale) reasons.push(msg('reason.roadClosedStale', { road: inputs.road.name }));
+
+  if (today && !isNightExcluded(today, profile) && !isRoadClosed(inputs.road) && !isSkipped(today, profile) && conditionsOk(inputs, profile)) {
+    const surface = surfaceReason(today, msg('when.tonight'));
+    if (surface) reasons.push(surface);
+    const moderate = today.night.windRisk === 'moderate';
+    if (moderate) reasons.push(msg('reason.windRisk', { when: msg('when.tonight'), risk: 'moderate', gust: today.night.maxGustKmh }));
+    return {
+      label: msg('verdict.tonight', { window }),
+      date: today.date,
+      session: 'night',
+      confidence: moderate || roadStale || POOR_SURFACES.has(today.surface) ? 'meh' : 'good',
+      reasons,
+    };
+  }
+
+  const nextNight = days.find((d, idx) => idx > 0 && !isNightExcluded(d, profile) && !isSkipped(d, profile));
+  if (nextNight) {
+    const extra = [];
+    const mm = nightRainMm(nextNight);
+    const w = { start: nextNight.night.start, end: nextNight.night.end };
+    extra.push(mm === 0
+      ? msg('reason.noNightRain', { window: w, date: nextNight.date })
+      : msg('reason.nightRainWithinTolerance', { mm, window: w, date: nextNight.date, tol: profile.rainToleranceMm }));
+    const surface = surfaceReason(nextNight, msg('when.on', { date: nextNight.date }));
+    if (surface) extra.push(surface);
+    if (nextNight.night.windRisk === 'moderate') {
+      const when = msg('when.onEvening', { date: nextNight.date });
+      extra.push(msg('reason.windRisk', { when, risk: 'moderate', gust: nextNight.night.maxGustKmh }));
+    }
+    return {
+      label: msg('verdict.night', { date: nextNight.date }),
+      date: nextNight.date,
+      session: 'night',
+      confidence: 'meh',
+      reasons: [...reasons, ...extra],
+    };
+  }
+
+  const seasonal = fallback ?? { label: msg('verdict.noneNight'), confidence: 'bad', reasons: [] };
+  return {
+    ...seasonal,
+    session: 'night',
+    reasons: [...reasons, ...seasonal.reasons, msg('reason.noNightFound', { n: days.length })],
+  };
+}
+
+function decideNextDay(inputs, profile, fallback) {
+  const { forecast } = inputs;
+  // Heuristic rules:
+  // - Hard constraint (Andy): if it rains before the cutoff (default 3pm) local time, exclude that day.
+  // - If most lifts are open AND 7-day snow is decent, call it "go soon" (but only if today isn't excluded).
+  // - High wind-hold risk excludes a day too; moderate risk only lowers confidence.
+  // - A closed access road (DriveBC) excludes today; a closure only known from an earlier update lowers confidence.
+  // - Otherwise pick the next non-excluded day from the forecast window.
+  // - If none, fall back to the caller's seasonal guess.
+
+  const cutoff = profile.rainCutoffHour;
+  const rainRule = profile.rainToleranceMm > 0
+    ? msg('rule.rainOver', { mm: profile.rainToleranceMm, hour: cutoff })
+    : msg('rule.rainBefore', { hour: cutoff });
+  const reasons = currentReasons(inputs);
+
+  const days = forecast?.days ?? [];
+  const today = days[0] ?? null;
+  const todayRain = today ? isRainExcluded(today, profile) : false;
+  const todayWind = today ? isWindExcluded(today) : false;
+  const todayRoad = today ? isRoadClosed(inputs.road) : false;
+  const todayExcluded = todayRain || todayWind || todayRoad;
+  const todaySkipped = today ? isSkipped(today, profile) : false;
+  if (todayRain) {
+    reasons.push(msg('reason.excludedToday', { rule: rainRule }));
+  } else if (todayWind) {
+    reasons.push(msg('reason.windExcludedToday', { gust: today.maxGustKmh }));
+  } else if (todaySkipped) {
+    reasons.push(msg('reason.skippedToday'));
+  }
+  // Said even when the weather already rules today out: it matters to anyone heading up anyway.
+  if (todayRoad) reasons.push(msg('reason.roadClosedToday', { road: inputs.road.name }));
+  const todayRoadStale = Boolean(today) && isRoadClosureStale(inputs.road);
+  if (todayRoadStale) reasons.push(msg('reason.roadClosedStale', { road: inputs.road.name }));
+
+  if (today && !todayExcluded && !todaySkipped && conditionsOk(inputs, profile)) {
+    if (modelsDisagree(today)) reasons.push(msg('reason.modelsDisagreeToday'));
+    const surface = surfaceReason(today, msg('when.today'));
+    if (surface) reasons.push(surface);
+    const wind = windReason(today, msg('when.today'));
+    if (wind) reasons.push(wind);
+    return {
+      label: msg('verdict.today', { rule: rainRule }),
+      date: today.date,
+      confidence: modelsDisagree(today) || POOR_SURFACES.has(today.surface) || today.windRisk === 'moderate' || todayRoadStale ? 'meh' : 'good',
+      reasons,
+    };
+  }
+
+  // Find next day that is NOT excluded by the rain rule, wind holds (or the weekday preference).
+  const nextDay = days.find((d, idx) => idx > 0 && !isRainExcluded(d, profile) && !isWindExcluded(d) && !isSkipped(d, profile));
+
+  if (nextDay) {
+    const extra = [];
+    const beforeMm = rainBeforeCutoffMm(nextDay, profile);
+    if (beforeMm === 0) {
+      extra.push(msg('reason.noRainBefore', { hour: cutoff, date: nextDay.date }));
+    } else {
+      extra.push(msg('reason.rainWithinTolerance', { mm: beforeMm, hour: cutoff, date: nextDay.date, tol: profile.rainToleranceMm }));
+    }
+    if (nextDay.snowfallCm != null && nextDay.snowfallCm > 0) {
+      extra.push(msg('reason.forecastSnow', { cm: nextDay.snowfallCm }));
+    }
+    const totalMm = hourlyRainTotalMm(nextDay);
+    if (totalMm != null && totalMm > beforeMm) {
+      extra.push(msg('reason.forecastRainAfter', { mm: totalMm, hour: cutoff }));
+    }
+    const on = msg('when.on', { date: nextDay.date });
+    const surface = surfaceReason(nextDay, on);
+    if (surface) extra.push(surface);
+    const wind = windReason(nextDay, on);
+    if (wind) extra.push(wind);
+    if (modelsDisagree(nextDay)) {
+      extra.push(msg('reason.modelsDisagreeOn', { date: nextDay.date }));
+    }
+
+    return {
+      label: msg('verdict.day', { date: nextDay.date }),
+      date: nextDay.date,
+      confidence: 'meh',
+      reasons: [...reasons, ...extra],
+    };
+  }
+
+  const seasonal = fallback ?? { label: msg('verdict.none'), confidence: 'bad', reasons: [] };
+  return {
+    ...seasonal,
+    reasons: [...reasons, ...seasonal.reasons, msg('reason.noneFound', { rule: rainRule, n: days.length })],
+  };
+}
+
+// One rule as applied to one day: what it looked at (input), what it compared against (threshold) and
+// whether the day passed. Soft rules never rule a day out; failing one only lowers confidence.
+function ruleResult(id, input, threshold, pass, soft = false) {
+  return soft ? { id, input, threshold, pass, soft } : { id, input, threshold, pass };
+}
+
+function traceDay(day, idx, inputs, profile) {
+  const night = profile.session === 'night';
+  const rules = [];
+  if (night) {
+    const window = day.night ? { start: day.night.start, end: day.night.end } : null;
+    rules.push(ruleResult('nightSession', { window }, {}, Boolean(day.night)));
+    if (day.night) {
+      rules.push(ruleResult('nightRain', { mm: nightRainMm(day), window }, { maxMm: profile.rainToleranceMm }, !isNightRainExcluded(day, profile)));
+      rules.push(ruleResult('wind', { risk: day.night.windRisk ?? null, gust: day.night.maxGustKmh ?? null }, { risk: 'high' }, day.night.windRisk !== 'high'));
+    }
+  } else {
+    rules.push(ruleResult('rain', { mm: rainBeforeCutoffMm(day, profile) }, { hour: profile.rainCutoffHour, maxMm: profile.rainToleranceMm }, !isRainExcluded(day, profile)));
+    rules.push(ruleResult('wind', { risk: day.windRisk ?? null, gust: day.maxGustKmh ?? null }, { risk: 'high' }, !isWindExcluded(day)));
+  }
+  rules.push(ruleResult('weekday', { weekend: isWeekend(day.date) }, { weekdaysOnly: profile.weekdaysOnly }, !isSkipped(day, profile)));
+
+  // The hill and the road only decide today; later days are judged on the forecast alone.
+  if (idx === 0) {
+    const { lifts, snow, road } = inputs;
+    if (road) {
+      if (isRoadClosureStale(road)) rules.push(ruleResult('roadStale', { road: road.name, confirmed: false }, {}, false, true));
+      else rules.push(ruleResult('road', { road: road.name, closed: isRoadClosed(road) }, {}, !isRoadClosed(road)));
+    }
+    const open = lifts?.open ?? null;
+    const total = lifts?.total ?? null;
+    const liftOk = open != null && total != null && open / total >= RULES.minLiftRatio;
+    rules.push(ruleResult('lifts', { open, total }, { minPct: Math.round(RULES.minLiftRatio * 100) }, liftOk));
+    const snow7 = snow?.snow7DaysCm ?? null;
+    const base = snow?.baseDepthCm ?? null;
+    const snowOk = (snow7 != null && snow7 >= profile.minSnowCm) || (base != null && base >= RULES.minBaseCm);
+    rules.push(ruleResult('snow', { snow7, base }, { minSnow: profile.minSnowCm, minBase: RULES.minBaseCm }, snowOk));
+  }
+
+  if (!night) rules.push(ruleResult('modelsAgree', { agree: !modelsDisagree(day) }, {}, !modelsDisagree(day), true));
+  rules.push(ruleResult('surface', { surface: day.surface ?? null }, { avoid: [...POOR_SURFACES] }, !POOR_SURFACES.has(day.surface), true));
+  const risk = (night ? day.night?.windRisk : day.windRisk) ?? null;
+  rules.push(ruleResult('windCalm', { calm: risk !== 'moderate' }, { risk: 'moderate' }, risk !== 'moderate', true));
+
+  return { date: day.date, ok: rules.every((r) => r.soft || r.pass), rules };
+}
+
+// Every forecast day with each rule the verdict applies to it. The first day that passes all hard rules
+// is the one decideNext picks (chosen); none chosen means the verdict fell back to the season guess.
+export function decisionTrace(inputs, profile = DEFAULT_PROFILE) {
+  const days = (inputs.forecast?.days ?? []).map((d, idx) => traceDay(d, idx, inputs, profile));
+  const chosen = days.find((d) => d.ok);
+  return {
+    session: profile.session,
+    days: days.map((d) => ({ ...d, chosen: d === chosen })),
+  };
+}
+
+export function decideNext(inputs, profile = DEFAULT_PROFILE, fallback = null) {
+  const verdict = profile.session === 'night'
+    ? decideNextNight(inputs, profile, fallback)
+    : decideNextDay(inputs, profile, fallback);
+  return { ...verdict, trace: decisionTrace(inputs, profile) };
+}
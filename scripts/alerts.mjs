@@ -0,0 +1,275 @@
+/*
+  Change detection + alert dispatch for update.mjs.
+
+  detectChanges() compares a freshly built data file with the previous one and returns alert events:
+  - good-day: a forecast day turned "good" (or is good in the first data file we see),
+  - good-day-lost: a day that was good no longer is (days that simply rolled out of the window don't count),
+  - next-changed: the headline verdict (next.label, as English text) changed,
+  - lifts-opened: lifts went from 0 open to some open,
+  - big-snow: the report shows at least ALERT_RULES.bigSnowCm overnight (24h as a fallback).
+
+  Every event has a stable key; the ledger (alerts-sent.json) remembers keys already sent so a re-run
+  doesn't send the same alert twice. Notifiers are configured from the environment (notifiersFromEnv):
+  a generic JSON webhook, a Slack-compatible incoming webhook and SMTP email. A notifier failing is
+  reported, never fatal — the data files are already written by then.
+*/
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import tls from 'node:tls';
+import { fileURLToPath } from 'node:url';
+
+import { createFormatter } from '../i18n.js';
+
+export const ALERTS_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'alerts-sent.json');
+
+export const ALERT_RULES = {
+  bigSnowCm: 15,
+  // Ledger entries older than this are dropped; by then the dates they name are long past.
+  keepDays: 21,
+};
+
+const en = createFormatter();
+
+function goodDates(data) {
+  return new Set((data?.forecast?.days ?? []).filter((d) => d.stoke === 'good').map((d) => d.date));
+}
+
+export function detectChanges(prev, next, rules = ALERT_RULES) {
+  const resort = next.resort ?? { id: 'cypress', name: 'Cypress Mountain' };
+  const at = next.generatedAt;
+  const events = [];
+  const push = (type, key, message, extra = {}) => {
+    events.push({ type, key: `${resort.id}:${key}`, resort: resort.id, resortName: resort.name, at, message, ...extra });
+  };
+
+  const wasGood = goodDates(prev);
+  const isGood = goodDates(next);
+  const days = new Map((next.forecast?.days ?? []).map((d) => [d.date, d]));
+
+  for (const date of isGood) {
+    if (wasGood.has(date)) continue;
+    const d = days.get(date);
+    push('good-day', `good-day:${date}`, `${resort.name}: ${en.date(date)} now looks good (${d.snowfallCm ?? 0} cm snow, ${d.rainMm ?? 0} mm rain).`, { date });
+  }
+  for (const date of wasGood) {
+    if (isGood.has(date) || !days.has(date)) continue;
+    const d = days.get(date);
+    push('good-day-lost', `good-day-lost:${date}`, `${resort.name}: ${en.date(date)} is no longer a good day (now ${d.stoke}).`, { date });
+  }
+
+  const was = en.message(prev?.next?.label);
+  const now = en.message(next.next?.label);
+  if (was && now && was !== now) {
+    push('next-changed', `next:${next.next.date ?? now}:${now}`, `${resort.name}: ${now} (was: ${was}).`, {
+      date: next.next.date ?? null,
+    });
+  }
+
+  const before = prev?.current?.lifts?.open;
+  const lifts = next.current?.lifts;
+  if (before === 0 && lifts?.open > 0) {
+    push('lifts-opened', `lifts-opened:${at.slice(0, 10)}`, `${resort.name}: lifts are turning — ${lifts.open}/${lifts.total} open.`);
+  }
+
+  const snow = next.current?.snow;
+  const fresh = snow?.snowOvernightCm ?? snow?.snow24HoursCm ?? null;
+  if (fresh != null && fresh >= rules.bigSnowCm) {
+    push('big-snow', `big-snow:${at.slice(0, 10)}`, `${resort.name}: ${fresh} cm of new snow overnight.`, { snowCm: fresh });
+  }
+
+  return events;
+}
+
+export async function loadLedger(file = ALERTS_FILE) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return { sent: {} };
+    throw e;
+  }
+}
+
+export async function saveLedger(ledger, file = ALERTS_FILE, now = new Date(), rules = ALERT_RULES) {
+  const cutoff = now.getTime() - rules.keepDays * 86400000;
+  const sent = Object.fromEntries(Object.entries(ledger.sent).filter(([, at]) => Date.parse(at) >= cutoff));
+  await fs.writeFile(file, JSON.stringify({ sent }, null, 2) + '\n');
+}
+
+// ---- Notifiers: { name, send(events, deps) } ----
+
+export function webhookNotifier(url) {
+  return {
+    name: 'webhook',
+    async send(events, deps) {
+      const res = await deps.fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ events }),
+      });
+      if (!res.ok) throw new Error(`webhook: HTTP ${res.status}`);
+    },
+  };
+}
+
+export function slackPayload(events) {
+  return {
+    text: events.map((e) => e.message).join('\n'),
+    blocks: events.map((e) => ({ type: 'section', text: { type: 'mrkdwn', text: e.message } })),
+  };
+}
+
+export function slackNotifier(url) {
+  return {
+    name: 'slack',
+    async send(events, deps) {
+      const res = await deps.fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(slackPayload(events)),
+      });
+      if (!res.ok) throw new Error(`slack: HTTP ${res.status}`);
+    },
+  };
+}
+
+export function emailMessage(events, { from, to }) {
+  const subject = events.length === 1 ? events[0].message : `${events.length} snowboard alerts`;
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    ...events.map((e) => `- ${e.message}`),
+  ].join('\r\n');
+}
+
+// Minimal SMTP client: implicit TLS on port 465, otherwise plain with STARTTLS when offered, AUTH PLAIN
+// when credentials are set. Enough for a relay or a mail provider's submission port.
+export async function sendSmtp({ host, port, secure, user, pass, from, to }, message, timeoutMs = 20000) {
+  let socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+  const flush = () => {
+    // A reply is complete when its last line is "NNN text" (continuation lines are "NNN-text").
+    const m = buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+    if (!m || !waiting) return;
+    const reply = { code: Number(m[1]), text: buffer };
+    buffer = '';
+    const w = waiting;
+    waiting = null;
+    w.resolve(reply);
+  };
+  const attach = (s) => {
+    s.setTimeout(timeoutMs, () => s.destroy(new Error(`smtp: timed out after ${timeoutMs} ms`)));
+    s.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      flush();
+    });
+    s.on('error', (e) => {
+      failure = e;
+      if (waiting) waiting.reject(e);
+    });
+    s.on('close', () => {
+      failure ??= new Error('smtp: connection closed');
+      if (waiting) waiting.reject(failure);
+    });
+  };
+  attach(socket);
+
+  const read = () => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    waiting = { resolve, reject };
+    flush();
+  });
+  const cmd = async (line, expect) => {
+    if (line != null) socket.write(line + '\r\n');
+    const reply = await read();
+    if (!expect.includes(reply.code)) throw new Error(`smtp: ${line?.split(' ')[0] ?? 'greeting'} → ${reply.text.trim()}`);
+    return reply;
+  };
+
+  try {
+    await cmd(null, [220]);
+    let ehlo = await cmd('EHLO cypress-snowboard-next', [250]);
+    if (!secure && /STARTTLS/i.test(ehlo.text)) {
+      await cmd('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket.setTimeout(0);
+      socket = tls.connect({ socket, servername: host });
+      attach(socket);
+      await new Promise((resolve, reject) => socket.once('secureConnect', resolve).once('error', reject));
+      ehlo = await cmd('EHLO cypress-snowboard-next', [250]);
+    }
+    if (user) {
+      await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass ?? ''}`).toString('base64')}`, [235]);
+    }
+    await cmd(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await cmd('DATA', [354]);
+    // Dot-stuff lines starting with "." and end with <CRLF>.<CRLF>.
+    await cmd(message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..') + '\r\n.', [250]);
+    await cmd('QUIT', [221]);
+  } finally {
+    socket.end();
+  }
+}
+
+export function emailNotifier(config) {
+  return {
+    name: 'email',
+    async send(events) {
+      await sendSmtp(config, emailMessage(events, config));
+    },
+  };
+}
+
+export function notifiersFromEnv(env = process.env) {
+  const out = [];
+  if (env.ALERT_WEBHOOK_URL) out.push(webhookNotifier(env.ALERT_WEBHOOK_URL));
+  if (env.ALERT_SLACK_WEBHOOK_URL) out.push(slackNotifier(env.ALERT_SLACK_WEBHOOK_URL));
+  if (env.ALERT_SMTP_HOST && env.ALERT_EMAIL_TO) {
+    const port = Number(env.ALERT_SMTP_PORT || 587);
+    out.push(emailNotifier({
+      host: env.ALERT_SMTP_HOST,
+      port,
+      secure: port === 465,
+      user: env.ALERT_SMTP_USER || null,
+      pass: env.ALERT_SMTP_PASS || null,
+      from: env.ALERT_EMAIL_FROM || env.ALERT_SMTP_USER || 'snowboard-next@localhost',
+      to: env.ALERT_EMAIL_TO.split(',').map((s) => s.trim()).filter(Boolean),
+    }));
+  }
+  return out;
+}
+
+// Sends the events not already in the ledger through every notifier. Keys are recorded once at least
+// one notifier delivered them, so a single broken channel doesn't cause repeats on the others.
+export async function dispatchAlerts(events, notifiers, ledger, deps) {
+  const fresh = events.filter((e) => !ledger.sent[e.key]);
+  const errors = [];
+  if (!fresh.length || !notifiers.length) return { sent: [], skipped: events.length - fresh.length, errors };
+
+  let delivered = false;
+  for (const n of notifiers) {
+    try {
+      await n.send(fresh, deps);
+      delivered = true;
+    } catch (e) {
+      errors.push({ notifier: n.name, error: String(e?.message ?? e) });
+    }
+  }
+  if (delivered) {
+    const at = deps.now().toISOString();
+    for (const e of fresh) ledger.sent[e.key] = at;
+  }
+  return { sent: delivered ? fresh : [], skipped: events.length - fresh.length, errors };
+}
@@ -0,0 +1,59 @@
+/*
+  Status badge: "Cypress | good · Thu Feb 5" as a small SVG, for READMEs, wikis and chat canvases that
+  show images but won't run the <cypress-next> widget (widget.js).
+
+  Drawn from the data file at build time, so it changes with each build, and shows the day verdict. The
+  text is monospace at a 0.6em advance, so the widths come out right without measuring fonts.
+*/
+
+import { createFormatter } from '../i18n.js';
+
+const COLORS = { label: '#1c3047', text: '#e8f0fc', ink: '#0c1824', good: '#6ee7b7', meh: '#fcd34d', bad: '#f87171', unknown: '#9cb3d4' };
+const FONT_SIZE = 11;
+const ADVANCE = FONT_SIZE * 0.6;
+const PAD = 6;
+const HEIGHT = 20;
+const en = createFormatter();
+
+export function badgeFile(dataFile) {
+  // data.json → badge.svg, data-grouse.json → badge-grouse.svg
+  const m = dataFile.match(/^data(?:-([\w-]+))?\.json$/);
+  return m?.[1] ? `badge-${m[1]}.svg` : 'badge.svg';
+}
+
+// { label, message, color } for the badge: the verdict's confidence and the day it points at.
+export function badgeText(data) {
+  const conf = ['good', 'meh', 'bad'].includes(data.next?.confidence) ? data.next.confidence : 'unknown';
+  // "Thu, Feb 5" → "Thu Feb 5"
+  const when = data.next?.date ? en.date(data.next.date).replace(',', '') : 'no good day yet';
+  return {
+    label: data.resort?.shortName ?? 'Cypress',
+    message: `${en.t(`stoke.${conf}`)} · ${when}`,
+    color: COLORS[conf],
+  };
+}
+
+function xmlEsc(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+export function badgeSvg(data) {
+  const { label, message, color } = badgeText(data);
+  const labelW = Math.round(label.length * ADVANCE + PAD * 2);
+  const messageW = Math.round(message.length * ADVANCE + PAD * 2);
+  const width = labelW + messageW;
+  const y = 14;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" viewBox="0 0 ${width} ${HEIGHT}" role="img" aria-label="${xmlEsc(`${label}: ${message}`)}">
+  <title>${xmlEsc(`${label}: ${message}`)}</title>
+  <clipPath id="r"><rect width="${width}" height="${HEIGHT}" rx="3"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelW}" height="${HEIGHT}" fill="${COLORS.label}"/>
+    <rect x="${labelW}" width="${messageW}" height="${HEIGHT}" fill="${color}"/>
+  </g>
+  <g font-family="'DejaVu Sans Mono', Menlo, Consolas, monospace" font-size="${FONT_SIZE}" font-weight="700">
+    <text x="${PAD}" y="${y}" fill="${COLORS.text}">${xmlEsc(label)}</text>
+    <text x="${labelW + PAD}" y="${y}" fill="${COLORS.ink}">${xmlEsc(message)}</text>
+  </g>
+</svg>
+`;
+}
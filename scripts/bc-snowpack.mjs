@@ -0,0 +1,145 @@
+/*
+  BC River Forecast Centre snow conditions commentary: parser and the running history.
+
+  The commentary page is a few paragraphs under a dated heading: a summary of the weather, the provincial
+  average as a % of the period-of-record median, then basin averages written as "Lower Fraser (88%)" (or
+  "Lower Fraser: 88%" in a list). We read the page as blocks (headings, paragraphs, list items) rather than
+  one flattened string, so the date heading, the summary paragraph and the basin list are found by shape
+  whatever the month. Every basin is kept; South Coast and Lower Fraser (the North Shore's basins) and
+  Vancouver Island get their own fields.
+
+  The Centre publishes every two weeks or so from January to June. Each update adds the commentary to
+  bcSnowpack.history (one point per commentary date) so the page can draw the trend.
+*/
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+// "February 18, 2026" / "Feb. 18 2026" or "18 February 2026".
+const LONG_DATE = new RegExp(`\\b(?:${MONTH}\\s+(\\d{1,2}),?\\s+(\\d{4})|(\\d{1,2})\\s+${MONTH},?\\s+(\\d{4}))\\b`, 'i');
+// "Lower Fraser (88%)", "Upper Fraser West (104% of median)", "South Coast: 82%". The name is any run of
+// capitalised words, so in prose it can pick up the word that starts the sentence; basinName() trims that.
+const BASIN = /([A-Z][A-Za-z.'’]*(?:[ -][A-Z][A-Za-z.'’]*)*)\s*(?:\(\s*(\d{1,3})\s*%[^)]*\)|[:–—]\s*(\d{1,3})\s*%)/g;
+
+// The Centre's snow basins. A matched name that ends in one of these is that basin ("The South Coast",
+// "Meanwhile Lower Fraser"); others keep their name less any leading STOPWORDS.
+const KNOWN_BASINS = [
+  'Upper Fraser West', 'Upper Fraser East', 'Nechako', 'Middle Fraser', 'Lower Fraser', 'North Thompson',
+  'South Thompson', 'Upper Columbia', 'West Kootenay', 'East Kootenay', 'Okanagan', 'Boundary', 'Similkameen',
+  'South Coast', 'Vancouver Island', 'Central Coast', 'Skagit', 'Peace', 'Skeena-Nass', 'Stikine', 'Liard',
+  'Northwest',
+];
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'in', 'on', 'at', 'of', 'for', 'with', 'while', 'meanwhile', 'but', 'both', 'across', 'elsewhere', 'snowpack', 'basin', 'basins']);
+
+// Points kept in bcSnowpack.history: about two seasons of bi-weekly commentaries.
+export const BC_HISTORY_MAX = 24;
+const BLURB_MAX = 260;
+
+// The first date in s ("February 18, 2026", "Feb. 18 2026", "18 February 2026") as ISO; null if none.
+export function isoFromLongDate(s) {
+  const m = String(s ?? '').match(LONG_DATE);
+  if (!m) return null;
+  const [month, day, year] = m[1] ? [m[1], m[2], m[3]] : [m[5], m[4], m[6]];
+  const mi = MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+  const d = new Date(Date.UTC(Number(year), mi, Number(day)));
+  if (d.getUTCMonth() !== mi) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+function textOf(html) {
+  return html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&rsquo;/g, '’')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Headings, paragraphs and list items in page order: [{ tag, text }].
+function blocks(html) {
+  const body = html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ');
+  return [...body.matchAll(/<(h[1-6]|p|li)\b[^>]*>([\s\S]*?)<\/\1>/gi)]
+    .map((m) => ({ tag: m[1].toLowerCase(), text: textOf(m[2]) }))
+    .filter((b) => b.text);
+}
+
+function basinName(raw) {
+  const known = KNOWN_BASINS.filter((b) => raw === b || raw.endsWith(` ${b}`)).sort((a, b) => b.length - a.length)[0];
+  if (known) return known;
+  const words = raw.split(' ');
+  while (words.length > 1 && STOPWORDS.has(words[0].toLowerCase())) words.shift();
+  return words.join(' ');
+}
+
+function basinsIn(text) {
+  const out = [];
+  for (const m of text.matchAll(BASIN)) {
+    const name = basinName(m[1].trim());
+    if (!out.some((b) => b.name === name)) out.push({ name, pctMedian: Number(m[2] ?? m[3]) });
+  }
+  return out;
+}
+
+const STATS_LINE = /provincial average|basin averages?|% of (?:the )?(?:period-of-record )?median|complete listing/i;
+
+export function parseBCCommentary(html) {
+  const all = blocks(html);
+
+  // The commentary's own date: a short heading that is a date, else "Last updated" on the page.
+  const dated = all.findIndex((b) => b.tag.startsWith('h') && b.text.length <= 40 && isoFromLongDate(b.text));
+  const lastUpdated = isoFromLongDate(textOf(html).match(/Last updated(?: on)?:?\s+(.{0,40})/i)?.[1]);
+  const updatedOn = dated === -1 ? lastUpdated : isoFromLongDate(all[dated].text);
+  const after = dated === -1 ? all : all.slice(dated + 1);
+  const text = after.map((b) => b.text).join(' ');
+
+  const provincial = text.match(/provincial average[^%]{0,160}?(\d{1,3})\s*%/i);
+
+  // Basin averages: the blocks that talk about basins, or list items; failing that, the whole commentary.
+  const basinBlocks = after.filter((b) => /basin/i.test(b.text) || b.tag === 'li');
+  let basins = basinsIn(basinBlocks.map((b) => b.text).join(' '));
+  if (!basins.length) basins = basinsIn(text);
+  const basin = (re) => basins.find((b) => re.test(b.name))?.pctMedian ?? null;
+
+  // Summary: the first real paragraph under the date that isn't one of the numbers lines.
+  const summary = after.find((b) => b.tag === 'p' && b.text.length > 40 && !STATS_LINE.test(b.text) && !/^last updated/i.test(b.text))?.text ?? null;
+
+  return {
+    updatedOn,
+    provincialPctMedian: provincial ? Number(provincial[1]) : null,
+    southCoastPctMedian: basin(/^south coast$/i),
+    lowerFraserPctMedian: basin(/^lower fraser$/i),
+    vancouverIslandPctMedian: basin(/^vancouver island$/i),
+    basins,
+    blurb: summary && summary.length > BLURB_MAX ? summary.slice(0, BLURB_MAX) + '…' : summary,
+  };
+}
+
+// The North Shore's own snowpack number: South Coast and Lower Fraser averaged, or Vancouver Island when the
+// commentary has neither (as in data files from before the basins were read). { basins, pct } or null.
+export function coastalSnowpack(bc) {
+  const own = [bc?.southCoastPctMedian, bc?.lowerFraserPctMedian].filter((v) => typeof v === 'number');
+  if (own.length) return { basins: 'coast', pct: Math.round(own.reduce((a, b) => a + b, 0) / own.length) };
+  if (typeof bc?.vancouverIslandPctMedian === 'number') return { basins: 'vancouverIsland', pct: bc.vancouverIslandPctMedian };
+  return null;
+}
+
+// previous: the last data file's history. A fresh commentary adds (or replaces) the point for its date;
+// a stale or failed one leaves the history as it was.
+export function bcHistory(bc, previous = []) {
+  const history = [...(previous ?? [])];
+  if (bc?.updatedOn && !bc.error && !bc.stale) {
+    const point = {
+      date: bc.updatedOn,
+      provincial: bc.provincialPctMedian ?? null,
+      southCoast: bc.southCoastPctMedian ?? null,
+      lowerFraser: bc.lowerFraserPctMedian ?? null,
+      vancouverIsland: bc.vancouverIslandPctMedian ?? null,
+    };
+    const i = history.findIndex((p) => p.date === point.date);
+    if (i === -1) history.push(point);
+    else history[i] = point;
+  }
+  return history.sort((a, b) => a.date.localeCompare(b.date)).slice(-BC_HISTORY_MAX);
+}
@@ -1,54 +1,203 @@
 #!/usr/bin/env node
 /**
  * Build static site: merge editorial.md (rendered to HTML) into data.json, output to dist/.
+ * editorial.md can carry frontmatter and {{data.json}} placeholders; hand-typed numbers that no longer
+ * match the data are reported (see scripts/editorial.mjs). --strict-editorial turns those warnings into a
+ * failed build.
+ * Also renders history.html from the archived snapshots in history/ (see scripts/history.mjs)
+ * and an iCalendar feed of good days per resort (see scripts/ical.mjs).
+ * index.html is prerendered from data.json with Open Graph/Twitter meta and a share image (see
+ * scripts/prerender.mjs, scripts/share-image.mjs); set SITE_URL to make their URLs absolute.
+ * Embeds: widget.js (the <cypress-next> web component) and a status badge SVG per resort (see
+ * scripts/badge.mjs).
+ * Makes the site an installable PWA: manifest, icons and sw.js stamped with a version hash of the
+ * shell and the list of files to precache (see scripts/pwa.mjs).
+ * Every data file is migrated to the current schema and validated (scripts/schema.mjs) before
+ * anything is written to dist/, which is emptied first.
  * Run: npm run build
  */
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { marked } from "marked";
+import { loadHistory, verifyAll } from "./history.mjs";
+import { buildEditorial } from "./editorial.mjs";
+import { buildCalendar, calendarFile } from "./ical.mjs";
+import { assertValidData, migrateData } from "./schema.mjs";
+import { ICONS, iconPng, manifest, serviceWorker, versionOf } from "./pwa.mjs";
+import { prerenderPage } from "./prerender.mjs";
+import { sharePng, shareSvg } from "./share-image.mjs";
+import { badgeFile, badgeSvg } from "./badge.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const root = path.resolve(__dirname, "..");
 const distDir = path.join(root, "dist");
 
-const STATIC = ["index.html", "app.js", "style.css"];
+const STATIC = ["index.html", "app.js", "scoring.js", "i18n.js", "style.css"];
+// Copied for other sites to load; not part of the page shell the service worker caches.
+const EMBED = ["widget.js"];
 
-async function main() {
-  if (!fs.existsSync(distDir)) fs.mkdirSync(distDir, { recursive: true });
+function esc(v) {
+  return String(v ?? "—").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function pct(v) {
+  return v == null ? "n/a" : `${v}%`;
+}
+
+function renderHistoryPage(report) {
+  const sections = Object.entries(report.resorts).map(([id, r]) => {
+    const rows = [...r.rows].reverse().map((row) => `
+          <tr class="${row.hit == null ? "" : row.hit ? "hit" : "miss"}">
+            <td>${esc(row.date)}</td>
+            <td>${row.predictedStoke ? `<span class="pill stoke-pill ${esc(row.predictedStoke)}">${esc(row.predictedStoke)}</span>` : "—"}</td>
+            <td>${esc(row.leadDays)}</td>
+            <td>${esc(row.predictedSnowCm)} / ${esc(row.observedSnowCm)}</td>
+            <td>${esc(row.liftsOpen)}/${esc(row.liftsTotal)}</td>
+            <td>${row.hit == null ? "—" : row.hit ? "hit" : "miss"}</td>
+          </tr>`).join("");
+    return `
+    <section class="card history-resort" id="${esc(id)}">
+      <h3>${esc(r.name)} <span class="stoke-sub">(${r.snapshots} snapshots)</span></h3>
+      <div class="kv">
+        <div><span class="k">Days verified</span><span class="v">${r.stats.days} (stoke hit rate ${pct(r.stats.dayHitRate)})</span></div>
+        <div><span class="k">"Good" calls</span><span class="v">${r.stats.goodCalls} (hit rate ${pct(r.stats.goodCallHitRate)})</span></div>
+        <div><span class="k">Next-good-day calls</span><span class="v">${r.stats.verdicts} (hit rate ${pct(r.stats.verdictHitRate)})</span></div>
+        <div><span class="k">Snowfall error</span><span class="v">${r.stats.snowMaeCm == null ? "n/a" : `${r.stats.snowMaeCm} cm (mean abs.)`}</span></div>
+      </div>
+      <table class="history-table">
+        <thead><tr><th>Date</th><th>Predicted</th><th>Lead (days)</th><th>Snow cm (fcst / obs)</th><th>Lifts</th><th>Result</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+  }).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Forecast vs reality — When can I snowboard next?</title>
+  <link rel="stylesheet" href="style.css" />
+</head>
+<body>
+  <main class="wrap">
+    <header class="hero">
+      <h1>Forecast vs reality</h1>
+      <p class="sub">How our calls held up against what the mountain reports showed. A day counts as good when most lifts actually ran. <a href="index.html">Back to the forecast</a></p>
+    </header>
+    ${sections || '<section class="card"><p class="muted">No history yet. Each update run archives into history/.</p></section>'}
+  </main>
+</body>
+</html>
+`;
+}
+
+function readDataFile(file) {
+  // Older files are migrated to the current schema first; anything still invalid stops the build.
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(path.join(root, file), "utf-8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+  return assertValidData(migrateData(raw), file);
+}
 
-  const dataPath = path.join(root, "data.json");
+async function main() {
   const editorialPath = path.join(root, "editorial.md");
 
+  // Read and validate every data file before touching dist/, so a bad file never ships.
   let data = {};
+  const extras = [];
   try {
-    data = JSON.parse(fs.readFileSync(dataPath, "utf-8"));
+    data = readDataFile("data.json");
+    // Extra resorts each have their own data file (see scripts/resorts.mjs); ship the ones that exist.
+    for (const r of data.resorts || []) {
+      if (r.dataFile === "data.json") continue;
+      if (!fs.existsSync(path.join(root, r.dataFile))) {
+        console.warn(`${r.dataFile} not found: leaving ${r.id} out of the resort switcher (run update.mjs to add it).`);
+        continue;
+      }
+      extras.push({ file: r.dataFile, data: readDataFile(r.dataFile) });
+    }
   } catch (e) {
-    console.error("Failed to read data.json:", e.message);
+    console.error(`Failed to read data files: ${e.message}`);
     process.exit(1);
   }
 
+  // Only list resorts whose data file ships, so the switcher and the comparison never point at a missing file.
+  const shipped = new Set(["data.json", ...extras.map((e) => e.file)]);
+  const onlyShipped = (d) => (Array.isArray(d.resorts) ? { ...d, resorts: d.resorts.filter((r) => shipped.has(r.dataFile)) } : d);
+  data = onlyShipped(data);
+  for (const extra of extras) extra.data = onlyShipped(extra.data);
+
   if (fs.existsSync(editorialPath)) {
-    const md = fs.readFileSync(editorialPath, "utf-8").trim();
-    const html = await marked.parse(md);
-    data.editorial = data.editorial || {};
-    data.editorial.blurbHtml = typeof html === "string" ? html : String(html);
+    const { editorial, errors } = buildEditorial(fs.readFileSync(editorialPath, "utf-8"), data);
+    for (const w of editorial.warnings) console.warn(`editorial.md: ${w}`);
+    if (errors.length || (editorial.warnings.length && process.argv.includes("--strict-editorial"))) {
+      for (const e of errors) console.error(`editorial.md: ${e}`);
+      console.error("Build stopped: fix editorial.md (or update it for the new data).");
+      process.exit(1);
+    }
+    const { body, ...meta } = editorial;
+    const html = await marked.parse(body);
+    data.editorial = { ...data.editorial, ...meta, blurbHtml: typeof html === "string" ? html : String(html) };
   }
 
+  // Start from an empty dist/: files from an earlier build (dev scenarios, a resort since removed) would
+  // otherwise ship with the deploy.
+  fs.rmSync(distDir, { recursive: true, force: true });
+  fs.mkdirSync(distDir, { recursive: true });
+
   fs.writeFileSync(
     path.join(distDir, "data.json"),
     JSON.stringify(data, null, 2),
     "utf-8"
   );
+  fs.writeFileSync(path.join(distDir, calendarFile("data.json")), buildCalendar(data), "utf-8");
+  fs.writeFileSync(path.join(distDir, badgeFile("data.json")), badgeSvg(data), "utf-8");
 
-  for (const name of STATIC) {
+  // Each extra resort gets its data file, its own calendar feed and badge.
+  for (const extra of extras) {
+    fs.writeFileSync(path.join(distDir, extra.file), JSON.stringify(extra.data, null, 2), "utf-8");
+    fs.writeFileSync(path.join(distDir, calendarFile(extra.file)), buildCalendar(extra.data), "utf-8");
+    fs.writeFileSync(path.join(distDir, badgeFile(extra.file)), badgeSvg(extra.data), "utf-8");
+  }
+
+  const report = verifyAll(await loadHistory());
+  fs.writeFileSync(path.join(distDir, "history.html"), renderHistoryPage(report), "utf-8");
+
+  for (const name of [...STATIC, ...EMBED]) {
     const src = path.join(root, name);
     if (fs.existsSync(src)) {
       fs.copyFileSync(src, path.join(distDir, name));
     }
   }
 
-  console.log("Built dist/ with data.json + editorial HTML and static assets.");
+  // Prerendered page + share image for the default resort; app.js re-renders over it on load.
+  const siteUrl = process.env.SITE_URL || null;
+  const page = prerenderPage(fs.readFileSync(path.join(root, "index.html"), "utf-8"), data, { siteUrl });
+  fs.writeFileSync(path.join(distDir, "index.html"), page, "utf-8");
+  fs.writeFileSync(path.join(distDir, "share.png"), sharePng(data));
+  fs.writeFileSync(path.join(distDir, "share.svg"), shareSvg(data), "utf-8");
+
+  fs.writeFileSync(path.join(distDir, "manifest.webmanifest"), JSON.stringify(manifest(data), null, 2), "utf-8");
+  for (const icon of ICONS) fs.writeFileSync(path.join(distDir, icon.file), iconPng(icon.size));
+
+  // The shell cache is keyed on the shell's contents, so a deploy that changes any of it replaces the
+  // old cache; the data files are precached too so the first offline visit has something to show.
+  const shell = [...STATIC, "history.html", "manifest.webmanifest", ...ICONS.map((i) => i.file)];
+  const version = versionOf(shell.map((f) => [f, fs.readFileSync(path.join(distDir, f))]));
+  const sw = serviceWorker(fs.readFileSync(path.join(root, "sw.js"), "utf-8"), {
+    version,
+    shell: ["./", ...shell],
+    data: ["data.json", ...extras.map((e) => e.file)],
+  });
+  fs.writeFileSync(path.join(distDir, "sw.js"), sw, "utf-8");
+
+  console.log("Built dist/ with data.json + editorial HTML, history page, calendar feeds, badges + widget, prerendered index + share image, PWA manifest + service worker and static assets.");
 }
 
 main().catch((e) => {
@@ -0,0 +1,199 @@
+/*
+  Climatology for seasonalGuess(): how often each week of the year has been rideable, from the Open-Meteo
+  historical archive (no key) at the resort's coordinates and summit elevation.
+
+  The archive has daily snowfall, rain and mean temperature but no snow depth worth using at the scale of a
+  ski hill, so a small degree-day model builds a snowpack from them, carried day to day from September 1:
+  each day adds its snowfall, melts MODEL.meltCmPerDegreeDay per °C of mean temperature above 0 plus
+  MODEL.rainMeltCmPerMm per mm of rain, and settles by MODEL.settlePerDay. A day is rideable with a modelled
+  base of MODEL.rideableBaseCm or more; a week counts for a season when MODEL.rideableDays of its days are.
+  pRideable is the share of seasons in which the week counted.
+
+  Weeks run from January 1 (week 0 = Jan 1–7) to week 51, which takes the last 8 days of the year; in a
+  leap year Feb 29 goes with Feb 28, so a week holds the same dates every year. `npm run climatology` writes climatology.json at the repo root; commit it. update.mjs only
+  reads the file, so updates don't need the archive.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { RESORTS, getResort } from './resorts.mjs';
+
+export const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+export const CLIMATOLOGY_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'climatology.json');
+export const WEEKS = 52;
+
+export const MODEL = {
+  rideableBaseCm: 50,
+  rideableDays: 4,
+  meltCmPerDegreeDay: 1,
+  rainMeltCmPerMm: 0.1,
+  settlePerDay: 0.01,
+};
+
+const DEFAULT_SEASONS = 30;
+const MONTH_START = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Week of the year for an "MM-DD" (or ISO date). Feb 29 shares Feb 28's week.
+export function weekIndex(md) {
+  const [m, d] = md.slice(-5).split('-').map(Number);
+  const doy = MONTH_START[m - 1] + Math.min(d, m === 2 ? 28 : 31) - 1;
+  return Math.min(WEEKS - 1, Math.floor(doy / 7));
+}
+
+// ISO date the week starts on in a given year. Weeks are month-day ranges (see weekIndex), so in a leap
+// year Feb 29 lengthens week 8 and every week from March on starts a day later than Jan 1 + 7 × week.
+export function weekStart(week, year) {
+  const leap = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+  const doy = week * 7 + (leap && week * 7 >= MONTH_START[2] ? 1 : 0);
+  return new Date(Date.UTC(year, 0, 1 + doy)).toISOString().slice(0, 10);
+}
+
+// Seasons run September to August; a season is named by the year it starts in.
+function seasonOf(iso) {
+  const year = Number(iso.slice(0, 4));
+  return Number(iso.slice(5, 7)) >= 9 ? year : year - 1;
+}
+
+export function archiveUrl(resort, { start, end }) {
+  const u = new URL(ARCHIVE_URL);
+  u.searchParams.set('latitude', String(resort.lat));
+  u.searchParams.set('longitude', String(resort.lon));
+  u.searchParams.set('elevation', String(resort.summitM));
+  u.searchParams.set('timezone', resort.tz);
+  u.searchParams.set('start_date', start);
+  u.searchParams.set('end_date', end);
+  u.searchParams.set('daily', 'snowfall_sum,rain_sum,temperature_2m_mean');
+  return u.toString();
+}
+
+// daily: the archive's `daily` block. Returns [{ date, baseCm, rideable }], one per day.
+export function snowpackSeries(daily, model = MODEL) {
+  const time = daily?.time ?? [];
+  let base = 0;
+  return time.map((date, i) => {
+    if (date.slice(5) === '09-01') base = 0;
+    const snow = Number(daily.snowfall_sum?.[i] ?? 0);
+    const rain = Number(daily.rain_sum?.[i] ?? 0);
+    const temp = Number(daily.temperature_2m_mean?.[i] ?? 0);
+    base = (base + snow) * (1 - model.settlePerDay);
+    base = Math.max(0, base - model.meltCmPerDegreeDay * Math.max(0, temp) - model.rainMeltCmPerMm * rain);
+    return { date, baseCm: Math.round(base * 10) / 10, rideable: base >= model.rideableBaseCm };
+  });
+}
+
+// [{ week, start: 'MM-DD', pRideable, medianBaseCm }] from a snowpack series covering whole seasons.
+export function weeklyOdds(series, model = MODEL) {
+  // season -> week -> { rideable days, bases }
+  const seasons = new Map();
+  for (const day of series) {
+    const s = seasonOf(day.date);
+    if (!seasons.has(s)) seasons.set(s, new Map());
+    const weeks = seasons.get(s);
+    const w = weekIndex(day.date);
+    if (!weeks.has(w)) weeks.set(w, { rideable: 0, bases: [] });
+    const cell = weeks.get(w);
+    if (day.rideable) cell.rideable += 1;
+    cell.bases.push(day.baseCm);
+  }
+
+  return Array.from({ length: WEEKS }, (_, week) => {
+    const cells = [...seasons.values()].map((weeks) => weeks.get(week)).filter((c) => c && c.bases.length >= 7);
+    const bases = cells.map((c) => c.bases.reduce((a, b) => a + b, 0) / c.bases.length).sort((a, b) => a - b);
+    return {
+      week,
+      start: weekStart(week, 2001).slice(5),
+      pRideable: cells.length ? round2(cells.filter((c) => c.rideable >= model.rideableDays).length / cells.length) : 0,
+      medianBaseCm: bases.length ? Math.round(bases[Math.floor(bases.length / 2)]) : null,
+    };
+  });
+}
+
+// The last `seasons` complete seasons (September 1 to August 31) before now.
+export function seasonRange(now, seasons = DEFAULT_SEASONS) {
+  const last = seasonOf(now.toISOString().slice(0, 10)) - 1;
+  return { first: last - seasons + 1, last, start: `${last - seasons + 1}-09-01`, end: `${last + 1}-08-31` };
+}
+
+export async function buildClimatology(resort, deps, { seasons = DEFAULT_SEASONS } = {}) {
+  const range = seasonRange(deps.now(), seasons);
+  const url = archiveUrl(resort, range);
+  const res = await deps.fetch(url);
+  if (!res.ok) throw new Error(`open-meteo archive: HTTP ${res.status}`);
+  const j = await res.json();
+  if (!Array.isArray(j?.daily?.time) || !j.daily.time.length) throw new Error('open-meteo archive: no daily data');
+  return {
+    lat: resort.lat,
+    lon: resort.lon,
+    elevationM: resort.summitM,
+    seasons: { first: range.first, last: range.last },
+    weeks: weeklyOdds(snowpackSeries(j.daily)),
+  };
+}
+
+// A week's odds shifted by this season's snowpack (% of median): the odds (p / (1 - p)) scale with
+// (pct / 100)^SNOWPACK_WEIGHT, so 120% lifts an even week to 59% and 80% drops it to 39%. Certain
+// weeks (0 or 1) stay put.
+export const SNOWPACK_WEIGHT = 2;
+
+export function snowpackOdds(p, pct) {
+  if (pct == null || p <= 0 || p >= 1) return p;
+  const odds = (p / (1 - p)) * (pct / 100) ** SNOWPACK_WEIGHT;
+  return round2(odds / (1 + odds));
+}
+
+let cached;
+
+// climatology.json, or null when it hasn't been built yet. Read once per process.
+export function loadClimatology() {
+  if (cached === undefined) {
+    cached = readClimatology(CLIMATOLOGY_FILE);
+    // Not an error, but the season outlook is much rougher without it; say so in the update log.
+    if (!cached) console.warn(`${path.basename(CLIMATOLOGY_FILE)} not found or unreadable: the seasonal guess goes by the month (run npm run climatology).`);
+  }
+  return cached;
+}
+
+function readClimatology(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const i = argv.indexOf('--resort');
+  const resorts = i === -1 ? RESORTS : [getResort(argv[i + 1])];
+  if (resorts.includes(null)) {
+    throw new Error(`Unknown resort "${argv[i + 1]}". Known: ${RESORTS.map((r) => r.id).join(', ')}`);
+  }
+  const s = argv.indexOf('--seasons');
+  const seasons = s === -1 ? DEFAULT_SEASONS : Number(argv[s + 1]);
+
+  const deps = { fetch: (...args) => globalThis.fetch(...args), now: () => new Date() };
+  const out = readClimatology(CLIMATOLOGY_FILE) ?? { resorts: {} };
+  for (const resort of resorts) {
+    out.resorts[resort.id] = await buildClimatology(resort, deps, { seasons });
+    const { first, last } = out.resorts[resort.id].seasons;
+    console.log(`${resort.id}: ${last - first + 1} seasons (${first}–${last + 1})`);
+  }
+  out.generatedAt = deps.now().toISOString();
+  out.source = ARCHIVE_URL;
+  out.model = MODEL;
+  fs.writeFileSync(CLIMATOLOGY_FILE, JSON.stringify(out, null, 2) + '\n', 'utf8');
+  console.log(`Wrote ${path.relative(process.cwd(), CLIMATOLOGY_FILE)}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,180 @@
+/*
+  Local dev server: npm run dev [-- --port 8080]
+
+  Builds the site (scripts/build.mjs) and the scenario data files (scripts/scenarios.mjs) into dist/,
+  serves dist/ on http://127.0.0.1:<port>/ and rebuilds when the page sources change (editorial.md, the
+  data files, app.js, scoring.js, i18n.js, index.html, style.css, widget.js, or anything under scripts/).
+  Open pages reload themselves after each good build; a failed build is reported here and the page stays as it was.
+
+  Every HTML page gets two additions on the way out: the live-reload client (an EventSource on
+  /__livereload) and a small bar to pick a scenario. ?scenario=<id> makes app.js read its data files from
+  scenarios/<id>/ instead of the real ones. sw.js is replaced with one that removes itself, so a cached
+  shell from an earlier `npm run build` preview doesn't hide changes.
+*/
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { SCENARIOS } from './scenarios.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+const DEBOUNCE_MS = 150;
+const WATCHED = /^(?:editorial\.md|data(?:-[\w-]+)?\.json|app\.js|scoring\.js|i18n\.js|index\.html|style\.css|sw\.js|widget\.js)$/;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+const UNREGISTER_SW = `self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) await caches.delete(key);
+    await self.registration.unregister();
+  })());
+});
+`;
+
+// The live-reload client and the scenario bar, added before </body> of every HTML response.
+export function devSnippet(scenarioIds) {
+  const options = ['', ...scenarioIds]
+    .map((id) => `<option value="${id}">${id ? `scenario: ${id}` : 'real data files'}</option>`)
+    .join('');
+  return `<div id="devBar" style="position:fixed;right:8px;bottom:8px;z-index:1000;font:12px system-ui;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:8px;padding:4px 8px">
+<label>dev <select id="devScenario">${options}</select></label>
+</div>
+<script>
+(() => {
+  const url = new URL(location.href);
+  const select = document.getElementById('devScenario');
+  select.value = url.searchParams.get('scenario') ?? '';
+  select.onchange = () => {
+    if (select.value) url.searchParams.set('scenario', select.value);
+    else url.searchParams.delete('scenario');
+    location.href = url.toString();
+  };
+  new EventSource('/__livereload').addEventListener('reload', () => location.reload());
+})();
+</script>
+`;
+}
+
+export function injectDevSnippet(html, scenarioIds) {
+  const snippet = devSnippet(scenarioIds);
+  return html.includes('</body>') ? html.replace('</body>', `${snippet}</body>`) : html + snippet;
+}
+
+// dist/ path for a request URL, or null when it would leave dist/.
+export function distPath(urlPath, dist = DIST) {
+  let rel;
+  try {
+    rel = decodeURIComponent(urlPath.split('?')[0]);
+  } catch {
+    return null;
+  }
+  if (rel.endsWith('/')) rel += 'index.html';
+  const file = path.resolve(dist, `.${rel}`);
+  return file === dist || file.startsWith(dist + path.sep) ? file : null;
+}
+
+function run(script, args = []) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'scripts', script), ...args], { cwd: ROOT, stdio: 'inherit' });
+    child.on('exit', (code) => resolve(code === 0));
+    child.on('error', () => resolve(false));
+  });
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const i = argv.indexOf('--port');
+  const port = Number(i === -1 ? process.env.PORT ?? 8080 : argv[i + 1]);
+  const scenarioIds = Object.keys(SCENARIOS);
+  const clients = new Set();
+
+  // One build at a time; changes during a build queue exactly one more.
+  let building = null;
+  let again = false;
+  async function rebuild(reason) {
+    if (building) {
+      again = true;
+      return;
+    }
+    building = (async () => {
+      console.log(`\n[dev] building (${reason})`);
+      const ok = (await run('build.mjs')) && (await run('scenarios.mjs', [path.join(DIST, 'scenarios')]));
+      if (ok) {
+        for (const res of clients) res.write('event: reload\ndata: \n\n');
+      } else {
+        console.error('[dev] build failed; fix it and save again');
+      }
+    })();
+    await building;
+    building = null;
+    if (again) {
+      again = false;
+      await rebuild('changed during the last build');
+    }
+  }
+
+  let timer = null;
+  const changed = (file) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => rebuild(`${file} changed`), DEBOUNCE_MS);
+  };
+  fs.watch(ROOT, (event, name) => {
+    if (name && WATCHED.test(name)) changed(name);
+  });
+  fs.watch(path.join(ROOT, 'scripts'), (event, name) => {
+    if (name && /\.mjs$/.test(name) && name !== 'dev.mjs') changed(`scripts/${name}`);
+  });
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/__livereload') {
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-store', connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    const file = distPath(req.url);
+    if (!file) {
+      res.writeHead(400).end('bad path');
+      return;
+    }
+    const headers = { 'content-type': TYPES[path.extname(file)] ?? 'application/octet-stream', 'cache-control': 'no-store' };
+    if (path.relative(DIST, file) === 'sw.js') {
+      res.writeHead(200, headers).end(UNREGISTER_SW);
+      return;
+    }
+    fs.readFile(file, (err, body) => {
+      if (err) {
+        res.writeHead(404, { 'content-type': 'text/plain; charset=utf-8' }).end(`not found: ${req.url}`);
+        return;
+      }
+      res.writeHead(200, headers).end(file.endsWith('.html') ? injectDevSnippet(body.toString('utf8'), scenarioIds) : body);
+    });
+  });
+
+  rebuild('start').then(() => {
+    server.listen(port, '127.0.0.1', () => {
+      console.log(`[dev] http://127.0.0.1:${port}/  (scenarios: ${scenarioIds.map((id) => `?scenario=${id}`).join(' ')})`);
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,81 @@
+/*
+  DriveBC road events for a resort's access road (the "Getting there" card).
+
+  DriveBC publishes its events (incidents, closures, road conditions, construction) as an Open511 feed:
+  open data, no key. We ask for the active events in a box around the road and keep the ones whose
+  `roads` entry names it; an event on Highway 1 that only mentions the Cypress Bowl Rd exit stays out.
+  Each event is cut down to what the page and decideNext need: type, severity, whether it closes the road
+  and what it says about tires or chains.
+
+  Winter tires are also required on designated BC highways for part of the year whatever the events say
+  (resort.road.winterTires, MM-DD inclusive), so the requirement is the stronger of the two.
+*/
+
+export const OPEN511_EVENTS = 'https://api.open511.gov.bc.ca/events';
+
+const SEVERITY_RANK = { MAJOR: 3, MODERATE: 2, MINOR: 1, UNKNOWN: 0 };
+const REQUIREMENT_RANK = { chains: 2, winterTires: 1 };
+
+export function roadEventsUrl(road) {
+  const u = new URL(OPEN511_EVENTS);
+  u.searchParams.set('format', 'json');
+  u.searchParams.set('status', 'ACTIVE');
+  u.searchParams.set('bbox', road.bbox.join(','));
+  return u.toString();
+}
+
+// 'chains', 'winterTires' or null from an event description. "Winter tires or chains required" only asks
+// for winter tires; chains count when the text requires them on their own.
+export function tireRequirement(text) {
+  const t = String(text ?? '').replace(/\s+/g, ' ').replace(/winter tires? or chains/gi, 'winter tires');
+  if (/chains? (?:are )?(?:required|mandatory)|must carry chains|chain-up (?:is )?in effect/i.test(t)) return 'chains';
+  if (/winter tires? (?:are )?required/i.test(t)) return 'winterTires';
+  return null;
+}
+
+function inWindow(md, { start, end }) {
+  return start <= end ? md >= start && md <= end : md >= start || md <= end;
+}
+
+function strongest(a, b) {
+  return (REQUIREMENT_RANK[b?.level] ?? 0) > (REQUIREMENT_RANK[a?.level] ?? 0) ? b : a;
+}
+
+// json: an Open511 /events response. Returns the road's events, closures and major ones first.
+export function parseRoadEvents(json, road, { now = new Date(), tz = 'America/Vancouver' } = {}) {
+  if (!Array.isArray(json?.events)) throw new Error('drivebc: no events array in the response');
+
+  const events = json.events
+    .filter((e) => e.status === 'ACTIVE' && (e.roads ?? []).some((r) => road.match.test(r.name ?? '')))
+    .map((e) => {
+      const onRoad = e.roads.filter((r) => road.match.test(r.name ?? ''));
+      return {
+        id: e.id,
+        type: e.event_type ?? null,
+        severity: e.severity ?? 'UNKNOWN',
+        description: String(e.description ?? '').trim(),
+        closed: onRoad.some((r) => r.state === 'CLOSED') || (e.event_subtypes ?? []).includes('ROAD_CLOSED'),
+        requirement: tireRequirement(e.description),
+        updated: e.updated ?? e.created ?? null,
+        url: e.url ?? null,
+      };
+    })
+    .sort((a, b) => Number(b.closed) - Number(a.closed) || (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0));
+
+  const md = now.toLocaleDateString('en-CA', { timeZone: tz, month: '2-digit', day: '2-digit' });
+  let requirement = road.winterTires && inWindow(md, road.winterTires)
+    ? { level: 'winterTires', source: 'season', ...road.winterTires }
+    : null;
+  for (const e of events) {
+    if (e.requirement) requirement = strongest(requirement, { level: e.requirement, source: 'event' });
+  }
+
+  return { name: road.name, closed: events.some((e) => e.closed), requirement, events };
+}
+
+export async function fetchRoadEvents(resort, deps) {
+  const url = roadEventsUrl(resort.road);
+  const res = await deps.fetch(url, { headers: { accept: 'application/json' } });
+  if (!res.ok) throw new Error(`drivebc: HTTP ${res.status}`);
+  return { ...parseRoadEvents(await res.json(), resort.road, { now: deps.now(), tz: resort.tz }), sourceUrl: url };
+}
@@ -0,0 +1,149 @@
+/*
+  editorial.md → data.editorial, for build.mjs.
+
+  editorial.md may start with frontmatter:
+
+    ---
+    author: Andy
+    written-at: 2026-02-02T06:40:00-08:00
+    valid-for: 2026-02-02
+    ---
+
+  and use placeholders bound to data.json, e.g. {{current.lifts.open}}, {{forecast.days[1].rainMm}},
+  with `today` / `tomorrow` as shorthands for forecast.days[0] / [1]. An unknown placeholder is an error.
+
+  checkEditorial() then looks at the numbers still typed in by hand — "0/6 lifts", "26.6mm", "120cm base",
+  "11cm", "127%" — and warns when none of the current data matches them (at the precision written), and
+  when the editorial is older than the data or written for a different day.
+*/
+
+export function parseFrontmatter(md) {
+  const m = md.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, body: md };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (kv) meta[kv[1]] = kv[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return { meta, body: md.slice(m[0].length) };
+}
+
+const ALIASES = { today: 'forecast.days[0]', tomorrow: 'forecast.days[1]' };
+
+export function resolvePath(data, expr) {
+  const [head, ...rest] = expr.split('.');
+  const full = [ALIASES[head] ?? head, ...rest].join('.');
+  let node = data;
+  for (const part of full.match(/[^.[\]]+/g) ?? []) {
+    if (node == null || !(part in Object(node))) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+const PLACEHOLDER = /\{\{\s*([\w.[\]-]+)\s*\}\}/g;
+
+export function renderTemplate(body, data) {
+  const errors = [];
+  const out = body.replace(PLACEHOLDER, (whole, expr) => {
+    const v = resolvePath(data, expr);
+    if (v === undefined) {
+      errors.push(`unknown placeholder {{${expr}}}`);
+      return whole;
+    }
+    if (v === null) return '—';
+    if (typeof v === 'object') {
+      errors.push(`placeholder {{${expr}}} is not a single value`);
+      return whole;
+    }
+    return String(v);
+  });
+  return { text: out, errors };
+}
+
+function decimals(literal) {
+  return literal.includes('.') ? literal.split('.')[1].length : 0;
+}
+
+function matchesAny(literal, values) {
+  const n = Number(literal);
+  const p = 10 ** decimals(literal);
+  return values.some((v) => typeof v === 'number' && Math.round(v * p) / p === n);
+}
+
+function numbersUnder(node, keyTest, out = []) {
+  if (Array.isArray(node)) node.forEach((n) => numbersUnder(n, keyTest, out));
+  else if (node && typeof node === 'object') {
+    for (const [k, v] of Object.entries(node)) {
+      if (typeof v === 'number' && keyTest(k)) out.push(v);
+      else if (v && typeof v === 'object') numbersUnder(v, keyTest, out);
+    }
+  }
+  return out;
+}
+
+function dataDate(data) {
+  return data.forecast?.days?.[0]?.date ?? data.generatedAt?.slice(0, 10) ?? null;
+}
+
+// body: the editorial with placeholders still in place, so only hand-typed numbers are checked.
+export function checkEditorial(meta, body, data) {
+  const warnings = [];
+  const text = body.replace(PLACEHOLDER, ' ');
+  const lifts = data.current?.lifts;
+  const days = data.forecast?.days ?? [];
+  const rain = numbersUnder(days, (k) => /rainMm$/.test(k));
+  const snow = [...numbersUnder(days, (k) => /snowfallCm$|snowCm$/.test(k)), ...numbersUnder(data.current?.snow, (k) => /Cm$/.test(k))];
+  const pct = numbersUnder(data.bcSnowpack, (k) => /pct/i.test(k));
+
+  for (const m of text.matchAll(/(\d+)\s*\/\s*(\d+)\s*lifts?/gi)) {
+    if (Number(m[1]) !== lifts?.open || Number(m[2]) !== lifts?.total) {
+      warnings.push(`"${m[0]}" but the report shows ${lifts?.open ?? '?'}/${lifts?.total ?? '?'} lifts`);
+    }
+  }
+  for (const m of text.matchAll(/(\d+(?:\.\d+)?)\s*cm\s+base/gi)) {
+    if (!matchesAny(m[1], [data.current?.snow?.baseDepthCm])) {
+      warnings.push(`"${m[0]}" but the base depth is ${data.current?.snow?.baseDepthCm ?? 'unknown'} cm`);
+    }
+  }
+  for (const m of text.matchAll(/(\d+(?:\.\d+)?)\s*cm\b(?!\s+base)/gi)) {
+    if (!matchesAny(m[1], snow)) warnings.push(`"${m[0]}" matches no snow total in the report or forecast`);
+  }
+  for (const m of text.matchAll(/(\d+(?:\.\d+)?)\s*mm\b/gi)) {
+    if (!matchesAny(m[1], rain)) warnings.push(`"${m[0]}" matches no forecast rain amount`);
+  }
+  for (const m of text.matchAll(/(\d+(?:\.\d+)?)\s*%/g)) {
+    if (!matchesAny(m[1], pct)) warnings.push(`"${m[0]}" matches no BC snowpack percentage`);
+  }
+
+  const written = meta['written-at'] ? Date.parse(meta['written-at']) : null;
+  if (meta['written-at'] && Number.isNaN(written)) {
+    warnings.push(`written-at "${meta['written-at']}" is not a date (use ISO 8601 with an offset)`);
+  } else if (written != null && data.generatedAt && written < Date.parse(data.generatedAt)) {
+    warnings.push(`written at ${meta['written-at']}, before the data it describes (generated ${data.generatedAt})`);
+  }
+  const validFor = meta['valid-for'];
+  if (validFor && dataDate(data) && validFor !== dataDate(data)) {
+    warnings.push(`valid for ${validFor}, but the data is for ${dataDate(data)}`);
+  }
+  return warnings;
+}
+
+// → { editorial: { body, author, writtenAt, validFor, stale, warnings }, errors }
+// body is still markdown; build.mjs renders it.
+export function buildEditorial(md, data) {
+  const { meta, body } = parseFrontmatter(md);
+  const { text, errors } = renderTemplate(body, data);
+  const warnings = checkEditorial(meta, body, data);
+  return {
+    editorial: {
+      body: text.trim(),
+      author: meta.author ?? null,
+      writtenAt: meta['written-at'] ?? null,
+      validFor: meta['valid-for'] ?? null,
+      stale: warnings.length > 0,
+      warnings,
+    },
+    errors,
+  };
+}
@@ -0,0 +1,183 @@
+/*
+  Snapshot history + forecast-vs-reality verification.
+
+  Every update run archives each resort's data file to history/<local date>/<resort>-<HHMMSS>.json,
+  local to the resort's time zone (resort.tz in the data file).
+  Verification then lines up, per resort and per date D:
+  - what we predicted: the latest snapshot taken before D (its forecast day D, and any `next` verdict pointing at D),
+  - what happened: lift counts from snapshots taken on D, and new snow from the first snapshot on D+1
+    (the report's 24h total the morning after; overnight as a fallback).
+
+  The report can't tell us whether it rained, so "observed good" means most lifts actually turned
+  (same lift ratio as the live rule in scoring.js).
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { RULES } from '../scoring.js';
+import { migrateData } from './schema.mjs';
+
+export const HISTORY_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'history');
+
+// For snapshots from before the resort's tz was stored in the data file.
+const DEFAULT_TZ = 'America/Vancouver';
+
+// Local calendar date and HHMMSS in the resort's time zone.
+export function localParts(iso, tz = DEFAULT_TZ) {
+  const d = new Date(iso);
+  const date = d.toLocaleDateString('en-CA', { timeZone: tz });
+  const time = d.toLocaleTimeString('en-GB', { timeZone: tz, hourCycle: 'h23' }).replaceAll(':', '');
+  return { date, time };
+}
+
+function addDays(date, n) {
+  const d = new Date(date + 'T12:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(b + 'T12:00:00Z') - new Date(a + 'T12:00:00Z')) / 86400000);
+}
+
+export async function archiveSnapshot(out, dir = HISTORY_DIR) {
+  const { date, time } = localParts(out.generatedAt, out.resort?.tz ?? DEFAULT_TZ);
+  const dayDir = path.join(dir, date);
+  await fs.mkdir(dayDir, { recursive: true });
+  const file = path.join(dayDir, `${out.resort?.id ?? 'cypress'}-${time}.json`);
+  await fs.writeFile(file, JSON.stringify(out, null, 2) + '\n');
+  return file;
+}
+
+export async function loadHistory(dir = HISTORY_DIR) {
+  let dates = [];
+  try {
+    dates = (await fs.readdir(dir, { withFileTypes: true }))
+      .filter((e) => e.isDirectory() && /^\d{4}-\d{2}-\d{2}$/.test(e.name))
+      .map((e) => e.name)
+      .sort();
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const snapshots = [];
+  for (const date of dates) {
+    const files = (await fs.readdir(path.join(dir, date))).filter((f) => f.endsWith('.json')).sort();
+    for (const f of files) {
+      try {
+        snapshots.push(migrateData(JSON.parse(await fs.readFile(path.join(dir, date, f), 'utf8'))));
+      } catch (e) {
+        console.warn(`history: skipping ${date}/${f}: ${e.message}`);
+      }
+    }
+  }
+  return snapshots;
+}
+
+function observe(snaps, date) {
+  // Lifts: best count seen on the day. Snow: first report the morning after.
+  const onDay = snaps.filter((s) => s.localDate === date);
+  const after = snaps.filter((s) => s.localDate === addDays(date, 1));
+  if (!onDay.length && !after.length) return null;
+
+  let liftsOpen = null;
+  let liftsTotal = null;
+  for (const s of onDay) {
+    const l = s.data.current?.lifts;
+    if (l?.open == null || l?.total == null) continue;
+    if (liftsOpen == null || l.open > liftsOpen) {
+      liftsOpen = l.open;
+      liftsTotal = l.total;
+    }
+  }
+
+  const morning = after[0]?.data.current?.snow;
+  const snowCm = morning?.snow24HoursCm ?? morning?.snowOvernightCm ?? null;
+
+  const good = liftsOpen != null ? liftsOpen / liftsTotal >= RULES.minLiftRatio : null;
+  return { liftsOpen, liftsTotal, snowCm, good };
+}
+
+function rate(hits, total) {
+  return total ? Math.round((hits / total) * 1000) / 10 : null;
+}
+
+export function verifyResort(snapshots) {
+  const snaps = snapshots
+    .map((data) => ({ data, localDate: localParts(data.generatedAt, data.resort?.tz ?? DEFAULT_TZ).date }))
+    .sort((a, b) => a.data.generatedAt.localeCompare(b.data.generatedAt));
+
+  const dates = [...new Set(snaps.map((s) => s.localDate))];
+  const rows = [];
+
+  for (const date of dates) {
+    const observed = observe(snaps, date);
+    if (observed?.good == null) continue;
+
+    const before = snaps.filter((s) => s.localDate < date);
+    const predictor = [...before].reverse().find((s) => s.data.forecast?.days?.some((d) => d.date === date));
+    const predicted = predictor?.data.forecast.days.find((d) => d.date === date) ?? null;
+
+    rows.push({
+      date,
+      leadDays: predictor ? daysBetween(predictor.localDate, date) : null,
+      predictedStoke: predicted?.stoke ?? null,
+      predictedSnowCm: predicted?.snowfallCm ?? null,
+      predictedRainBefore3pm: predicted?.rainBefore3pm ?? null,
+      observedSnowCm: observed.snowCm,
+      liftsOpen: observed.liftsOpen,
+      liftsTotal: observed.liftsTotal,
+      observedGood: observed.good,
+      hit: predicted ? (predicted.stoke === 'good') === observed.good : null,
+    });
+  }
+
+  // decideNext verdicts: every snapshot whose `next` named a date we later observed.
+  const byDate = new Map(rows.map((r) => [r.date, r]));
+  const verdicts = snaps
+    .filter((s) => s.data.next?.date && byDate.has(s.data.next.date))
+    .map((s) => ({
+      madeAt: s.data.generatedAt,
+      date: s.data.next.date,
+      confidence: s.data.next.confidence,
+      hit: byDate.get(s.data.next.date).observedGood,
+    }));
+
+  const scored = rows.filter((r) => r.hit != null);
+  const predictedGood = scored.filter((r) => r.predictedStoke === 'good');
+  const snowRows = rows.filter((r) => r.predictedSnowCm != null && r.observedSnowCm != null);
+
+  return {
+    rows,
+    verdicts,
+    stats: {
+      days: scored.length,
+      dayHitRate: rate(scored.filter((r) => r.hit).length, scored.length),
+      goodCalls: predictedGood.length,
+      goodCallHitRate: rate(predictedGood.filter((r) => r.observedGood).length, predictedGood.length),
+      verdicts: verdicts.length,
+      verdictHitRate: rate(verdicts.filter((v) => v.hit).length, verdicts.length),
+      snowMaeCm: snowRows.length
+        ? Math.round((snowRows.reduce((sum, r) => sum + Math.abs(r.predictedSnowCm - r.observedSnowCm), 0) / snowRows.length) * 10) / 10
+        : null,
+    },
+  };
+}
+
+export function verifyAll(snapshots) {
+  const byResort = new Map();
+  for (const s of snapshots) {
+    const id = s.resort?.id ?? 'cypress';
+    if (!byResort.has(id)) byResort.set(id, { name: s.resort?.name ?? 'Cypress Mountain', snapshots: [] });
+    byResort.get(id).snapshots.push(s);
+  }
+
+  const resorts = {};
+  for (const [id, { name, snapshots: list }] of byResort) {
+    resorts[id] = { name, snapshots: list.length, ...verifyResort(list) };
+  }
+  return { generatedAt: new Date().toISOString(), resorts };
+}
@@ -0,0 +1,113 @@
+/*
+  iCalendar (RFC 5545) feed of the upcoming good days, written into dist/ by build.mjs.
+
+  One all-day VEVENT per forecast day whose stoke is "good". The UID is derived from the resort and the
+  date only, so when a later build changes the numbers the calendar app updates the event instead of
+  adding a second one. SEQUENCE counts whole hours from SEQUENCE_EPOCH to the data's generation time:
+  updates run hours apart, so each one goes up and clients that compare revisions (RFC 5545 3.8.7.4) take
+  the newer description, while the number stays small (clients often keep it in 32 bits). Days that stop
+  being good are simply left out: subscribed calendars drop events that disappear from the feed on their
+  next refresh.
+*/
+
+import { createFormatter } from '../i18n.js';
+
+const PRODID = '-//cypress-snowboard-next//good days//EN';
+const en = createFormatter();
+const CRLF = '\r\n';
+const SEQUENCE_EPOCH = Date.UTC(2025, 0, 1);
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space. Never split a UTF-8 sequence.
+export function foldLine(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    const limit = out.length ? 74 : 75;
+    if (bytes + n > limit) {
+      out.push(cur);
+      cur = '';
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join(CRLF + ' ');
+}
+
+function icsDate(date) {
+  return date.replaceAll('-', '');
+}
+
+function icsTimestamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDate(date) {
+  const d = new Date(date + 'T12:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+export function eventUid(resortId, date) {
+  return `${date}-${resortId}@cypress-snowboard-next`;
+}
+
+function describeDay(day, next) {
+  const lines = [
+    `Snow: ${day.snowfallCm ?? 0} cm. Rain: ${day.rainMm ?? 0} mm (before 3pm: ${day.rainBefore3pm ? 'yes' : 'none'}).`,
+  ];
+  if (next?.reasons?.length) {
+    lines.push('', `Current call: ${en.message(next.label)}`, ...next.reasons.map((r) => `- ${en.message(r)}`));
+  }
+  return lines.join('\n');
+}
+
+export function buildCalendar(data) {
+  const resort = data.resort ?? { id: 'cypress', name: 'Cypress Mountain' };
+  const generatedAt = data.generatedAt ?? new Date().toISOString();
+  const stamp = icsTimestamp(generatedAt);
+  const sequence = Math.max(0, Math.floor((Date.parse(generatedAt) - SEQUENCE_EPOCH) / 3600000));
+  const good = (data.forecast?.days ?? []).filter((d) => d.stoke === 'good');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Good snowboard days — ${resort.name}`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+  for (const day of good) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${eventUid(resort.id, day.date)}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${icsDate(day.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDate(day.date))}`,
+      `SUMMARY:${escapeText(`Good day to ride ${resort.shortName ?? resort.name}`)}`,
+      `DESCRIPTION:${escapeText(describeDay(day, data.next))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+export function calendarFile(dataFile) {
+  // data.json → good-days.ics, data-grouse.json → good-days-grouse.ics
+  const m = dataFile.match(/^data(?:-([\w-]+))?\.json$/);
+  return m?.[1] ? `good-days-${m[1]}.ics` : 'good-days.ics';
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/*
+  Rewrite data files and archived snapshots in place at the current data.json schemaVersion.
+
+  Usage:
+    node scripts/migrate.mjs           # data*.json at the repo root + everything under history/
+    node scripts/migrate.mjs --check   # only report what would change / what is still invalid
+
+  The build and the history loader migrate on read anyway; this makes the files on disk match.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { HISTORY_DIR } from './history.mjs';
+import { SCHEMA_VERSION, migrateData, validateData } from './schema.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function listFiles() {
+  const files = (await fs.readdir(ROOT))
+    .filter((f) => /^data(-[\w-]+)?\.json$/.test(f))
+    .map((f) => path.join(ROOT, f));
+  let dates = [];
+  try {
+    dates = await fs.readdir(HISTORY_DIR);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  for (const date of dates.sort()) {
+    const dir = path.join(HISTORY_DIR, date);
+    if (!(await fs.stat(dir)).isDirectory()) continue;
+    for (const f of (await fs.readdir(dir)).filter((n) => n.endsWith('.json')).sort()) files.push(path.join(dir, f));
+  }
+  return files;
+}
+
+async function main() {
+  const check = process.argv.includes('--check');
+  let migrated = 0;
+  let invalid = 0;
+
+  for (const file of await listFiles()) {
+    const rel = path.relative(ROOT, file);
+    const raw = JSON.parse(await fs.readFile(file, 'utf8'));
+    const out = migrateData(raw);
+    for (const e of validateData(out)) {
+      invalid++;
+      console.error(`${rel}: ${e.path}: ${e.message}`);
+    }
+    if (raw.schemaVersion === SCHEMA_VERSION) continue;
+    migrated++;
+    if (check) {
+      process.stdout.write(`${rel}: v${raw.schemaVersion ?? 0} → v${SCHEMA_VERSION}\n`);
+    } else {
+      await fs.writeFile(file, JSON.stringify(out, null, 2) + '\n');
+      process.stdout.write(`Migrated ${rel} (v${raw.schemaVersion ?? 0} → v${SCHEMA_VERSION})\n`);
+    }
+  }
+
+  process.stdout.write(`${migrated} file(s) ${check ? 'need migrating' : 'migrated'}, ${invalid} schema error(s).\n`);
+  if (invalid) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
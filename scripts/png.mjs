@@ -0,0 +1,117 @@
+/*
+  Tiny raster canvas + PNG encoder, so the build can draw icons and the share image without image tooling.
+
+  createRaster(width, height, background) gives fillRect / text / png. Text uses a built-in 5×7 bitmap font
+  (upper case, digits and common punctuation; lower case is drawn as upper case), scaled by whole pixels:
+  each character is 6 × scale wide including spacing and 7 × scale tall.
+*/
+
+import zlib from 'node:zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// rgb: width × height × 3 bytes, row by row.
+export function encodePng(width, height, rgb) {
+  const stride = width * 3;
+  const rows = Buffer.alloc(height * (1 + stride)); // each row: filter byte 0, then RGB
+  for (let y = 0; y < height; y++) rgb.copy(rows, y * (1 + stride) + 1, y * stride, (y + 1) * stride);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolour, deflate, no filter, no interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Rows top to bottom, 5 bits each (MSB = leftmost pixel).
+const FONT = {
+  A: [14, 17, 17, 31, 17, 17, 17], B: [30, 17, 17, 30, 17, 17, 30], C: [14, 17, 16, 16, 16, 17, 14],
+  D: [30, 17, 17, 17, 17, 17, 30], E: [31, 16, 16, 30, 16, 16, 31], F: [31, 16, 16, 30, 16, 16, 16],
+  G: [14, 17, 16, 23, 17, 17, 15], H: [17, 17, 17, 31, 17, 17, 17], I: [14, 4, 4, 4, 4, 4, 14],
+  J: [7, 2, 2, 2, 2, 18, 12], K: [17, 18, 20, 24, 20, 18, 17], L: [16, 16, 16, 16, 16, 16, 31],
+  M: [17, 27, 21, 21, 17, 17, 17], N: [17, 17, 25, 21, 19, 17, 17], O: [14, 17, 17, 17, 17, 17, 14],
+  P: [30, 17, 17, 30, 16, 16, 16], Q: [14, 17, 17, 17, 21, 18, 13], R: [30, 17, 17, 30, 20, 18, 17],
+  S: [15, 16, 16, 14, 1, 1, 30], T: [31, 4, 4, 4, 4, 4, 4], U: [17, 17, 17, 17, 17, 17, 14],
+  V: [17, 17, 17, 17, 17, 10, 4], W: [17, 17, 17, 21, 21, 21, 10], X: [17, 17, 10, 4, 10, 17, 17],
+  Y: [17, 17, 10, 4, 4, 4, 4], Z: [31, 1, 2, 4, 8, 16, 31],
+  0: [14, 17, 19, 21, 25, 17, 14], 1: [4, 12, 4, 4, 4, 4, 14], 2: [14, 17, 1, 2, 4, 8, 31],
+  3: [31, 2, 4, 2, 1, 17, 14], 4: [2, 6, 10, 18, 31, 2, 2], 5: [31, 16, 30, 1, 1, 17, 14],
+  6: [6, 8, 16, 30, 17, 17, 14], 7: [31, 1, 2, 4, 8, 8, 8], 8: [14, 17, 17, 14, 17, 17, 14],
+  9: [14, 17, 17, 15, 1, 2, 12],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8],
+  ':': [0, 12, 12, 0, 12, 12, 0], '-': [0, 0, 0, 14, 0, 0, 0], '—': [0, 0, 0, 31, 0, 0, 0],
+  '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8], '/': [0, 1, 2, 4, 8, 16, 0],
+  '!': [4, 4, 4, 4, 4, 0, 4], '?': [14, 17, 1, 2, 4, 0, 4], '%': [24, 25, 2, 4, 8, 19, 3],
+  '+': [0, 4, 4, 31, 4, 4, 0], "'": [4, 4, 8, 0, 0, 0, 0], '&': [12, 18, 20, 8, 21, 18, 13],
+  '#': [10, 10, 31, 10, 31, 10, 10], '°': [12, 18, 18, 12, 0, 0, 0], '·': [0, 0, 0, 4, 0, 0, 0],
+};
+const ALIASES = { '–': '-', '’': "'", '‘': "'", '“': "'", '”': "'", '"': "'", '…': '.' };
+
+// Upper-cased, accents dropped, anything the font can't draw turned into a space.
+export function fontText(s) {
+  return String(s)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/./gu, (c) => (FONT[c] ? c : ALIASES[c] ?? ' '));
+}
+
+export function textWidth(s, scale) {
+  return fontText(s).length * 6 * scale - scale;
+}
+
+function hexRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+export function createRaster(width, height, background = '#000000') {
+  const rgb = Buffer.alloc(width * height * 3);
+
+  function fillRect(x, y, w, h, color) {
+    const c = hexRgb(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) rgb.set(c, (py * width + px) * 3);
+    }
+  }
+
+  // (x, y) is the top-left of the first character.
+  function text(s, x, y, scale, color) {
+    [...fontText(s)].forEach((ch, i) => {
+      FONT[ch].forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (16 >> col)) fillRect(x + (i * 6 + col) * scale, y + row * scale, scale, scale, color);
+        }
+      });
+    });
+  }
+
+  fillRect(0, 0, width, height, background);
+  return { width, height, fillRect, text, png: () => encodePng(width, height, rgb) };
+}
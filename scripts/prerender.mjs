@@ -0,0 +1,173 @@
+/*
+  Prerender index.html from data.json for build.mjs, so the page reads without JS and link previews show
+  the real verdict instead of "Loading…".
+
+  Fills the headline, reasons, Stoke-o-meter and the Right now / Getting there / BC / Sources panels by element id with the
+  same markup app.js renders for the default rules (day session), and adds Open Graph / Twitter meta built
+  from next.label pointing at the share image (scripts/share-image.mjs). app.js renders over all of it on
+  load. Things that depend on the viewer's clock (stale notes, the offline notice) stay to app.js.
+*/
+
+import { createFormatter } from '../i18n.js';
+import { DEFAULT_PROFILE, isRainExcluded, isSkipped, modelsDisagree } from '../scoring.js';
+import { SHARE_HEIGHT, SHARE_WIDTH } from './share-image.mjs';
+
+const en = createFormatter();
+
+export const SHARE_IMAGE = 'share.png';
+
+export function esc(v) {
+  return String(v ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function byId(id) {
+  return new RegExp(`(<(\\w+)\\b[^>]*\\bid="${id}"[^>]*>)([\\s\\S]*?)(</\\2>)`);
+}
+
+// Only for elements whose content has no nested tag of the same name, which holds for every target here.
+export function setInner(html, id, inner) {
+  const re = byId(id);
+  if (!re.test(html)) throw new Error(`prerender: #${id} not found in index.html`);
+  return html.replace(re, (_, open, _tag, _old, close) => `${open}${inner}${close}`);
+}
+
+export function setAttr(html, id, name, value) {
+  const re = new RegExp(`<\\w+\\b[^>]*\\bid="${id}"[^>]*>`);
+  const m = html.match(re);
+  if (!m) throw new Error(`prerender: #${id} not found in index.html`);
+  const attr = new RegExp(`\\s${name}="[^"]*"`);
+  const tag = attr.test(m[0]) ? m[0].replace(attr, ` ${name}="${esc(value)}"`) : m[0].replace(/\s*\/?>$/, (end) => ` ${name}="${esc(value)}"${end}`);
+  return html.replace(m[0], () => tag);
+}
+
+// Drops the hidden attribute of the element with this id (cards index.html hides until there's data).
+export function showById(html, id) {
+  const re = new RegExp(`(<\\w+\\b[^>]*\\bid="${id}"[^>]*?)\\s+hidden(?=[\\s/>])`);
+  if (!new RegExp(`\\bid="${id}"`).test(html)) throw new Error(`prerender: #${id} not found in index.html`);
+  return html.replace(re, '$1');
+}
+
+// Mirrors renderRoad() in app.js.
+function roadHtml(html, road, tz) {
+  html = showById(html, 'roadCard');
+  html = setInner(html, 'roadSource', esc(en.t('road.source', { road: road.name })));
+  html = setInner(html, 'roadStatus', esc(en.t(road.closed ? 'road.closed' : 'road.open')));
+  if (road.closed) html = setAttr(html, 'roadStatus', 'class', 'v road-closed');
+  const req = road.requirement;
+  html = setInner(html, 'roadTires', esc(!req
+    ? en.t('road.noRequirement')
+    : en.t(req.level === 'chains' ? 'road.chains' : req.source === 'season' ? 'road.winterTiresSeason' : 'road.winterTires')));
+  const events = (road.events ?? []).map((e) => {
+    const when = e.updated ? `<span class="muted"> (${esc(en.t('road.eventUpdated', { time: en.dateTime(e.updated, tz) }))})</span>` : '';
+    const type = e.type ? en.t(`roadEvent.${e.type}`) : '—';
+    return `<li${e.closed ? ' class="closed"' : ''}><strong>${esc(type)}</strong> — ${esc(e.description)}${when}</li>`;
+  });
+  return setInner(html, 'roadEvents', events.join('') || `<li class="muted">${esc(en.t('road.noEvents'))}</li>`);
+}
+
+function confidenceClass(conf) {
+  return conf === 'good' ? 'good' : conf === 'meh' ? 'meh' : 'bad';
+}
+
+// Mirrors renderStoke() in app.js for the day session (minus the Hourly toggle, which needs JS).
+// isToday: the first forecast day, labelled "(today)".
+export function stokeDayHtml(d, profile = DEFAULT_PROFILE, isToday = false) {
+  const excluded = isRainExcluded(d, profile);
+  const skipped = isSkipped(d, profile);
+  const out = [
+    `<span class="stoke-day-label">${esc(en.dayLabel(d.date, isToday))}</span>`,
+    `<span class="pill stoke-pill ${esc(d.stoke)}">${esc(en.stoke(d.stoke))}</span>`,
+  ];
+  if (d.surface) {
+    out.push(`<span class="stoke-surface surface-${esc(d.surface)}">${esc(en.surface(d.surface))}</span>`);
+  }
+  if (d.windRisk) {
+    const wind = d.maxGustKmh != null
+      ? en.t('card.windGusts', { risk: d.windRisk, gust: d.maxGustKmh })
+      : en.t('card.wind', { risk: d.windRisk });
+    out.push(`<span class="stoke-wind wind-${esc(d.windRisk)}">${esc(wind)}</span>`);
+  }
+  const parts = [];
+  if (skipped) parts.push(en.t('card.weekend'));
+  if (excluded) parts.push(en.t('card.rainAm'));
+  if (d.windRisk === 'high') parts.push(en.t('card.windHold'));
+  if (d.snowfallCm > 0) parts.push(en.t('card.snow', { cm: d.snowfallCm }));
+  if (d.rainMm > 0 && !excluded) parts.push(en.t('card.rain', { mm: d.rainMm }));
+  if (modelsDisagree(d)) parts.push(en.t('card.modelsDisagree'));
+  out.push(`<span class="stoke-day-detail">${esc(parts.length ? parts.join(' · ') : en.t('card.dry'))}</span>`);
+  return `<div class="stoke-day${skipped ? ' skipped' : ''}" role="listitem">${out.join('')}</div>`;
+}
+
+function describe(data) {
+  return (data.next?.reasons ?? []).slice(0, 3).map(en.message).join(' ') || 'Best-effort guess from lift status, snow totals and the forecast.';
+}
+
+// siteUrl (e.g. https://example.github.io/cypress-snowboard-next/) makes og:url/og:image absolute, which
+// most link unfurlers require; without it the image URL is left relative.
+export function socialMeta(data, { siteUrl = null } = {}) {
+  const title = data.next?.label ? en.message(data.next.label) : en.t('ui.title');
+  const site = en.t('ui.docTitle', { resort: data.resort?.shortName ?? 'Cypress' });
+  const image = siteUrl ? new URL(SHARE_IMAGE, siteUrl).href : SHARE_IMAGE;
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', site],
+    ['property', 'og:title', title],
+    ['property', 'og:description', describe(data)],
+    ...(siteUrl ? [['property', 'og:url', new URL('./', siteUrl).href]] : []),
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', String(SHARE_WIDTH)],
+    ['property', 'og:image:height', String(SHARE_HEIGHT)],
+    ['property', 'og:image:alt', `${title}, with a 14-day stoke strip`],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', describe(data)],
+    ['name', 'twitter:image', image],
+  ];
+  return tags.map(([attr, key, value]) => `  <meta ${attr}="${key}" content="${esc(value)}" />`).join('\n');
+}
+
+export function prerenderPage(template, data, opts = {}) {
+  let html = template;
+  const shortName = data.resort?.shortName ?? 'Cypress';
+  html = html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${esc(en.t('ui.docTitle', { resort: shortName }))}</title>`);
+  html = html.replace('</head>', () => `${socialMeta(data, opts)}\n</head>`);
+
+  html = setInner(html, 'resortName', esc(data.resort?.name ?? 'Cypress Mountain'));
+  html = setInner(html, 'nextDay', esc(data.next?.label ? en.message(data.next.label) : en.t('ui.unknownVerdict')));
+  const conf = (data.next?.confidence ?? 'unknown').toLowerCase();
+  html = setInner(html, 'confidence', esc(en.stoke(conf)));
+  html = setAttr(html, 'confidence', 'class', `pill ${confidenceClass(conf)}`);
+  html = setInner(html, 'updated', esc(en.t('ui.lastUpdated', { time: en.dateTime(data.generatedAt, data.resort?.tz) })));
+  if (data.editorial?.blurbHtml) html = setInner(html, 'editorial', data.editorial.blurbHtml);
+  html = setInner(html, 'reasons', (data.next?.reasons ?? []).map((r) => `<li>${esc(en.message(r))}</li>`).join(''));
+  html = setInner(html, 'stokeMeter', (data.forecast?.days ?? []).map((d, i) => stokeDayHtml(d, DEFAULT_PROFILE, i === 0)).join(''));
+
+  const lifts = data.current?.lifts;
+  if (lifts) html = setInner(html, 'lifts', esc(en.t('ui.liftsValue', lifts)));
+  const snow = data.current?.snow;
+  if (snow) {
+    html = setInner(html, 'snow7', esc(en.snow(snow.snow7DaysCm)));
+    html = setInner(html, 'base', esc(en.snow(snow.baseDepthCm)));
+  }
+
+  const road = data.road;
+  if (road && !(road.error && !road.stale)) html = roadHtml(html, road, data.resort?.tz);
+
+  const bc = data.bcSnowpack;
+  if (bc && !(bc.error && !bc.stale)) {
+    html = setInner(html, 'bcUpdated', esc(en.t('ui.lastUpdated', { time: en.longDate(bc.updatedOn) })));
+    const pct = (v) => (v != null ? en.t('ui.pctMedian', { pct: v }) : '—');
+    html = setInner(html, 'bcProv', esc(pct(bc.provincialPctMedian)));
+    html = setInner(html, 'bcSC', esc(pct(bc.southCoastPctMedian)));
+    html = setInner(html, 'bcLF', esc(pct(bc.lowerFraserPctMedian)));
+    html = setInner(html, 'bcVI', esc(pct(bc.vancouverIslandPctMedian)));
+    html = setInner(html, 'bcBlurb', esc(bc.blurb ?? ''));
+    // The trend chart is drawn by app.js; the basin list reads fine as text.
+    const basins = (bc.basins ?? []).map((b) => ({ key: 'ui.basinPct', params: { name: b.name, pct: b.pctMedian } }));
+    if (basins.length) html = setInner(html, 'bcBasins', esc(en.t('ui.bcBasins', { basins })));
+  }
+
+  html = setInner(html, 'sources', (data.sources ?? [])
+    .map((s) => `<li><a href="${esc(s.url)}" target="_blank" rel="noopener">${esc(s.label)}</a></li>`).join(''));
+  return html;
+}
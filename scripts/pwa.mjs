@@ -0,0 +1,58 @@
+/*
+  Installable PWA bits for build.mjs: the web app manifest, PNG icons drawn with scripts/png.mjs (no image
+  tooling needed) and the service worker (sw.js at the repo root) stamped with a version and its precache
+  lists.
+*/
+
+import crypto from 'node:crypto';
+import { createRaster } from './png.mjs';
+
+const BG = '#0c1824';
+const MOUNTAIN = '#93c5fd';
+const SNOW = '#e8f0fc';
+
+export const ICONS = [
+  { file: 'icon-192.png', size: 192 },
+  { file: 'icon-512.png', size: 512 },
+];
+
+export function manifest(data) {
+  const name = data.resort?.shortName ?? 'Cypress';
+  return {
+    name: 'When can I snowboard next?',
+    short_name: `Ride ${name}?`,
+    description: 'Best-effort guess at the next good snowboarding day on the North Shore.',
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: '#0c1824',
+    theme_color: '#0c1824',
+    icons: ICONS.map(({ file, size }) => ({ src: file, sizes: `${size}x${size}`, type: 'image/png', purpose: 'any maskable' })),
+  };
+}
+
+// A peak inside the maskable safe zone (the middle 80%): blue mountain, snow-capped above 45%.
+export function iconPng(size) {
+  const r = createRaster(size, size, BG);
+  const top = Math.round(size * 0.26);
+  const base = Math.round(size * 0.74);
+  for (let y = top; y < base; y++) {
+    const half = ((y - top) / (base - top)) * 0.36 * size;
+    r.fillRect(size / 2 - half, y, half * 2, 1, y < size * 0.45 ? SNOW : MOUNTAIN);
+  }
+  return r.png();
+}
+
+// ---- Service worker ----
+
+export function versionOf(files) {
+  const h = crypto.createHash('sha256');
+  for (const [name, content] of files) h.update(name).update('\0').update(content);
+  return h.digest('hex').slice(0, 12);
+}
+
+export function serviceWorker(template, build) {
+  const line = /^const BUILD = .*;$/m;
+  if (!line.test(template)) throw new Error('sw.js: BUILD line not found');
+  return template.replace(line, `const BUILD = ${JSON.stringify(build)};`);
+}
@@ -0,0 +1,182 @@
+/*
+  Mountain report providers.
+
+  A provider turns a resort's report into { lifts, snow }. update.mjs walks the chain in order and
+  fills whatever is still missing from the next provider, so a plain-HTTP read can supply snow totals
+  while agent-browser fills in lifts (or vice versa). Each provider has its own timeout; a resort can
+  override it with report.timeouts[<provider name>].
+
+  - http: fetches report.dataUrl (a JSON feed) or the report page itself and reads the data the page
+    hydrates from client-side (Next.js __NEXT_DATA__, or any inline application/json script). It only
+    counts when it finds both lifts and snow.
+  - agent-browser: the original headless-browser scrape of the rendered sections. Needs the binary.
+*/
+
+const EMPTY_LIFTS = { open: null, total: null, closed: null };
+
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function extractEmbeddedJson(html) {
+  // Inline JSON the page hydrates from. Returns every blob that parses.
+  const blobs = [];
+  const re = /<script\b[^>]*type=["']application\/(?:ld\+)?json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  for (const m of html.matchAll(re)) {
+    try {
+      blobs.push(JSON.parse(m[1]));
+    } catch {}
+  }
+  return blobs;
+}
+
+function walk(node, visit, key = '') {
+  if (Array.isArray(node)) {
+    visit(node, key);
+    node.forEach((child) => walk(child, visit, key));
+  } else if (node && typeof node === 'object') {
+    visit(node, key);
+    for (const [k, v] of Object.entries(node)) walk(v, visit, k);
+  }
+}
+
+function toNumber(v) {
+  if (typeof v === 'number' && Number.isFinite(v)) return v;
+  if (typeof v === 'string') {
+    const m = v.match(/^\s*(\d+(?:\.\d+)?)\s*(?:cm)?\s*$/i);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+// Snow field names seen on ski-area report feeds, mapped to our keys. First match wins.
+const SNOW_KEYS = [
+  ['snowOvernightCm', /overnight/i],
+  ['snow24HoursCm', /(?:^|[^\d])24/],
+  ['snow48HoursCm', /(?:^|[^\d])48/],
+  ['snow7DaysCm', /7.?day|seven.?day|week/i],
+  ['seasonTotalCm', /season/i],
+  ['baseDepthCm', /base/i],
+];
+
+export function parseReportData(data) {
+  // Generic reader for report JSON: the lift list is the array of { name, status } objects under
+  // a key mentioning lifts; snow totals are numeric fields whose names mention the period.
+  let lifts = null;
+  walk(data, (node, key) => {
+    if (lifts || !Array.isArray(node) || !/lift/i.test(key) || !node.length) return;
+    if (!node.every((l) => l && typeof l === 'object' && typeof l.status === 'string')) return;
+    const open = node.filter((l) => /^open/i.test(l.status)).length;
+    lifts = { open, total: node.length, closed: node.length - open };
+  });
+
+  const snow = Object.fromEntries(SNOW_KEYS.map(([k]) => [k, null]));
+  walk(data, (node) => {
+    if (Array.isArray(node)) return;
+    for (const [k, v] of Object.entries(node)) {
+      if (!/snow|base|depth|total/i.test(k)) continue;
+      const n = toNumber(v);
+      if (n == null) continue;
+      const hit = SNOW_KEYS.find(([, re]) => re.test(k));
+      if (hit && snow[hit[0]] == null) snow[hit[0]] = n;
+    }
+  });
+
+  return { lifts: lifts ?? { ...EMPTY_LIFTS }, snow };
+}
+
+export const httpProvider = {
+  name: 'http',
+  timeoutMs: 15000,
+  async run(resort, deps, signal) {
+    const url = resort.report.dataUrl ?? resort.report.url;
+    const res = await deps.fetch(url, { redirect: 'follow', signal });
+    if (!res.ok) throw new Error(`fetch ${url}: HTTP ${res.status}`);
+    const ct = res.headers.get('content-type') || '';
+    const body = await res.text();
+
+    const blobs = ct.includes('json') ? [JSON.parse(body)] : extractEmbeddedJson(body);
+    if (!blobs.length) throw new Error(`${url}: no embedded report data`);
+    const parse = resort.report.parseData ?? parseReportData;
+    const result = parse(blobs.length === 1 ? blobs[0] : blobs);
+    // The generic reader goes by key names, so half a result more likely means it latched onto the wrong
+    // numbers than that the page only has half a report: all or nothing, and agent-browser reads the rest.
+    if (!hasLifts(result.lifts) || !hasSnow(result.snow)) {
+      throw new Error(`${url}: incomplete report data (lifts: ${hasLifts(result.lifts) ? 'ok' : 'missing'}, snow: ${hasSnow(result.snow) ? 'ok' : 'missing'})`);
+    }
+    return result;
+  },
+};
+
+export const agentBrowserProvider = {
+  name: 'agent-browser',
+  timeoutMs: 45000,
+  async run(resort, deps, signal) {
+    // Use a single browser session. agent-browser keeps state between commands.
+    // Wait for the first section to render instead of a fixed sleep. The trailing { signal } lets the
+    // runner kill a command still running when the chain times this provider out.
+    const ab = (...args) => {
+      signal?.throwIfAborted();
+      return deps.ab(...args, { signal });
+    };
+    await ab('open', resort.report.url);
+    await ab('wait', resort.report.selectors[0]);
+
+    const snaps = {};
+    for (const sel of resort.report.selectors) {
+      snaps[sel] = await ab('snapshot', '-s', sel, '-c');
+    }
+    return resort.report.parse(snaps);
+  },
+};
+
+export const REPORT_PROVIDERS = [httpProvider, agentBrowserProvider];
+
+function hasLifts(lifts) {
+  return lifts?.open != null;
+}
+
+function hasSnow(snow) {
+  return Boolean(snow) && Object.values(snow).some((v) => v != null);
+}
+
+export async function runProviderChain(resort, deps, providers = REPORT_PROVIDERS) {
+  let lifts = null;
+  let snow = null;
+  const used = { lifts: null, snow: null };
+  const errors = [];
+
+  for (const p of providers) {
+    if (hasLifts(lifts) && hasSnow(snow)) break;
+    const ms = resort.report.timeouts?.[p.name] ?? p.timeoutMs;
+    const ctrl = new AbortController();
+    try {
+      const r = await withTimeout(p.run(resort, deps, ctrl.signal), ms, p.name);
+      if (!hasLifts(lifts) && hasLifts(r.lifts)) {
+        lifts = r.lifts;
+        used.lifts = p.name;
+      }
+      if (!hasSnow(snow) && hasSnow(r.snow)) {
+        snow = r.snow;
+        used.snow = p.name;
+      }
+      if (!hasLifts(r.lifts) && !hasSnow(r.snow)) errors.push({ provider: p.name, error: 'no report data found' });
+    } catch (e) {
+      ctrl.abort();
+      errors.push({ provider: p.name, error: String(e?.message ?? e) });
+    }
+  }
+
+  // No throw when nothing worked: the forecast half of the update is still worth writing, and
+  // providers: { lifts: null, snow: null } plus providerErrors say exactly what went wrong.
+  return {
+    lifts: lifts ?? { ...EMPTY_LIFTS },
+    snow: snow ?? Object.fromEntries(SNOW_KEYS.map(([k]) => [k, null])),
+    providers: used,
+    providerErrors: errors,
+  };
+}
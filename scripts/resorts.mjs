@@ -0,0 +1,188 @@
+/*
+  Resort registry for the North Shore hills.
+
+  Each entry carries everything update.mjs needs to build one data file:
+  - where the hill is (lat/lon/tz for Open-Meteo, summit elevation for the freezing-level check),
+  - where its mountain report lives and how to read it: optional dataUrl/parseData for the plain-HTTP
+    provider, selectors + parse for the agent-browser fallback, optional per-provider timeouts
+    (see report-providers.mjs),
+  - how many lifts it runs (fallback when the report doesn't say),
+  - its operating hours (local, [open, close)) — the hourly forecast is trimmed to these,
+  - its night session window (local, [start, end)), scored separately from the day,
+  - optional windHold gust thresholds (km/h) overriding WIND_RULES in scoring.js,
+  - its typical season window (MM-DD, inclusive; may wrap the new year),
+  - optionally its access road for DriveBC events (see drivebc.mjs): the name to match, a lon/lat bounding
+    box for the feed query, and when winter tires are required on it by law (MM-DD, inclusive).
+
+  Parsers receive an object of snapshot texts keyed by selector and return { lifts, snow }.
+*/
+
+function num(m, i = 1) {
+  return m ? Number(m[i]) : null;
+}
+
+export function parseLiftStatus(snapshotText) {
+  // Expect lines like:
+  // - heading "Lifts Open" ...
+  // - text: "5"
+  // - paragraph: of 6
+  const open = (() => {
+    const m = snapshotText.match(/heading "Lifts Open"[\s\S]*?\n- text: "(\d+)"/);
+    return m ? Number(m[1]) : null;
+  })();
+
+  const total = (() => {
+    const m = snapshotText.match(/heading "Lifts Open"[\s\S]*?\n- paragraph: of (\d+)/);
+    return m ? Number(m[1]) : null;
+  })();
+
+  const closed = (() => {
+    const m = snapshotText.match(/heading "Lifts Closed"[\s\S]*?\n- paragraph: (\d+) of (\d+)/);
+    return m ? Number(m[1]) : null;
+  })();
+
+  return { open, total, closed };
+}
+
+export function parseSnow(snapshotText) {
+  function grab(label) {
+    // label like "Snow 7 Days" then next "text: 11 cm"
+    const re = new RegExp(`${label}\\n\\s*- text: (\\d+) cm`);
+    const m = snapshotText.match(re);
+    return m ? Number(m[1]) : null;
+  }
+
+  return {
+    snowOvernightCm: grab('Snow Overnight'),
+    snow24HoursCm: grab('Snow 24 Hrs\\.'),
+    snow48HoursCm: grab('Snow 48 Hrs\\.'),
+    snow7DaysCm: grab('Snow 7 Days'),
+    seasonTotalCm: (() => {
+      const m = snapshotText.match(/Snow Season Total\n\s*- text: (\d+) cm/);
+      return m ? Number(m[1]) : null;
+    })(),
+    baseDepthCm: (() => {
+      const m = snapshotText.match(/Base Depth\n\s*- text: (\d+) cm/);
+      return m ? Number(m[1]) : null;
+    })(),
+  };
+}
+
+export function parseGenericReport(snapshotText) {
+  // Loose text parser for report pages we don't have a structured snapshot for.
+  // Matches "Lifts open 3 / 5", "3 of 5 lifts open", "Base 150 cm", "Overnight 4 cm", etc.
+  const t = snapshotText.replace(/\s+/g, ' ');
+
+  const liftA = t.match(/lifts? open[^\d]{0,40}(\d+)\s*(?:\/|of)\s*(\d+)/i);
+  const liftB = t.match(/(\d+)\s*(?:\/|of)\s*(\d+)\s*lifts? open/i);
+  const lift = liftA ?? liftB;
+  const open = num(lift, 1);
+  const total = num(lift, 2);
+
+  const cm = (label) => num(t.match(new RegExp(`${label}[^\\d]{0,40}(\\d+)\\s*cm`, 'i')));
+
+  return {
+    lifts: { open, total, closed: open != null && total != null ? total - open : null },
+    snow: {
+      snowOvernightCm: cm('overnight'),
+      snow24HoursCm: cm('24\\s*(?:hrs?|hours?)'),
+      snow48HoursCm: cm('48\\s*(?:hrs?|hours?)'),
+      snow7DaysCm: cm('7\\s*days?'),
+      seasonTotalCm: cm('season(?:al)? total'),
+      baseDepthCm: cm('base(?: depth)?'),
+    },
+  };
+}
+
+export const RESORTS = [
+  {
+    id: 'cypress',
+    name: 'Cypress Mountain',
+    shortName: 'Cypress',
+    dataFile: 'data.json',
+    // Cypress Mountain weather station coords from their own page.
+    lat: 49.3889782663548,
+    lon: -123.20711795277704,
+    tz: 'America/Vancouver',
+    liftTotal: 6,
+    summitM: 1440,
+    // Exposed upper chairs (Sky, Lions) go on hold sooner than the defaults.
+    windHold: { moderateGustKmh: 45, highGustKmh: 65 },
+    hours: { open: 8, close: 22 },
+    nightSession: { start: 16, end: 22 },
+    season: { start: '11-01', end: '04-30' },
+    report: {
+      url: 'https://www.cypressmountain.com/mountain-report',
+      selectors: ['#lift-status', '#snow'],
+      parse: (snaps) => ({
+        lifts: parseLiftStatus(snaps['#lift-status']),
+        snow: parseSnow(snaps['#snow']),
+      }),
+    },
+    snowForecastUrl: 'https://www.snow-forecast.com/resorts/Cypress-Mountain/6day/mid',
+    road: {
+      name: 'Cypress Bowl Road',
+      match: /^cypress bowl r(?:oa)?d\b/i,
+      bbox: [-123.27, 49.33, -123.18, 49.41],
+      winterTires: { start: '10-01', end: '04-30' },
+    },
+  },
+  {
+    id: 'grouse',
+    name: 'Grouse Mountain',
+    shortName: 'Grouse',
+    dataFile: 'data-grouse.json',
+    lat: 49.3723,
+    lon: -123.0992,
+    tz: 'America/Vancouver',
+    liftTotal: 5,
+    summitM: 1250,
+    hours: { open: 9, close: 22 },
+    nightSession: { start: 16, end: 22 },
+    season: { start: '11-15', end: '04-15' },
+    report: {
+      url: 'https://www.grousemountain.com/current_conditions',
+      selectors: ['main'],
+      parse: (snaps) => parseGenericReport(snaps.main),
+    },
+    snowForecastUrl: 'https://www.snow-forecast.com/resorts/Grouse-Mountain/6day/mid',
+  },
+  {
+    id: 'seymour',
+    name: 'Mt Seymour',
+    shortName: 'Seymour',
+    dataFile: 'data-seymour.json',
+    lat: 49.3667,
+    lon: -122.9463,
+    tz: 'America/Vancouver',
+    liftTotal: 5,
+    summitM: 1265,
+    hours: { open: 9, close: 22 },
+    nightSession: { start: 16, end: 22 },
+    season: { start: '12-01', end: '03-31' },
+    report: {
+      url: 'https://mtseymour.ca/conditions-report',
+      selectors: ['main'],
+      parse: (snaps) => parseGenericReport(snaps.main),
+    },
+    snowForecastUrl: 'https://www.snow-forecast.com/resorts/Mount-Seymour/6day/mid',
+  },
+];
+
+export const DEFAULT_RESORT = RESORTS[0];
+
+export function getResort(id) {
+  return RESORTS.find((r) => r.id === id) ?? null;
+}
+
+export function inSeason(resort, date = new Date()) {
+  // Compare "MM-DD" strings; a window like 11-01..04-30 wraps the new year.
+  const md = date.toLocaleDateString('en-CA', { timeZone: resort.tz, month: '2-digit', day: '2-digit' });
+  const { start, end } = resort.season;
+  return start <= end ? md >= start && md <= end : md >= start || md <= end;
+}
+
+// What the front end needs to build the switcher / comparison view.
+export function resortIndex() {
+  return RESORTS.map(({ id, name, shortName, dataFile }) => ({ id, name, shortName, dataFile }));
+}
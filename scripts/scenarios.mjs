@@ -0,0 +1,337 @@
+/*
+  Mock data files for the dev server's scenario switcher (?scenario=<id>, see scripts/dev.mjs).
+
+  A scenario runs the real update pipeline (updateResort) for every resort against made-up sources: an
+  Open-Meteo response built hour by hour from a list of day patterns, the mountain report page, the BC
+  commentary, DriveBC events and, for some, Snow-Forecast. The files come out exactly as update.mjs
+  writes them and pass the schema. Between them they walk app.js and seasonalGuess() through their
+  branches:
+  - offseason: mid-July, lifts shut, showers every morning, a strong BC snowpack → next season, aiming at
+    the first week with even odds.
+  - allrain: late November, rain every morning, weak snowpack, road closed → no good day; likely from
+    mid-December (Seymour isn't open yet, so its guess is next season).
+  - powderday: February, 25 cm overnight with every lift open → today. The days after cover each card
+    state: wind, rain, evening rain, corn, slush, ice, and a Snow-Forecast split. Chains on the road, and
+    a few earlier BC commentaries for the snowpack trend.
+  - bcError: late April, spring corn today. The BC commentary and DriveBC fail, and the mountain report
+    falls back to the previous run's numbers (stale). The seasonal guess is low odds with the season
+    ending (next season at Grouse and Seymour, already closed).
+  - noData: early November, every source fails on a first run and there's no climatology.json either: no
+    forecast or report numbers, only the month-by-month guess (in season at Cypress, not yet at Grouse
+    or Seymour).
+  The climatology is made up too (mockClimatology()).
+
+  Each scenario is pinned to a month and day, since seasonalGuess() and the season windows go by those.
+  scenarioNow() puts it on the next such day, so the page doesn't also show the "last updated days ago"
+  banner.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { RESORTS } from './resorts.mjs';
+import { assertValidData } from './schema.mjs';
+import { SOURCES, fetchBCSnowpack, updateResort } from './update.mjs';
+import { MODEL, WEEKS, weekStart } from './climatology.mjs';
+
+// Hour-by-hour weather for one day: temperature between low (night) and high (mid-afternoon), and
+// rain / snow per hour over [from, to).
+const DAYS = {
+  cold: { low: -6, high: -2 },
+  dump: { low: -7, high: -3, snow: { from: 0, to: 8, perHour: 3 } },
+  windy: { low: -5, high: -1, gust: 58 },
+  gale: { low: -4, high: 0, gust: 85 },
+  rainAm: { low: 2, high: 5, freezingM: 1900, rain: { from: 6, to: 13, perHour: 1.5 } },
+  rainEvening: { low: -3, high: 0, rain: { from: 17, to: 21, perHour: 2 } },
+  rainAll: { low: 4, high: 7, freezingM: 2400, rain: { from: 0, to: 24, perHour: 1.2 } },
+  corn: { low: -4, high: 6, freezingM: 1600 },
+  slush: { low: 3, high: 8, freezingM: 2600 },
+  summerShowers: { low: 11, high: 19, freezingM: 4200, rain: { from: 9, to: 12, perHour: 0.6 } },
+};
+
+export const SCENARIOS = {
+  offseason: {
+    date: '07-15',
+    days: ['summerShowers', 'summerShowers', 'rainAll'],
+    report: { open: 0, overnight: 0, snow7: 0, base: 0, season: 0 },
+    bc: { provincial: 121, southCoast: 114, lowerFraser: 118, vanIsle: 109 },
+    road: 'clear',
+  },
+  allrain: {
+    date: '11-20',
+    days: ['rainAll'],
+    report: { open: 0.2, overnight: 0, snow7: 3, base: 40, season: 60 },
+    bc: { provincial: 88, southCoast: 72, lowerFraser: 76, vanIsle: 80 },
+    road: 'closed',
+  },
+  powderday: {
+    date: '02-10',
+    days: ['dump', 'cold', 'windy', 'gale', 'rainAm', 'slush', 'rainEvening', 'corn', 'cold', 'cold', 'dump', 'cold', 'rainAll', 'cold'],
+    report: { open: 1, overnight: 25, snow7: 48, base: 210, season: 520 },
+    bc: { provincial: 103, southCoast: 97, lowerFraser: 101, vanIsle: 94 },
+    // Earlier commentaries (days before, then provincial / South Coast / Lower Fraser) for the trend chart.
+    bcHistory: [[56, 92, 84, 88], [42, 98, 90, 95], [28, 104, 99, 102], [14, 101, 95, 100]],
+    road: 'chains',
+    // Snow-Forecast calls for morning rain on the second day, where Open-Meteo has it dry.
+    snowForecast: { amRainOn: [1] },
+  },
+  bcError: {
+    date: '04-20',
+    days: ['corn', 'corn', 'rainAm', 'cold', 'slush', 'cold', 'windy'],
+    report: { open: 0.8, overnight: 0, snow7: 6, base: 180, season: 430 },
+    bc: null,
+    road: null,
+    reportFails: true,
+  },
+  noData: {
+    date: '11-10',
+    days: ['cold'],
+    report: null,
+    bc: null,
+    road: null,
+    forecastFails: true,
+    // Not even climatology.json: the seasonal guess falls back to going by the month.
+    noClimatology: true,
+  },
+};
+
+// Odds of a rideable week through the year (MM-DD → probability), interpolated into a made-up
+// climatology.json for the scenarios: nothing before November, best in February, gone by June.
+const CLIMATE_CURVE = [
+  ['01-01', 0.75], ['02-01', 0.85], ['03-01', 0.85], ['04-01', 0.6], ['05-01', 0.3], ['06-01', 0.05], ['06-15', 0],
+  ['10-15', 0], ['11-01', 0.05], ['12-01', 0.45], ['12-15', 0.6], ['12-31', 0.75],
+];
+
+export function mockClimatology() {
+  const at = (md) => {
+    const x = Date.parse(`2001-${md}T00:00:00Z`);
+    const points = CLIMATE_CURVE.map(([k, p]) => [Date.parse(`2001-${k}T00:00:00Z`), p]);
+    const i = points.findIndex(([t]) => t > x);
+    if (i <= 0) return points[i === 0 ? 0 : points.length - 1][1];
+    const [[t0, p0], [t1, p1]] = [points[i - 1], points[i]];
+    return Math.round((p0 + ((p1 - p0) * (x - t0)) / (t1 - t0)) * 100) / 100;
+  };
+  const weeks = Array.from({ length: WEEKS }, (_, week) => {
+    const start = weekStart(week, 2001).slice(5);
+    return { week, start, pRideable: at(start), medianBaseCm: null };
+  });
+  const climate = { lat: null, lon: null, elevationM: null, seasons: { first: 1996, last: 2025 }, weeks };
+  return {
+    generatedAt: null,
+    source: 'scripts/scenarios.mjs (made up)',
+    model: MODEL,
+    resorts: Object.fromEntries(RESORTS.map((r) => [r.id, climate])),
+  };
+}
+
+function addDays(iso, n) {
+  const d = new Date(`${iso}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Midday in Vancouver on the scenario's month-day: the next one from today (or today's).
+export function scenarioNow(scenario, today = new Date()) {
+  const year = today.getUTCFullYear();
+  const at = (y) => new Date(`${y}-${scenario.date}T20:00:00Z`);
+  return at(year).getTime() >= today.getTime() - 24 * 3600e3 ? at(year) : at(year + 1);
+}
+
+function hourWeather(kind, hour) {
+  const d = DAYS[kind];
+  const warmth = hour >= 6 && hour <= 18 ? Math.sin((Math.PI * (hour - 6)) / 12) : 0;
+  const inSpan = (s) => s && hour >= s.from && hour < s.to;
+  return {
+    temp: Math.round((d.low + (d.high - d.low) * warmth) * 10) / 10,
+    rain: inSpan(d.rain) ? d.rain.perHour : 0,
+    snow: inSpan(d.snow) ? d.snow.perHour : 0,
+    freezingM: d.freezingM ?? 800,
+    wind: Math.round((d.gust ?? 20) * 0.6),
+    gust: d.gust ?? 20,
+  };
+}
+
+function pattern(scenario, idx) {
+  return scenario.days[idx % scenario.days.length];
+}
+
+export function meteoResponse(scenario, startDate) {
+  const hourly = {
+    time: [], rain: [], snowfall: [], temperature_2m: [], freezing_level_height: [], wind_speed_10m: [], wind_gusts_10m: [],
+  };
+  for (let i = 0; i < 14; i++) {
+    const date = addDays(startDate, i);
+    for (let h = 0; h < 24; h++) {
+      const w = hourWeather(pattern(scenario, i), h);
+      hourly.time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+      hourly.rain.push(w.rain);
+      hourly.snowfall.push(w.snow);
+      hourly.temperature_2m.push(w.temp);
+      hourly.freezing_level_height.push(w.freezingM);
+      hourly.wind_speed_10m.push(w.wind);
+      hourly.wind_gusts_10m.push(w.gust);
+    }
+  }
+  return { hourly };
+}
+
+// The 6-day table in the shape scripts/snow-forecast.mjs reads: AM / PM / night per day.
+export function snowForecastHtml(scenario, startDate) {
+  const PERIODS = [['AM', 6, 12], ['PM', 12, 18], ['NIGHT', 18, 24]];
+  const days = [];
+  const cells = { time: [], snow: [], rain: [] };
+  for (let i = 0; i < 6; i++) {
+    const date = addDays(startDate, i);
+    days.push(`<td class="forecast-table-days__cell" colspan="3" data-date="${date}"></td>`);
+    for (const [name, from, to] of PERIODS) {
+      let snow = 0;
+      let rain = 0;
+      for (let h = from; h < to; h++) {
+        const w = hourWeather(pattern(scenario, i), h);
+        snow += w.snow;
+        rain += w.rain;
+      }
+      if (name === 'AM' && scenario.snowForecast.amRainOn?.includes(i)) rain += 2;
+      cells.time.push(`<td class="forecast-table__cell"><span class="en">${name}</span></td>`);
+      cells.snow.push(`<td class="forecast-table__cell"><div class="snow-amount" data-value="${Math.round(snow * 10) / 10}"></div></td>`);
+      cells.rain.push(`<td class="forecast-table__cell"><div class="rain-amount" data-value="${Math.round(rain * 10) / 10}"></div></td>`);
+    }
+  }
+  const row = (name, tds) => `<tr class="forecast-table__row" data-row="${name}">${tds.join('')}</tr>`;
+  return `<table>${row('days', days)}${row('time', cells.time)}${row('snow', cells.snow)}${row('rain', cells.rain)}</table>`;
+}
+
+// A report page that hydrates from inline JSON, read by the plain-HTTP provider (report-providers.mjs).
+export function reportHtml(scenario, resort) {
+  const r = scenario.report;
+  const open = Math.round(resort.liftTotal * r.open);
+  const lifts = Array.from({ length: resort.liftTotal }, (_, i) => ({ name: `Lift ${i + 1}`, status: i < open ? 'Open' : 'Closed' }));
+  const report = {
+    snow: { snowOvernight: r.overnight, snow7Days: r.snow7, snowSeasonTotal: r.season, baseDepth: r.base },
+    lifts,
+  };
+  return `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { report } } })}</script>`;
+}
+
+export function bcCommentaryHtml(bc, now) {
+  const day = now.toLocaleDateString('en-US', { timeZone: 'America/Vancouver', month: 'long', day: 'numeric', year: 'numeric' });
+  return `<main><h2>${day}</h2>
+<p>Scenario data for the dev server: made-up snowpack numbers.</p>
+<p>The provincial average across all ASWS sites is ${bc.provincial}% of the period-of-record median.</p>
+<p>Basin averages: Lower Fraser (${bc.lowerFraser}%), South Coast (${bc.southCoast}%), Vancouver Island (${bc.vanIsle}%).</p>
+<p>A complete listing of Automated Snow Weather Stations is available on the data page.</p></main>
+<footer><p>Last updated on ${day}</p></footer>`;
+}
+
+// Open511 events for the road states the scenarios use.
+export function roadEventsJson(state, resort, now) {
+  const updated = new Date(now.getTime() - 2 * 3600e3).toISOString();
+  const event = (id, type, description, roadState) => ({
+    id: `drivebc.ca/DEV-${id}`,
+    status: 'ACTIVE',
+    event_type: type,
+    severity: roadState === 'CLOSED' ? 'MAJOR' : 'MINOR',
+    description,
+    updated,
+    roads: [{ name: resort.road.name, direction: 'BOTH', ...(roadState ? { state: roadState } : {}) }],
+  });
+  const events = {
+    clear: [],
+    closed: [event(1, 'INCIDENT', `${resort.road.name}, in both directions. Road closed due to a washout. Next update at 2:00 PM.`, 'CLOSED')],
+    chains: [event(2, 'WEATHER_CONDITION', `${resort.road.name}. Compact snow. Chains required above the switchbacks.`)],
+  }[state];
+  return { events };
+}
+
+// A fetch that answers every source URL the pipeline asks for; anything the scenario leaves out is a 503.
+function scenarioFetch(scenario, resort, now, { reportFails = false } = {}) {
+  const startDate = now.toLocaleDateString('en-CA', { timeZone: resort.tz });
+  const respond = (body, type = 'application/json', status = 200) =>
+    new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers: { 'content-type': type } });
+  return async (url) => {
+    const u = String(url);
+    if (u.includes('api.open-meteo.com')) {
+      return scenario.forecastFails ? respond('upstream error', 'text/plain', 502) : respond(meteoResponse(scenario, startDate));
+    }
+    if (u.includes('snow-forecast.com') && scenario.snowForecast) return respond(snowForecastHtml(scenario, startDate), 'text/html');
+    if (u === resort.report.url && scenario.report && !reportFails) return respond(reportHtml(scenario, resort), 'text/html');
+    if (u.includes('snow-conditions-commentary') && scenario.bc) return respond(bcCommentaryHtml(scenario.bc, now), 'text/html');
+    if (u.includes('api.open511.gov.bc.ca') && scenario.road) return respond(roadEventsJson(scenario.road, resort, now));
+    return respond('unavailable', 'text/plain', 503);
+  };
+}
+
+// bcSnowpack.history as earlier runs would have left it.
+function pastCommentaries(points, now) {
+  return points.map(([daysAgo, provincial, southCoast, lowerFraser]) => ({
+    date: new Date(now.getTime() - daysAgo * 86400e3).toISOString().slice(0, 10),
+    provincial,
+    southCoast,
+    lowerFraser,
+    vancouverIsland: null,
+  }));
+}
+
+const noBrowser = async () => {
+  throw new Error('agent-browser: not used for scenarios');
+};
+
+async function scenarioResort(scenario, resort, now, bcSnowpack, previous, opts) {
+  const deps = {
+    fetch: scenarioFetch(scenario, resort, now, opts),
+    ab: noBrowser,
+    now: () => now,
+    climatology: () => (scenario.noClimatology ? null : mockClimatology()),
+  };
+  return updateResort(resort, bcSnowpack, deps, previous);
+}
+
+// [{ file, data }] for every resort, as update.mjs would write them on the scenario's day.
+export async function buildScenario(id, today = new Date()) {
+  const scenario = SCENARIOS[id];
+  if (!scenario) throw new Error(`Unknown scenario "${id}". Known: ${Object.keys(SCENARIOS).join(', ')}`);
+  const now = scenarioNow(scenario, today);
+
+  // Same as main() in update.mjs: one BC read shared by every resort.
+  let bcSnowpack;
+  try {
+    bcSnowpack = await fetchBCSnowpack({ fetch: scenarioFetch(scenario, RESORTS[0], now), ab: noBrowser, now: () => now });
+  } catch (e) {
+    bcSnowpack = { error: String(e?.message ?? e), sourceUrl: SOURCES.bcSnowCommentary };
+  }
+
+  const out = [];
+  for (const resort of RESORTS) {
+    // A report that fails today falls back to yesterday's good run, marked stale.
+    const previous = scenario.reportFails
+      ? await scenarioResort(scenario, resort, new Date(now.getTime() - 24 * 3600e3), bcSnowpack, null)
+      : scenario.bcHistory ? { bcSnowpack: { history: pastCommentaries(scenario.bcHistory, now) } } : null;
+    const data = await scenarioResort(scenario, resort, now, bcSnowpack, previous, { reportFails: scenario.reportFails });
+    out.push({ file: resort.dataFile, data });
+  }
+  return out;
+}
+
+// Writes <dir>/<scenario>/<data file> for every scenario, each validated like update.mjs does.
+export async function writeScenarios(dir, today = new Date()) {
+  for (const id of Object.keys(SCENARIOS)) {
+    await fs.mkdir(path.join(dir, id), { recursive: true });
+    for (const { file, data } of await buildScenario(id, today)) {
+      assertValidData(data, `${id}/${file}`);
+      await fs.writeFile(path.join(dir, id, file), JSON.stringify(data, null, 2) + '\n', 'utf8');
+    }
+  }
+}
+
+// node scripts/scenarios.mjs [dir]   (default dist/scenarios; the dev server runs this on every rebuild)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const dir = path.resolve(process.argv[2] ?? path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist', 'scenarios'));
+  writeScenarios(dir).then(
+    () => console.log(`Wrote ${Object.keys(SCENARIOS).length} scenarios to ${path.relative(process.cwd(), dir) || '.'}/`),
+    (err) => {
+      console.error(err);
+      process.exit(1);
+    },
+  );
+}
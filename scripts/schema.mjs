@@ -0,0 +1,155 @@
+/*
+  data.json schema: version, validation and migrations.
+
+  The schema itself is data.schema.json at the repo root (JSON Schema 2020-12, so editors and other
+  tools can use it too). validate() implements the subset of keywords that file uses — $ref, allOf,
+  anyOf, const, enum, type, required, properties, items, pattern, minimum, maximum — with errors that
+  name the offending path (e.g. forecast.days[3].stoke).
+
+  Migrations upgrade older data files and history snapshots: MIGRATIONS[v] turns version v into v + 1.
+  Files written before the schema existed have no schemaVersion and count as version 0.
+*/
+
+import fs from 'node:fs';
+
+export const SCHEMA_VERSION = 2;
+
+export const DATA_SCHEMA = JSON.parse(fs.readFileSync(new URL('../data.schema.json', import.meta.url), 'utf8'));
+
+export class SchemaError extends Error {
+  constructor(label, errors) {
+    const list = errors.slice(0, 10).map((e) => `  - ${e.path}: ${e.message}`).join('\n');
+    const more = errors.length > 10 ? `\n  … and ${errors.length - 10} more` : '';
+    super(`${label}: does not match data.schema.json (v${SCHEMA_VERSION})\n${list}${more}`);
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const t = typeOf(v);
+  return t === type || (type === 'number' && t === 'integer');
+}
+
+function resolve(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`schema: only local $ref is supported (${ref})`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+export function validate(schema, value, path = '', root = schema) {
+  if (schema.$ref) return validate(resolve(schema.$ref, root), value, path, root);
+
+  const errors = [];
+  const at = path || '(root)';
+  for (const sub of schema.allOf ?? []) errors.push(...validate(sub, value, path, root));
+
+  if (schema.anyOf) {
+    // Report the branch that came closest, so the message points at the real problem: first the one
+    // whose own type/required keys fit (only nested errors), then the one with the fewest errors.
+    const branches = schema.anyOf.map((sub) => validate(sub, value, path, root));
+    if (!branches.some((b) => !b.length)) {
+      const score = (b) => [b.filter((e) => e.level === path).length, b.length];
+      errors.push(...branches.reduce((best, b) => {
+        const [s1, n1] = score(b);
+        const [s2, n2] = score(best);
+        return s1 < s2 || (s1 === s2 && n1 < n2) ? b : best;
+      }));
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path: at, level: path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, level: path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push({ path: at, level: path, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return errors;
+    }
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: at, level: path, message: `must match ${schema.pattern}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path: at, level: path, message: `must be ≥ ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path: at, level: path, message: `must be ≤ ${schema.maximum}` });
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push({ path: childPath(path, key), level: path, message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (key in value) errors.push(...validate(sub, value[key], childPath(path, key), root));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, childPath(path, i), root)));
+  }
+  return errors;
+}
+
+export function validateData(data) {
+  return validate(DATA_SCHEMA, data).map(({ path, message }) => ({ path, message }));
+}
+
+export function assertValidData(data, label = 'data.json') {
+  const errors = validateData(data);
+  if (errors.length) throw new SchemaError(label, errors);
+  return data;
+}
+
+export const MIGRATIONS = [
+  // 0 → 1: pre-schema files from the single-resort (Cypress only) era carry no resort identity.
+  (d) => ({
+    ...d,
+    resort: d.resort ?? { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' },
+  }),
+  // 1 → 2: text moved to the page (i18n.js). Verdict labels and reasons become messages (old English
+  // sentences are kept verbatim under the 'text' key), pre-formatted labels go, and the BC commentary
+  // date becomes ISO.
+  (d) => {
+    const { generatedAtLocal, ...rest } = d;
+    const message = (m) => (typeof m === 'string' ? { key: 'text', params: { text: m } } : m);
+    const verdict = (v) => v && { ...v, label: message(v.label), reasons: (v.reasons ?? []).map(message) };
+    const out = { ...rest };
+    for (const k of ['seasonal', 'next', 'nextNight']) if (k in out) out[k] = verdict(out[k]);
+    if (Array.isArray(out.forecast?.days)) {
+      out.forecast = { ...out.forecast, days: out.forecast.days.map(({ label, ...day }) => day) };
+    }
+    const updatedOn = out.bcSnowpack?.updatedOn;
+    if (typeof updatedOn === 'string' && !/^\d{4}-\d{2}-\d{2}$/.test(updatedOn)) {
+      const t = Date.parse(`${updatedOn} 12:00 UTC`);
+      out.bcSnowpack = { ...out.bcSnowpack, updatedOn: Number.isNaN(t) ? null : new Date(t).toISOString().slice(0, 10) };
+    }
+    return out;
+  },
+];
+
+export function migrateData(data) {
+  let version = data.schemaVersion ?? 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`data file is schemaVersion ${version}; this code only knows up to ${SCHEMA_VERSION}`);
+  }
+  let out = data;
+  while (version < SCHEMA_VERSION) {
+    out = MIGRATIONS[version](out);
+    version++;
+  }
+  // Keep schemaVersion as the first key so it's the first thing a reader sees in the file.
+  const { schemaVersion, ...rest } = out;
+  return { schemaVersion: version, ...rest };
+}
@@ -0,0 +1,105 @@
+/*
+  Share image for link previews (og:image / twitter:image): the verdict plus the 14-day stoke strip.
+
+  shareLayout() lays the card out once as rects and text runs; shareSvg() and sharePng() draw that same
+  layout. Text sizes are whole multiples of the 5×7 bitmap font in scripts/png.mjs, and the SVG uses a
+  monospace font at the same advance (0.6em), so line wrapping is identical in both.
+*/
+
+import { createFormatter } from '../i18n.js';
+import { createRaster, fontText, textWidth } from './png.mjs';
+
+export const SHARE_WIDTH = 1200;
+export const SHARE_HEIGHT = 630;
+
+const COLORS = {
+  bg: '#0c1824', card: '#0f1e2e', text: '#e8f0fc', muted: '#9cb3d4',
+  good: '#6ee7b7', meh: '#fcd34d', bad: '#f87171', none: '#1c3047',
+};
+const MARGIN = 60;
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const en = createFormatter();
+
+// Greedy word wrap on the bitmap font's fixed advance; the last line gets an ellipsis if text is cut.
+export function wrap(s, scale, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of fontText(s).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (textWidth(next, scale) <= maxWidth || !line) line = next;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && textWidth(`${last}...`, scale) > maxWidth) last = last.slice(0, -1);
+  kept[maxLines - 1] = `${last.trimEnd()}...`;
+  return kept;
+}
+
+export function shareLayout(data) {
+  const ops = [];
+  const rect = (x, y, w, h, fill) => ops.push({ type: 'rect', x, y, w, h, fill });
+  const text = (s, x, y, scale, fill) => ops.push({ type: 'text', text: fontText(s), x, y, scale, fill });
+  const width = SHARE_WIDTH - MARGIN * 2;
+
+  rect(0, 0, SHARE_WIDTH, SHARE_HEIGHT, COLORS.bg);
+  text(`When can I snowboard next? · ${data.resort?.shortName ?? 'Cypress'}`, MARGIN, MARGIN, 4, COLORS.muted);
+
+  let y = MARGIN + 70;
+  for (const line of wrap(data.next?.label ? en.message(data.next.label) : en.t('ui.unknownVerdict'), 7, width, 3)) {
+    text(line, MARGIN, y, 7, COLORS.text);
+    y += 7 * 7 + 20;
+  }
+  const conf = (data.next?.confidence ?? 'unknown').toLowerCase();
+  text(`Confidence: ${conf}`, MARGIN, y + 6, 4, COLORS[conf] ?? COLORS.bad);
+
+  // One box per forecast day, coloured by stoke, with the date inside and the weekday underneath.
+  const days = (data.forecast?.days ?? []).slice(0, 14);
+  const gap = 6;
+  const boxW = Math.floor((width - gap * 13) / 14);
+  const boxY = 420;
+  const boxH = 90;
+  for (let i = 0; i < 14; i++) {
+    const d = days[i];
+    const x = MARGIN + i * (boxW + gap);
+    rect(x, boxY, boxW, boxH, d ? COLORS[d.stoke] ?? COLORS.none : COLORS.none);
+    if (!d) continue;
+    const dayNum = String(Number(d.date.slice(8, 10)));
+    text(dayNum, x + (boxW - textWidth(dayNum, 4)) / 2, boxY + (boxH - 28) / 2, 4, COLORS.bg);
+    const wd = WEEKDAYS[new Date(`${d.date}T12:00:00Z`).getUTCDay()];
+    text(wd, x + (boxW - textWidth(wd, 3)) / 2, boxY + boxH + 12, 3, COLORS.muted);
+  }
+
+  text(`Updated ${en.dateTime(data.generatedAt, data.resort?.tz)}`, MARGIN, SHARE_HEIGHT - MARGIN + 6, 3, COLORS.muted);
+  return ops;
+}
+
+function xmlEsc(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+export function shareSvg(data) {
+  const body = shareLayout(data).map((op) => {
+    if (op.type === 'rect') return `  <rect x="${op.x}" y="${op.y}" width="${op.w}" height="${op.h}" fill="${op.fill}"/>`;
+    // Bitmap glyphs are 7 units tall from the top; a monospace cap height is ~0.7em, so 10 units per em.
+    return `  <text x="${op.x}" y="${op.y + op.scale * 7}" font-size="${op.scale * 10}" fill="${op.fill}">${xmlEsc(op.text)}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SHARE_WIDTH}" height="${SHARE_HEIGHT}" viewBox="0 0 ${SHARE_WIDTH} ${SHARE_HEIGHT}" font-family="'DejaVu Sans Mono', Menlo, Consolas, monospace" font-weight="700">
+${body.join('\n')}
+</svg>
+`;
+}
+
+export function sharePng(data) {
+  const r = createRaster(SHARE_WIDTH, SHARE_HEIGHT, COLORS.bg);
+  for (const op of shareLayout(data)) {
+    if (op.type === 'rect') r.fillRect(op.x, op.y, op.w, op.h, op.fill);
+    else r.text(op.text, op.x, op.y, op.scale, op.fill);
+  }
+  return r.png();
+}
@@ -0,0 +1,93 @@
+/*
+  Snow-Forecast.com 6-day (mid-mountain) parser and the Open-Meteo blend.
+
+  The 6-day page is one wide table: a "days" row (one cell per day, colspan = periods that day), then
+  per-period rows for snow (cm) and rain (mm), each cell carrying the number in data-value. Periods are
+  AM / PM / night; the first day may start part-way through. We treat AM + PM as "before 3pm" — the PM
+  block runs into the early evening, so this leans towards flagging rain, which is the safe side.
+*/
+
+export function parseSnowForecast(html) {
+  const rows = {};
+  for (const m of html.matchAll(/<tr\b[^>]*data-row="([\w-]+)"[^>]*>([\s\S]*?)<\/tr>/g)) {
+    rows[m[1]] = m[2];
+  }
+  if (!rows.days || !rows.snow || !rows.rain) {
+    throw new Error('snow-forecast: forecast table not found (layout changed?)');
+  }
+
+  const days = [...rows.days.matchAll(/<td\b([^>]*)>/g)]
+    .map((m) => ({
+      date: m[1].match(/data-date="(\d{4}-\d{2}-\d{2})"/)?.[1] ?? null,
+      span: Number(m[1].match(/colspan="(\d+)"/)?.[1] ?? 1),
+    }))
+    .filter((d) => d.date);
+
+  const values = (row, cls) => [...row.matchAll(new RegExp(`class="${cls}"[^>]*data-value="([\\d.]*)"`, 'g'))]
+    .map((m) => (m[1] === '' ? 0 : Number(m[1])));
+  const periods = rows.time
+    ? [...rows.time.matchAll(/<td\b[^>]*>([\s\S]*?)<\/td>/g)].map((m) => m[1].replace(/<[^>]+>/g, '').trim().toLowerCase())
+    : [];
+  const snow = values(rows.snow, 'snow-amount');
+  const rain = values(rows.rain, 'rain-amount');
+
+  const out = [];
+  let i = 0;
+  for (const d of days) {
+    const day = { date: d.date, snowCm: 0, rainMm: 0, rainBefore3pm: false };
+    for (let k = 0; k < d.span; k++, i++) {
+      const period = periods[i] ?? '';
+      day.snowCm += snow[i] ?? 0;
+      day.rainMm += rain[i] ?? 0;
+      if ((period === 'am' || period === 'pm') && (rain[i] ?? 0) > 0) day.rainBefore3pm = true;
+    }
+    day.snowCm = Math.round(day.snowCm * 10) / 10;
+    day.rainMm = Math.round(day.rainMm * 10) / 10;
+    out.push(day);
+  }
+  return out;
+}
+
+export async function fetchSnowForecast(resort, deps) {
+  const res = await deps.fetch(resort.snowForecastUrl, { redirect: 'follow' });
+  if (!res.ok) throw new Error(`snow-forecast: HTTP ${res.status}`);
+  return parseSnowForecast(await res.text());
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// 0 = the models agree, 1 = they tell completely different stories. Amount differences are scaled by
+// the larger amount (+2 so a 0 vs 0.3 mm drizzle doesn't read as total disagreement); a split call on
+// rain before 3pm counts as full disagreement on its own.
+export function disagreementScore(a, b) {
+  const snow = Math.abs(a.snowCm - b.snowCm) / (Math.max(a.snowCm, b.snowCm) + 2);
+  const rain = Math.abs(a.rainMm - b.rainMm) / (Math.max(a.rainMm, b.rainMm) + 2);
+  const split = a.rainBefore3pm !== b.rainBefore3pm ? 1 : 0;
+  return Math.round(Math.max(split, (snow + rain) / 2) * 100) / 100;
+}
+
+export function blendForecasts(omDays, sfDays) {
+  // Per date: average snow/rain across both models, keep each model's numbers, score disagreement.
+  // Open-Meteo stays the source of the hourly rain rule; Snow-Forecast only informs confidence.
+  const sfByDate = new Map(sfDays.map((d) => [d.date, d]));
+  return omDays.map((d) => {
+    const sf = sfByDate.get(d.date);
+    if (!sf) return d;
+    const om = { snowCm: d.snowfallCm, rainMm: d.rainMm, rainBefore3pm: d.rainBefore3pm };
+    const snowfallCm = round1((om.snowCm + sf.snowCm) / 2);
+    return {
+      ...d,
+      snowfallCm,
+      rainMm: round1((om.rainMm + sf.rainMm) / 2),
+      // The surface's fresh-snow count moves with the blended day total (update.mjs re-classifies after this).
+      ...(d.freshSnowCm != null ? { freshSnowCm: Math.max(0, round1(d.freshSnowCm + snowfallCm - om.snowCm)) } : {}),
+      consensus: {
+        disagreement: disagreementScore(om, sf),
+        rainAmDisagree: om.rainBefore3pm !== sf.rainBefore3pm,
+        models: { openMeteo: om, snowForecast: { snowCm: sf.snowCm, rainMm: sf.rainMm, rainBefore3pm: sf.rainBefore3pm } },
+      },
+    };
+  });
+}
@@ -0,0 +1,58 @@
+/*
+  Snow surface classification from the hourly Open-Meteo series.
+
+  Per day we derive:
+  - minTempC / maxTempC over the whole day,
+  - overnightLowC: coldest hour from 18:00 the evening before to 08:00 (refreeze),
+  - freezingLevelM: highest freezing level during operating hours,
+  - freshSnowCm: snow from 18:00 the evening before through 15:00.
+
+  Then a first-match rule list (thresholds in SURFACE_RULES, plus the day's rainMm) picks one of:
+  powder, slush, corn, ice, packed. Display names live in i18n.js (surface.*).
+*/
+
+export const SURFACE_RULES = {
+  powderMinCm: 5,      // fresh snow needed to call it powder...
+  powderMaxTempC: 1,   // ...and it has to stay cold enough not to wet out
+  warmMaxTempC: 5,     // a day this warm softens everything
+  refreezeLowC: -1,    // overnight low that locks the surface back up
+  softenMaxTempC: 4,   // after a refreeze, this warm turns it to corn; below it stays ice
+  wetRainMm: 2,        // rain that soaks the surface (same day: slush; day before: crust to refreeze)
+  freezingMarginM: 300, // freezing level this far above the summit means rain, not snow, up top
+};
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+export function surfaceStats(hours, prevHours, resort) {
+  const evening = (prevHours ?? []).filter((h) => h.hour >= 18);
+  const night = [...evening, ...hours.filter((h) => h.hour < 8)];
+  const operating = hours.filter((h) => h.hour >= resort.hours.open && h.hour < resort.hours.close);
+  const temps = hours.map((h) => h.tempC);
+  const levels = operating.map((h) => h.freezingLevelM).filter((v) => v != null);
+
+  return {
+    minTempC: temps.length ? round1(Math.min(...temps)) : null,
+    maxTempC: temps.length ? round1(Math.max(...temps)) : null,
+    overnightLowC: night.length ? round1(Math.min(...night.map((h) => h.tempC))) : null,
+    freezingLevelM: levels.length ? Math.round(Math.max(...levels)) : null,
+    freshSnowCm: round1([...evening, ...hours.filter((h) => h.hour < 15)].reduce((sum, h) => sum + h.snowfallCm, 0)),
+  };
+}
+
+export function classifySurface(stats, prev, resort, rules = SURFACE_RULES) {
+  const { maxTempC, overnightLowC, freezingLevelM, freshSnowCm, rainMm = 0 } = stats;
+  if (maxTempC == null) return null;
+
+  const aboveSummit = freezingLevelM != null && freezingLevelM > resort.summitM + rules.freezingMarginM;
+  const warm = maxTempC >= rules.warmMaxTempC || aboveSummit || (rainMm >= rules.wetRainMm && maxTempC > rules.powderMaxTempC);
+  const refroze = overnightLowC != null && overnightLowC <= rules.refreezeLowC;
+  const prevWet = prev != null && (prev.rainMm >= rules.wetRainMm || prev.maxTempC >= rules.softenMaxTempC);
+
+  if (freshSnowCm >= rules.powderMinCm && maxTempC <= rules.powderMaxTempC) return 'powder';
+  if (refroze && maxTempC >= rules.softenMaxTempC) return 'corn';
+  if (warm) return 'slush';
+  if (refroze && prevWet) return 'ice';
+  return 'packed';
+}
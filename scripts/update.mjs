@@ -1,49 +1,74 @@
 #!/usr/bin/env node
 /*
-  Update data.json for the Cypress snowboard-next site.
+  Update data.json (and one data file per extra resort) for the Cypress snowboard-next site.
+
+  Usage:
+    node scripts/update.mjs                  # every resort in resorts.mjs
+    node scripts/update.mjs --resort grouse  # just one
+    node scripts/update.mjs --no-alerts      # write data files without sending change alerts
+    node scripts/update.mjs explain --date 2026-02-05 [--resort grouse] [--night]
+                                             # print the decision trace for one day from the data file on disk
 
   Design goals:
   - No API keys.
-  - Use agent-browser (headless) to read the Cypress Mountain Report sections that are client-rendered.
+  - Read the mountain report over plain HTTP where possible; fall back to agent-browser (headless) for the
+    client-rendered sections (see report-providers.mjs).
   - Keep heuristics explicit; this is a "best effort" guess.
 */
 
 import fs from 'node:fs/promises';
+import path from 'node:path';
 import { execFile } from 'node:child_process';
-import { promisify } from 'node:util';
-
-const execFileP = promisify(execFile);
-
-const SOURCES = {
-  cypressReport: 'https://www.cypressmountain.com/mountain-report',
-  snowForecast: 'https://www.snow-forecast.com/resorts/Cypress-Mountain/6day/mid',
-  // No-key forecast API (Open-Meteo). Cypress Mountain weather station coords from their own page.
+import { pathToFileURL } from 'node:url';
+
+import { RESORTS, getResort, inSeason, resortIndex } from './resorts.mjs';
+import { archiveSnapshot } from './history.mjs';
+import { detectChanges, dispatchAlerts, loadLedger, notifiersFromEnv, saveLedger } from './alerts.mjs';
+import { SCHEMA_VERSION, assertValidData, migrateData } from './schema.mjs';
+import { runProviderChain } from './report-providers.mjs';
+import { blendForecasts, fetchSnowForecast } from './snow-forecast.mjs';
+import { bcHistory, coastalSnowpack, parseBCCommentary } from './bc-snowpack.mjs';
+import { fetchRoadEvents } from './drivebc.mjs';
+import { MODEL, WEEKS, loadClimatology, snowpackOdds, weekIndex, weekStart } from './climatology.mjs';
+import { classifySurface, surfaceStats } from './surface.mjs';
+import { DEFAULT_PROFILE, WIND_RULES, dayStoke, decideNext, isRainExcluded, nightStoke, windRisk } from '../scoring.js';
+import { createFormatter, msg } from '../i18n.js';
+
+// Shared (resort-independent) sources. Per-resort report/forecast URLs live in resorts.mjs.
+export const SOURCES = {
+  // No-key forecast API (Open-Meteo).
   openMeteo: 'https://api.open-meteo.com/v1/forecast',
   // BC River Forecast Centre: bi-weekly snow conditions commentary.
   bcSnowCommentary: 'https://www2.gov.bc.ca/gov/content/environment/air-land-water/water/drought-flooding-dikes-dams/river-forecast-centre/snow-survey-water-supply-bulletin/snow-conditions-commentary'
 };
 
-const CYPRESS = {
-  lat: 49.3889782663548,
-  lon: -123.20711795277704,
-  tz: 'America/Vancouver',
-};
-
-function nowLocalString() {
-  try {
-    return new Date().toLocaleString('en-CA', { timeZone: 'America/Vancouver', hour12: false });
-  } catch {
-    return new Date().toISOString();
-  }
+// runAgentBrowser('open', url, { signal }): the trailing options object is optional. Aborting the signal (the
+// provider chain's timeout) kills the child by its handle; the hard timeout is a backstop well past it so a
+// wedged browser can't keep the process alive.
+function runAgentBrowser(...args) {
+  const { signal } = args.at(-1) && typeof args.at(-1) === 'object' ? args.pop() : {};
+  return new Promise((resolve, reject) => {
+    const child = execFile('agent-browser', args, { maxBuffer: 1024 * 1024 * 10, timeout: 120000 }, (err, stdout) => {
+      if (err) reject(signal?.aborted ? new Error(`agent-browser ${args[0]}: killed after the provider timed out`) : err);
+      else resolve(stdout);
+    });
+    if (!signal) return;
+    if (signal.aborted) child.kill('SIGKILL');
+    else signal.addEventListener('abort', () => child.kill('SIGKILL'), { once: true });
+  });
 }
 
-async function ab(...args) {
-  const { stdout } = await execFileP('agent-browser', args, { maxBuffer: 1024 * 1024 * 10 });
-  return stdout;
-}
+// Everything that touches the network, a binary, the clock or the cached climatology. Tests pass their own
+// to run offline.
+export const defaultDeps = {
+  fetch: (...args) => globalThis.fetch(...args),
+  ab: runAgentBrowser,
+  now: () => new Date(),
+  climatology: loadClimatology,
+};
 
-async function fetchText(url) {
-  const res = await fetch(url, { redirect: 'follow' });
+async function fetchText(url, deps = defaultDeps) {
+  const res = await deps.fetch(url, { redirect: 'follow' });
   if (!res.ok) throw new Error(`fetch ${url}: HTTP ${res.status}`);
   const ct = res.headers.get('content-type') || '';
   if (!ct.includes('text/') && !ct.includes('html') && !ct.includes('json')) {
@@ -52,76 +77,131 @@ async function fetchText(url) {
   return await res.text();
 }
 
-function parseLiftStatus(snapshotText) {
-  // Expect lines like:
-  // - heading "Lifts Open" ...
-  // - text: "5"
-  // - paragraph: of 6
-  const open = (() => {
-    const m = snapshotText.match(/heading "Lifts Open"[\s\S]*?\n- text: "(\d+)"/);
-    return m ? Number(m[1]) : null;
-  })();
-
-  const total = (() => {
-    const m = snapshotText.match(/heading "Lifts Open"[\s\S]*?\n- paragraph: of (\d+)/);
-    return m ? Number(m[1]) : null;
-  })();
-
-  const closed = (() => {
-    const m = snapshotText.match(/heading "Lifts Closed"[\s\S]*?\n- paragraph: (\d+) of (\d+)/);
-    return m ? Number(m[1]) : null;
-  })();
-
-  return { open, total, closed };
+// How long a BC commentary counts as this season's snowpack. The Centre publishes January to June, so by the
+// fall the last one describes the season before.
+const SNOWPACK_FRESH_DAYS = 60;
+// Weeks of odds listed in the reasons, and the odds at which a week counts as likely.
+const UPCOMING_WEEKS = 6;
+const LIKELY_ODDS = 0.5;
+
+// The verdict when the forecast has no good day. With climatology.json (scripts/climatology.mjs) it gives the
+// odds of rideable conditions for each upcoming week, shifted by the current snowpack; without it, the
+// month-by-month heuristic below.
+export function seasonalGuess(bcSnowpack, resort, now = new Date(), climatology = null) {
+  const climate = climatology?.resorts?.[resort.id] ?? null;
+  return climate
+    ? climatologyGuess(climate, climatology.model ?? MODEL, bcSnowpack, resort, now)
+    : monthGuess(bcSnowpack, resort, now);
 }
 
-function parseSnow(snapshotText) {
-  function grab(label) {
-    // label like "Snow 7 Days" then next "text: 11 cm"
-    const re = new RegExp(`${label}\\n\\s*- text: (\\d+) cm`);
-    const m = snapshotText.match(re);
-    return m ? Number(m[1]) : null;
+function snowpackNotes(bcSnowpack) {
+  const notes = [];
+  const updated = bcSnowpack?.updatedOn ?? null;
+  const coastal = coastalSnowpack(bcSnowpack);
+  if (coastal) notes.push(msg(coastal.basins === 'coast' ? 'reason.bcCoast' : 'reason.bcVanIsle', { pct: coastal.pct, updated }));
+  if (typeof bcSnowpack?.provincialPctMedian === 'number') {
+    notes.push(msg('reason.bcProvincial', { pct: bcSnowpack.provincialPctMedian, updated }));
   }
+  return notes;
+}
 
-  return {
-    snowOvernightCm: grab('Snow Overnight'),
-    snow24HoursCm: grab('Snow 24 Hrs\\.'),
-    snow48HoursCm: grab('Snow 48 Hrs\\.'),
-    snow7DaysCm: grab('Snow 7 Days'),
-    seasonTotalCm: (() => {
-      const m = snapshotText.match(/Snow Season Total\n\s*- text: (\d+) cm/);
-      return m ? Number(m[1]) : null;
-    })(),
-    baseDepthCm: (() => {
-      const m = snapshotText.match(/Base Depth\n\s*- text: (\d+) cm/);
-      return m ? Number(m[1]) : null;
-    })(),
-  };
+// The season start (an ISO date) on or after today.
+function nextSeasonStart(resort, today) {
+  const start = `${today.slice(0, 4)}-${resort.season.start}`;
+  return start >= today ? start : `${Number(today.slice(0, 4)) + 1}-${resort.season.start}`;
 }
 
-function seasonalGuess(bcSnowpack) {
-  // Ultra-simple climatology for Cypress / Vancouver north shore.
+// A year of weeks from the one holding `from`: { start, probability, climatology }. Weeks the resort is
+// normally closed for (by the middle day) are 0 whatever the snow.
+function weeksFrom(climate, resort, from, pct) {
+  let week = weekIndex(from);
+  let year = Number(from.slice(0, 4));
+  return Array.from({ length: WEEKS }, () => {
+    const start = weekStart(week, year);
+    const p = climate.weeks[week]?.pRideable ?? 0;
+    const middle = new Date(Date.parse(`${start}T20:00:00Z`) + 3 * 86400e3);
+    week += 1;
+    if (week === WEEKS) {
+      week = 0;
+      year += 1;
+    }
+    return { start, probability: inSeason(resort, middle) ? snowpackOdds(p, pct) : 0, climatology: p };
+  });
+}
+
+function climatologyGuess(climate, model, bcSnowpack, resort, now) {
+  const today = localDate(now, resort.tz);
+  const notes = snowpackNotes(bcSnowpack);
+
+  // One snowpack number: the mean of the coastal and provincial percentages, if the commentary is from this season.
+  const pcts = [coastalSnowpack(bcSnowpack)?.pct, bcSnowpack?.provincialPctMedian].filter((v) => typeof v === 'number');
+  const updated = bcSnowpack?.updatedOn ?? null;
+  const fresh = pcts.length > 0 && (!updated || (Date.parse(today) - Date.parse(updated)) / 86400e3 <= SNOWPACK_FRESH_DAYS);
+  const pct = fresh ? Math.round(pcts.reduce((a, b) => a + b, 0) / pcts.length) : null;
+  if (pcts.length && !fresh) notes.push(msg('reason.snowpackOld', { updated }));
+  if (pct != null && pct !== 100) notes.push(msg(pct > 100 ? 'reason.snowpackUp' : 'reason.snowpackDown', { pct }));
+
+  const open = inSeason(resort, now);
+  const weeks = weeksFrom(climate, resort, open ? today : nextSeasonStart(resort, today), pct);
+  const shown = weeks.slice(0, UPCOMING_WEEKS);
+  const pctOf = (w) => Math.round(w.probability * 100);
+  const reasons = [
+    msg('reason.climatology', {
+      seasons: climate.seasons.last - climate.seasons.first + 1,
+      // Years as text, so they don't get a thousands separator.
+      from: String(climate.seasons.first),
+      to: String(climate.seasons.last + 1),
+      base: model.rideableBaseCm,
+    }),
+    msg('reason.weekOdds', { weeks: shown.map((w) => msg('odds.week', { date: w.start, pct: pctOf(w) })) }),
+    ...notes,
+  ];
+
+  if (!open) {
+    const target = weeks.find((w) => w.probability >= LIKELY_ODDS)
+      ?? weeks.reduce((best, w) => (w.probability > best.probability ? w : best));
+    return {
+      label: msg('verdict.nextSeason', { target: msg('target.weekOf', { date: target.start, pct: pctOf(target) }) }),
+      confidence: 'bad',
+      reasons: [
+        msg('reason.outOfSeason', { resort: resort.shortName, start: resort.season.start, end: resort.season.end }),
+        ...reasons,
+      ],
+      weeks: shown,
+    };
+  }
+
+  const soon = shown.find((w) => w.probability >= LIKELY_ODDS);
+  const label = !soon
+    ? msg('verdict.climateLow', { n: UPCOMING_WEEKS })
+    : soon === shown[0]
+      ? msg('verdict.climateNow', { pct: pctOf(soon) })
+      : msg('verdict.climateWeek', { date: soon.start, pct: pctOf(soon) });
+  return { label, confidence: 'meh', reasons, weeks: shown };
+}
+
+function monthGuess(bcSnowpack, resort, now) {
+  // Ultra-simple climatology for Cypress / Vancouver north shore, used until climatology.json is built.
   // (This is a heuristic, not a model.)
   //
   // Biasing (Andy): incorporate BC River Forecast Centre snow context.
-  // We treat Vancouver Island + provincial % median as a coarse proxy for coastal snow health.
+  // We treat the South Coast / Lower Fraser basins (Vancouver Island in older files) + provincial % median
+  // as a coarse proxy for coastal snow health.
 
-  const d = new Date();
+  const d = now;
   const month = d.getMonth(); // 0=Jan
 
   const prov = bcSnowpack?.provincialPctMedian ?? null;
-  const vanIsle = bcSnowpack?.vancouverIslandPctMedian ?? null;
+  const coastal = coastalSnowpack(bcSnowpack)?.pct ?? null;
 
-  const biasNotes = [];
+  const biasNotes = snowpackNotes(bcSnowpack);
   let bias = 0; // -1 = later/weak season, +1 = earlier/strong season
 
-  if (typeof vanIsle === 'number') {
-    biasNotes.push(`BC ASWS Vancouver Island avg: ${vanIsle}% of median (${bcSnowpack?.updatedOn ?? 'unknown date'}).`);
-    if (vanIsle >= 110) bias += 1;
-    if (vanIsle <= 85) bias -= 1;
+  if (typeof coastal === 'number') {
+    if (coastal >= 110) bias += 1;
+    if (coastal <= 85) bias -= 1;
   }
   if (typeof prov === 'number') {
-    biasNotes.push(`BC ASWS provincial avg: ${prov}% of median (${bcSnowpack?.updatedOn ?? 'unknown date'}).`);
     if (prov >= 115) bias += 1;
     if (prov <= 95) bias -= 1;
   }
@@ -131,21 +211,21 @@ function seasonalGuess(bcSnowpack) {
   // - Jan/Feb: best
   // - Mar: still good, warmer risk
   // - Apr: spring conditions
-  // - May-Oct: assume next season
+  // - outside the resort's season window (May-Oct for Cypress): assume next season
 
-  if (month >= 4 && month <= 9) {
+  if (!inSeason(resort, d)) {
     const target = bias > 0
-      ? 'late Nov (maybe early)'
+      ? msg('target.lateNovMaybeEarly')
       : bias < 0
-        ? 'mid/late Dec'
-        : 'late Nov / Dec';
+        ? msg('target.midLateDec')
+        : msg('target.lateNovDec');
 
     return {
-      label: `Next season (aim for ${target}) — check again in fall`,
+      label: msg('verdict.nextSeason', { target }),
       confidence: 'bad',
       reasons: [
-        'Out of typical Cypress snow season (May–Oct).',
-        'Historical pattern: first reliably rideable windows tend to show up late Nov–Dec.',
+        msg('reason.outOfSeason', { resort: resort.shortName, start: resort.season.start, end: resort.season.end }),
+        msg('reason.historicalFirst'),
         ...biasNotes,
       ],
     };
@@ -153,16 +233,16 @@ function seasonalGuess(bcSnowpack) {
 
   if (month === 10) {
     const target = bias > 0
-      ? 'mid/late Nov'
+      ? msg('target.midLateNov')
       : bias < 0
-        ? 'early/mid Dec'
-        : 'late Nov / early Dec';
+        ? msg('target.earlyMidDec')
+        : msg('target.lateNovEarlyDec');
 
     return {
-      label: `Likely ${target} (watch for first storms)`,
+      label: msg('verdict.likely', { target }),
       confidence: 'meh',
       reasons: [
-        'Early season: openings depend on first significant snow + sustained cold.',
+        msg('reason.earlySeason'),
         ...biasNotes,
       ],
     };
@@ -170,10 +250,10 @@ function seasonalGuess(bcSnowpack) {
 
   if (month <= 1) {
     return {
-      label: 'This week / next week (prime season) — watch for fresh snow + cold nights',
+      label: msg('verdict.prime'),
       confidence: 'meh',
       reasons: [
-        'Jan/Feb is historically the most reliable window for Cypress.',
+        msg('reason.primeSeason'),
         ...biasNotes,
       ],
     };
@@ -181,98 +261,44 @@ function seasonalGuess(bcSnowpack) {
 
   // Mar/Apr
   return {
-    label: 'Next 1–2 weeks (spring variable) — prioritize cold nights + fresh snow',
+    label: msg('verdict.spring'),
     confidence: 'meh',
     reasons: [
-      'Spring conditions are volatile; base can be fine but rain/warmth ruins it fast.',
+      msg('reason.springVolatile'),
       ...biasNotes,
     ],
   };
 }
 
-function decideNext({ lifts, snow, forecast, bcSnowpack }) {
-  // Heuristic rules:
-  // - Hard constraint (Andy): if it rains at all before 3pm local time, exclude that day.
-  // - If most lifts are open AND 7-day snow is decent, call it "go soon" (but only if today isn't excluded).
-  // - Otherwise pick the next non-excluded day from the 7-day forecast window.
-  // - If none, fall back to seasonal guess.
-
-  const reasons = [];
-
-  if (lifts?.open != null && lifts?.total != null) {
-    reasons.push(`Cypress lift status: ${lifts.open}/${lifts.total} open.`);
-  }
-  if (snow?.snow7DaysCm != null) {
-    reasons.push(`Snow (7 days): ${snow.snow7DaysCm} cm.`);
-  }
-  if (snow?.baseDepthCm != null) {
-    reasons.push(`Base depth: ${snow.baseDepthCm} cm.`);
-  }
-
-  const liftOk = lifts?.open != null && lifts?.total != null && lifts.open / lifts.total >= 0.67;
-  const snowOk = snow?.snow7DaysCm != null && snow.snow7DaysCm >= 10;
-  const baseOk = snow?.baseDepthCm != null && snow.baseDepthCm >= 80;
-
-  // Apply rain exclusion
-  const todayKey = forecast?.days?.[0]?.date ?? null;
-  const todayExcluded = todayKey ? Boolean(forecast?.excludeBefore3pmRain?.[todayKey]) : false;
-  if (todayExcluded) {
-    reasons.push('Excluded today: forecast shows rain before 3pm.');
-  }
-
-  if (!todayExcluded && liftOk && (snowOk || baseOk)) {
-    return {
-      label: 'Next good day: Today (no rain before 3pm) — go when you can',
-      confidence: 'good',
-      reasons,
-    };
-  }
-
-  // Find next day that is NOT excluded by rain-before-3pm.
-  const days = forecast?.days ?? [];
-  const excludeMap = forecast?.excludeBefore3pmRain ?? {};
-  const nextDay = days.find((d, idx) => idx > 0 && !excludeMap[d.date]);
-
-  if (nextDay) {
-    const extra = [];
-    if (excludeMap[nextDay.date] === false) {
-      extra.push(`No forecast rain before 3pm on ${nextDay.date}.`);
-    }
-    if (nextDay.snowfallCm != null && nextDay.snowfallCm > 0) {
-      extra.push(`Forecast snowfall: ~${nextDay.snowfallCm} cm (low confidence).`);
-    }
-    if (nextDay.rainMm != null && nextDay.rainMm > 0) {
-      extra.push(`Forecast total rain: ~${nextDay.rainMm} mm (but after 3pm, per rule).`);
-    }
-
-    return {
-      label: `Next good day: ${nextDay.label}`,
-      confidence: 'meh',
-      reasons: [...reasons, ...extra],
-    };
-  }
-
-  const seasonal = seasonalGuess(bcSnowpack);
+function nightSession(hours, resort, windRules) {
+  // The evening window summarized on its own: counted rain and the worst gust between start and end.
+  // Null when the resort doesn't run nights.
+  const w = resort.nightSession;
+  if (!w) return null;
+  const inWindow = hours.filter((h) => h.hour >= w.start && h.hour < w.end);
+  const gusts = inWindow.map((h) => h.gustKmh).filter((v) => v != null);
+  const maxGustKmh = gusts.length ? Math.round(Math.max(...gusts)) : null;
   return {
-    ...seasonal,
-    reasons: [...reasons, ...seasonal.reasons, 'Also: no acceptable (no-rain-before-3pm) day found in the next 14 days.'],
+    start: w.start,
+    end: w.end,
+    rainMm: Math.round(inWindow.filter((h) => h.isRain).reduce((sum, h) => sum + h.rainMm, 0) * 10) / 10,
+    snowfallCm: Math.round(inWindow.reduce((sum, h) => sum + h.snowfallCm, 0) * 10) / 10,
+    maxGustKmh,
+    windRisk: windRisk(maxGustKmh, windRules),
   };
 }
 
-function isoDate(d) {
-  return d.toISOString().slice(0, 10);
-}
-
-async function fetchForecast() {
-  // Open-Meteo hourly rain/snowfall. We only need the next 7 days.
+export async function fetchForecast(resort, deps = defaultDeps) {
+  // Open-Meteo hourly rain/snowfall/temperature/freezing level/wind for the next 14 days.
   const u = new URL(SOURCES.openMeteo);
-  u.searchParams.set('latitude', String(CYPRESS.lat));
-  u.searchParams.set('longitude', String(CYPRESS.lon));
-  u.searchParams.set('timezone', CYPRESS.tz);
+  u.searchParams.set('latitude', String(resort.lat));
+  u.searchParams.set('longitude', String(resort.lon));
+  u.searchParams.set('timezone', resort.tz);
   u.searchParams.set('forecast_days', '14');
-  u.searchParams.set('hourly', 'rain,snowfall,temperature_2m');
+  u.searchParams.set('hourly', 'rain,snowfall,temperature_2m,freezing_level_height,wind_speed_10m,wind_gusts_10m');
+  u.searchParams.set('wind_speed_unit', 'kmh');
 
-  const res = await fetch(u);
+  const res = await deps.fetch(u);
   if (!res.ok) throw new Error(`open-meteo: HTTP ${res.status}`);
   const j = await res.json();
 
@@ -280,6 +306,9 @@ async function fetchForecast() {
   const rain = j?.hourly?.rain ?? [];
   const snowfall = j?.hourly?.snowfall ?? [];
   const temp = j?.hourly?.temperature_2m ?? [];
+  const freezing = j?.hourly?.freezing_level_height ?? [];
+  const wind = j?.hourly?.wind_speed_10m ?? [];
+  const gusts = j?.hourly?.wind_gusts_10m ?? [];
 
   // Bucket by local-date.
   const byDate = new Map();
@@ -302,142 +331,317 @@ async function fetchForecast() {
     const isRain = r > 0 && !(te <= 1 && s > 0);
     if (hour < 15 && isRain) d.rainBefore3pm = true;
 
-    d.hours.push({ t, hour, rainMm: r, snowfallCm: s, tempC: te });
+    const fl = freezing[i] == null ? null : Number(freezing[i]);
+    const windKmh = wind[i] == null ? null : Number(wind[i]);
+    const gustKmh = gusts[i] == null ? null : Number(gusts[i]);
+    d.hours.push({ t, hour, rainMm: r, snowfallCm: s, tempC: te, freezingLevelM: fl, windKmh, gustKmh, isRain });
   }
 
   const days = Array.from(byDate.values())
     .slice(0, 14)
-    .map((d, idx) => {
-      const dateObj = new Date(d.date + 'T12:00:00');
-      const label = idx === 0
-        ? `${d.date} (today)`
-        : dateObj.toLocaleDateString('en-CA', { timeZone: CYPRESS.tz, weekday: 'short', month: 'short', day: 'numeric' });
+    .map((d, idx, all) => {
+      // Only raw values here: the page formats dates and units for the rider's locale (i18n.js).
       const rainMm = Math.round(d.rainMm * 10) / 10;
       const snowfallCm = Math.round(d.snowfallCm * 10) / 10;
-      const stoke = d.rainBefore3pm
-        ? 'bad'
-        : snowfallCm > 0 && rainMm < 5
-          ? 'good'
-          : rainMm < 2
-            ? 'good'
-            : 'meh';
+      // Keep the operating-hours slice of the hourly series so the browser can draw a timeline and
+      // re-score with a rider's own cutoff. rainMm per hour is rain that counts (snow-guarded);
+      // rain before opening is folded into preOpenRainMm so it still counts against the day.
+      const round1 = (n) => Math.round(n * 10) / 10;
+      const open = d.hours.filter((h) => h.hour >= resort.hours.open && h.hour < resort.hours.close);
+      const maxOf = (k) => {
+        const vals = open.map((h) => h[k]).filter((v) => v != null);
+        return vals.length ? Math.round(Math.max(...vals)) : null;
+      };
+      const maxGustKmh = maxOf('gustKmh');
+      const windRules = { ...WIND_RULES, ...resort.windHold };
+      const preOpenRainMm = round1(d.hours
+        .filter((h) => h.hour < resort.hours.open && h.isRain)
+        .reduce((sum, h) => sum + h.rainMm, 0));
       return {
         date: d.date,
-        label,
         rainMm,
         snowfallCm,
         rainBefore3pm: d.rainBefore3pm,
-        stoke,
+        preOpenRainMm,
+        ...surfaceStats(d.hours, all[idx - 1]?.hours, resort),
+        maxWindKmh: maxOf('windKmh'),
+        maxGustKmh,
+        windRisk: windRisk(maxGustKmh, windRules),
+        night: nightSession(d.hours, resort, windRules),
+        hours: open.map((h) => ({
+          hour: h.hour,
+          tempC: round1(h.tempC),
+          rainMm: h.isRain ? round1(h.rainMm) : 0,
+          snowfallCm: round1(h.snowfallCm),
+          gustKmh: h.gustKmh == null ? null : Math.round(h.gustKmh),
+        })),
       };
     });
 
+  scoreDays(days, resort);
+
   const excludeBefore3pmRain = {};
-  for (const d of days) excludeBefore3pmRain[d.date] = d.rainBefore3pm;
+  for (const d of days) excludeBefore3pmRain[d.date] = isRainExcluded(d, DEFAULT_PROFILE);
 
   return { days, excludeBefore3pmRain, raw: { url: u.toString() } };
 }
 
-async function fetchBCSnowpack() {
-  // Lightweight parse of the BC River Forecast Centre snow commentary page.
-  // We pull two numbers we can reliably extract from the text:
-  //  - provincial average % of median
-  //  - Vancouver Island basin average % of median (coastal proxy)
-  // Plus the page's "Last updated" date.
-
-  const html = await fetchText(SOURCES.bcSnowCommentary);
-  const text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  const updatedOn = (() => {
-    const m = text.match(/Last updated on\s+([A-Za-z]+\s+\d{1,2},\s+\d{4})/i);
-    return m ? m[1] : null;
-  })();
-
-  const provincialPctMedian = (() => {
-    const m = text.match(/provincial average[^%]{0,120}is\s+(\d+)%\s+of\s+the\s+period-of-record\s+median/i);
-    return m ? Number(m[1]) : null;
-  })();
-
-  const vancouverIslandPctMedian = (() => {
-    const m = text.match(/Vancouver Island\s*\((\d+)%\)/i);
-    return m ? Number(m[1]) : null;
-  })();
-
-  // Short blurb for UI.
-  const blurb = (() => {
-    // Grab first paragraph after the date header if possible; otherwise fallback.
-    const m = text.match(/January\s+\d{1,2},\s+\d{4}\s+(.*?)(?:A complete listing of Automated Snow Weather Stations|The provincial average across all ASWS sites)/i);
-    const s = m ? m[1].trim() : null;
-    return s ? s.slice(0, 260) + (s.length > 260 ? '…' : '') : null;
-  })();
+// Surface and stoke from the day's final numbers; run again once Snow-Forecast is blended in, so the surface
+// agrees with the rain and snow shown next to it. Surface needs the previous day's numbers (rain/warmth that
+// refreezes overnight).
+function scoreDays(days, resort) {
+  days.forEach((day, idx) => {
+    day.surface = classifySurface(day, days[idx - 1] ?? null, resort);
+    day.stoke = dayStoke(day, DEFAULT_PROFILE);
+    if (day.night) day.night.stoke = nightStoke(day, DEFAULT_PROFILE);
+  });
+}
 
-  return {
-    sourceUrl: SOURCES.bcSnowCommentary,
-    updatedOn,
-    provincialPctMedian,
-    vancouverIslandPctMedian,
-    blurb,
-  };
+export async function fetchBCSnowpack(deps = defaultDeps) {
+  // BC River Forecast Centre snow commentary: the date, the provincial average and every basin average
+  // (% of median), plus a short blurb for the UI. See bc-snowpack.mjs.
+  const html = await fetchText(SOURCES.bcSnowCommentary, deps);
+  return { sourceUrl: SOURCES.bcSnowCommentary, ...parseBCCommentary(html) };
 }
 
-async function main() {
-  // Use a single browser session. agent-browser keeps state between commands.
-  await ab('open', SOURCES.cypressReport);
-  await ab('wait', '3500');
+export async function scrapeReport(resort, deps = defaultDeps) {
+  const { lifts, snow, providers, providerErrors } = await runProviderChain(resort, deps);
+  for (const e of providerErrors) console.warn(`${resort.id}: report provider ${e.provider}: ${e.error}`);
+
+  if (lifts.total == null) lifts.total = resort.liftTotal;
+  if (lifts.closed == null && lifts.open != null) lifts.closed = lifts.total - lifts.open;
+  return { lifts, snow, providers, providerErrors };
+}
+
+function localDate(now, tz) {
+  return now.toLocaleDateString('en-CA', { timeZone: tz });
+}
+
+// Last-known-good: a source that failed this run keeps its previous successful value, marked
+// stale: true with the original fetchedAt and this run's error. A source that worked gets
+// fetchedAt = now, stale: false. With nothing to fall back on the failed value is kept as-is.
+export function withFallback(fresh, previous, { ok, now, prevGeneratedAt, error }) {
+  if (ok(fresh)) return { ...fresh, fetchedAt: now.toISOString(), stale: false };
+  if (previous && ok(previous)) {
+    return {
+      ...previous,
+      fetchedAt: previous.fetchedAt ?? prevGeneratedAt ?? null,
+      stale: true,
+      error: error ?? fresh?.error ?? 'no data this run',
+    };
+  }
+  return fresh == null ? fresh : { ...fresh, fetchedAt: null, stale: false };
+}
 
-  const liftSnap = await ab('snapshot', '-s', '#lift-status', '-c');
-  const snowSnap = await ab('snapshot', '-s', '#snow', '-c');
+const hasLifts = (l) => l?.open != null;
+const hasSnow = (s) => Boolean(s) && Object.entries(s).some(([k, v]) => k.endsWith('Cm') && v != null);
+const hasDays = (f) => Array.isArray(f?.days) && f.days.length > 0;
+const hasBc = (b) => Boolean(b) && !b.error;
+const hasRoad = (r) => Boolean(r) && !r.error;
 
-  const lifts = parseLiftStatus(liftSnap);
-  const snow = parseSnow(snowSnap);
+function withoutTrace({ trace, ...verdict }) {
+  return verdict;
+}
+
+export async function updateResort(resort, bcSnowpack, deps = defaultDeps, previous = null) {
+  const now = deps.now();
+  const { lifts, snow, providers, providerErrors } = await scrapeReport(resort, deps);
 
   let forecast = null;
   try {
-    forecast = await fetchForecast();
+    forecast = await fetchForecast(resort, deps);
   } catch (e) {
     forecast = { error: String(e?.message ?? e) };
   }
 
-  let bcSnowpack = null;
-  try {
-    bcSnowpack = await fetchBCSnowpack();
-  } catch (e) {
-    bcSnowpack = { error: String(e?.message ?? e), sourceUrl: SOURCES.bcSnowCommentary };
+  // Second opinion: blend Snow-Forecast into the Open-Meteo days. Optional — a failure only costs confidence info.
+  if (forecast.days) {
+    forecast.models = { openMeteo: { url: forecast.raw.url }, snowForecast: { url: resort.snowForecastUrl } };
+    try {
+      forecast.days = blendForecasts(forecast.days, await fetchSnowForecast(resort, deps));
+      scoreDays(forecast.days, resort);
+    } catch (e) {
+      forecast.models.snowForecast.error = String(e?.message ?? e);
+    }
   }
 
-  const next = decideNext({ lifts, snow, forecast, bcSnowpack });
+  // Fall back per source to the previous data file's values. A stale forecast only keeps days from
+  // today on, so days[0] still means today for decideNext.
+  const fallback = { now, prevGeneratedAt: previous?.generatedAt };
+  const today = localDate(now, resort.tz);
+  const prevForecast = hasDays(previous?.forecast)
+    ? { ...previous.forecast, days: previous.forecast.days.filter((d) => d.date >= today) }
+    : null;
+  forecast = withFallback(forecast, prevForecast, { ...fallback, ok: hasDays });
+  const liftsError = providerErrors.map((e) => `${e.provider}: ${e.error}`).join('; ') || undefined;
+  const current = {
+    lifts: withFallback(lifts, previous?.current?.lifts, { ...fallback, ok: hasLifts, error: liftsError }),
+    snow: withFallback(snow, previous?.current?.snow, { ...fallback, ok: hasSnow, error: liftsError }),
+  };
+  const bc = withFallback(bcSnowpack, previous?.bcSnowpack, { ...fallback, ok: hasBc });
+  // One point per commentary, carried over from the previous file (see bc-snowpack.mjs).
+  if (bc && (bc.updatedOn || previous?.bcSnowpack?.history)) bc.history = bcHistory(bc, previous?.bcSnowpack?.history);
+
+  // Access road events (DriveBC), for resorts with a road in the registry.
+  let road = null;
+  if (resort.road) {
+    try {
+      road = await fetchRoadEvents(resort, deps);
+    } catch (e) {
+      road = { name: resort.road.name, error: String(e?.message ?? e) };
+    }
+    road = withFallback(road, previous?.road, { ...fallback, ok: hasRoad });
+  }
+
+  // Keep the seasonal fallback in the output so the browser can re-score with a rider's profile.
+  const seasonal = seasonalGuess(bc, resort, now, deps.climatology?.() ?? null);
+  const inputs = { resort, lifts: current.lifts, snow: current.snow, forecast, road };
+  // The decision trace is rebuilt from the stored inputs whenever it's wanted (the page's "why?" panel,
+  // `update.mjs explain`), so it stays out of the data file.
+  const next = withoutTrace(decideNext(inputs, DEFAULT_PROFILE, seasonal));
+  const nextNight = resort.nightSession
+    ? withoutTrace(decideNext(inputs, { ...DEFAULT_PROFILE, session: 'night' }, seasonal))
+    : null;
 
-  const out = {
-    generatedAt: new Date().toISOString(),
-    generatedAtLocal: nowLocalString(),
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: now.toISOString(),
+    resort: { id: resort.id, name: resort.name, shortName: resort.shortName, tz: resort.tz },
+    resorts: resortIndex(),
     current: {
-      lifts,
-      snow,
+      ...current,
+      // Which report provider produced each part (null = none did); see report-providers.mjs.
+      providers,
+      providerErrors,
     },
     forecast,
-    bcSnowpack,
+    bcSnowpack: bc,
+    road,
+    seasonal,
     next,
+    nextNight,
     sources: [
-      { label: 'Cypress Mountain Report', url: SOURCES.cypressReport },
-      { label: 'Snow-Forecast (Cypress mid)', url: SOURCES.snowForecast },
+      { label: `${resort.name} report`, url: resort.report.url },
+      { label: `Snow-Forecast (${resort.shortName} mid)`, url: resort.snowForecastUrl },
       { label: 'Open-Meteo forecast (no key)', url: 'https://open-meteo.com/' },
       { label: 'BC Snow conditions commentary', url: SOURCES.bcSnowCommentary },
+      ...(resort.road ? [{ label: `DriveBC events (${resort.road.name})`, url: 'https://www.drivebc.ca/' }] : []),
     ],
   };
+}
+
+// A bad command line (unknown resort, missing or unknown date): reported as one line, without a stack.
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function selectedResorts(argv) {
+  const i = argv.indexOf('--resort');
+  if (i === -1) return RESORTS;
+  const resort = getResort(argv[i + 1]);
+  if (!resort) {
+    throw new UsageError(`Unknown resort "${argv[i + 1]}". Known: ${RESORTS.map((r) => r.id).join(', ')}`);
+  }
+  return [resort];
+}
+
+async function readPrevious(file) {
+  try {
+    return migrateData(JSON.parse(await fs.readFile(new URL(`../${file}`, import.meta.url), 'utf8')));
+  } catch {
+    return null;
+  }
+}
 
-  await fs.writeFile(new URL('../data.json', import.meta.url), JSON.stringify(out, null, 2) + '\n');
+// The decision trace for one forecast day, as text: every rule with its inputs, threshold and outcome.
+// Re-scores the stored inputs with the default rules, so it needs no network.
+export function explainDay(data, date, { session = 'day', f = createFormatter() } = {}) {
+  const profile = { ...DEFAULT_PROFILE, session };
+  const inputs = { resort: data.resort, lifts: data.current?.lifts, snow: data.current?.snow, forecast: data.forecast, road: data.road };
+  const verdict = decideNext(inputs, profile, data.seasonal ?? null);
+  const idx = verdict.trace.days.findIndex((d) => d.date === date);
+  if (idx === -1) {
+    const dates = verdict.trace.days.map((d) => d.date);
+    const range = dates.length ? `${dates[0]} to ${dates[dates.length - 1]}` : 'no days';
+    throw new UsageError(`No forecast day ${date} (the forecast covers ${range})`);
+  }
+  const day = verdict.trace.days[idx];
+  const status = day.chosen ? 'why.chosen' : day.ok ? 'why.ok' : 'why.out';
+  const lines = [
+    `${data.resort?.name ?? 'Cypress Mountain'}, ${session} session, data from ${f.dateTime(data.generatedAt, data.resort?.tz)}`,
+    `Verdict: ${f.message(verdict.label)} (${f.stoke(verdict.confidence)})`,
+    `${f.dayLabel(day.date, idx === 0)}: ${f.t(status)}`,
+    ...day.rules.map((r) => `  ${r.pass ? '✓' : r.soft ? '!' : '✗'} ${f.rule(r)}`),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+async function explain(argv) {
+  const i = argv.indexOf('--date');
+  const date = i === -1 ? null : argv[i + 1];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? '')) throw new UsageError('explain needs --date YYYY-MM-DD');
+  const [resort] = argv.includes('--resort') ? selectedResorts(argv) : [getResort('cypress')];
+  const data = await readPrevious(resort.dataFile);
+  if (!data) throw new UsageError(`Could not read ${resort.dataFile}`);
+  process.stdout.write(explainDay(data, date, { session: argv.includes('--night') ? 'night' : 'day' }));
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv[0] === 'explain') return explain(argv);
+  const resorts = selectedResorts(argv);
+
+  // BC snowpack is regional, so fetch it once and share it across resorts.
+  let bcSnowpack = null;
+  try {
+    bcSnowpack = await fetchBCSnowpack();
+  } catch (e) {
+    bcSnowpack = { error: String(e?.message ?? e), sourceUrl: SOURCES.bcSnowCommentary };
+  }
+
+  let failed = 0;
+  const events = [];
+  for (const resort of resorts) {
+    try {
+      const previous = await readPrevious(resort.dataFile);
+      const out = await updateResort(resort, bcSnowpack, defaultDeps, previous);
+      // Never write a file the site can't read; the previous one stays in place instead.
+      assertValidData(out, resort.dataFile);
+      events.push(...detectChanges(previous, out));
+      await fs.writeFile(new URL(`../${resort.dataFile}`, import.meta.url), JSON.stringify(out, null, 2) + '\n');
+      process.stdout.write(`Wrote ${resort.dataFile}\n`);
+      // Keep every run so scripts/verify.mjs can score our calls against what actually happened.
+      const archived = await archiveSnapshot(out);
+      process.stdout.write(`Archived ${path.relative(process.cwd(), archived)}\n`);
+    } catch (err) {
+      failed++;
+      console.error(`${resort.id}: ${err?.message ?? err}`);
+    }
+  }
 
   // Close session (best effort)
-  try { await ab('close'); } catch {}
+  try { await defaultDeps.ab('close'); } catch {}
+
+  // Alerts go out after every data file is written; a notifier failing never fails the update.
+  const notifiers = notifiersFromEnv();
+  if (!argv.includes('--no-alerts') && events.length && notifiers.length) {
+    const ledger = await loadLedger();
+    const result = await dispatchAlerts(events, notifiers, ledger, defaultDeps);
+    await saveLedger(ledger, undefined, defaultDeps.now());
+    process.stdout.write(`Alerts: ${result.sent.length} sent, ${result.skipped} already sent\n`);
+    for (const e of result.errors) console.error(`alerts (${e.notifier}): ${e.error}`);
+  }
 
-  process.stdout.write('Wrote data.json\n');
+  if (failed) process.exit(1);
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+// Only run when invoked as a script; tests import the functions above.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error(err instanceof UsageError ? err.message : err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/*
+  Score archived forecasts and "next good day" calls against what the mountain report showed.
+
+  Usage:
+    node scripts/verify.mjs          # summary per resort
+    node scripts/verify.mjs --json   # full verification (rows + verdicts) as JSON
+*/
+
+import { loadHistory, verifyAll } from './history.mjs';
+
+function pct(v) {
+  return v == null ? 'n/a' : `${v}%`;
+}
+
+async function main() {
+  const report = verifyAll(await loadHistory());
+
+  if (process.argv.includes('--json')) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return;
+  }
+
+  const ids = Object.keys(report.resorts);
+  if (!ids.length) {
+    process.stdout.write('No history yet. Each `node scripts/update.mjs` run archives into history/.\n');
+    return;
+  }
+
+  for (const id of ids) {
+    const { name, snapshots, stats } = report.resorts[id];
+    process.stdout.write(
+      `${name} (${snapshots} snapshots)\n` +
+      `  days verified:        ${stats.days}, stoke hit rate ${pct(stats.dayHitRate)}\n` +
+      `  "good" calls:         ${stats.goodCalls}, hit rate ${pct(stats.goodCallHitRate)}\n` +
+      `  next-good-day calls:  ${stats.verdicts}, hit rate ${pct(stats.verdictHitRate)}\n` +
+      `  snowfall error (MAE): ${stats.snowMaeCm == null ? 'n/a' : stats.snowMaeCm + ' cm'}\n`
+    );
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
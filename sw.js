@@ -0,0 +1,84 @@
+/*
+  Service worker: keeps the page usable with no signal (say, in the Cypress parking lot).
+
+  - Shell (HTML/JS/CSS/icons): served from the cache, refreshed in the background.
+  - Data files (data.json, data-<resort>.json): network first; if the network fails or takes longer than
+    NETWORK_TIMEOUT_MS, the last cached copy is served with an x-served-from: sw-cache header so app.js
+    can say it's offline. The network request keeps going in the background and refreshes the cache.
+
+  build.mjs rewrites the BUILD line with a version hash and the files to precache.
+*/
+
+const BUILD = { version: 'dev', shell: ['./', 'index.html', 'app.js', 'scoring.js', 'i18n.js', 'style.css'], data: ['data.json'] };
+
+const SHELL_CACHE = `shell-${BUILD.version}`;
+// Not versioned: the last data files should survive a new deploy of the shell.
+const DATA_CACHE = 'data';
+const NETWORK_TIMEOUT_MS = 4000;
+const DATA_FILE = /\/data(-[\w-]+)?\.json$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await (await caches.open(SHELL_CACHE)).addAll(BUILD.shell);
+    const data = await caches.open(DATA_CACHE);
+    await Promise.all(BUILD.data.map(async (file) => {
+      try {
+        const res = await fetch(file, { cache: 'no-store' });
+        if (res.ok) await data.put(new URL(file, self.location).href, res);
+      } catch {}
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((n) => n.startsWith('shell-') && n !== SHELL_CACHE).map((n) => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+function markCached(res) {
+  const headers = new Headers(res.headers);
+  headers.set('x-served-from', 'sw-cache');
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
+
+function dataFirst(event, url) {
+  const key = url.origin + url.pathname;
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await (await caches.open(DATA_CACHE)).put(key, res.clone());
+    return res;
+  });
+  // Keep refreshing the cache even when the page was answered from it.
+  event.waitUntil(network.catch(() => {}));
+
+  return (async () => {
+    const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS, null));
+    try {
+      const res = await Promise.race([network, timeout]);
+      if (res?.ok) return res;
+    } catch {}
+    const cached = await caches.match(key, { cacheName: DATA_CACHE });
+    // Nothing cached yet: let the page see the real network result or failure.
+    return cached ? markCached(cached) : network;
+  })();
+}
+
+function shellFirst(event, req) {
+  const network = fetch(req).then(async (res) => {
+    if (res.ok) await (await caches.open(SHELL_CACHE)).put(req, res.clone());
+    return res;
+  });
+  event.waitUntil(network.catch(() => {}));
+  return caches.match(req, { ignoreSearch: true, cacheName: SHELL_CACHE }).then((cached) => cached ?? network);
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  event.respondWith(DATA_FILE.test(url.pathname) ? dataFirst(event, url) : shellFirst(event, req));
+});
@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+
+import {
+  detectChanges,
+  dispatchAlerts,
+  notifiersFromEnv,
+  slackNotifier,
+  webhookNotifier,
+} from '../scripts/alerts.mjs';
+import { msg } from '../i18n.js';
+import { deps } from './helpers.mjs';
+
+const resort = { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' };
+
+function snapshot({ at = '2026-02-02T14:25:00.000Z', good = [], bad = [], label = msg('verdict.day', { date: '2026-02-05' }), liftsOpen = 4, overnight = 0 } = {}) {
+  const days = [...good.map((date) => ({ date, stoke: 'good', snowfallCm: 5, rainMm: 0 })),
+    ...bad.map((date) => ({ date, stoke: 'bad', snowfallCm: 0, rainMm: 12 }))]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    generatedAt: at,
+    resort,
+    current: { lifts: { open: liftsOpen, total: 6 }, snow: { snowOvernightCm: overnight } },
+    forecast: { days },
+    next: { label, date: good[0] ?? null },
+  };
+}
+
+// Local webhook stand-in: records every POST body.
+async function webhookServer(status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      received.push({ path: req.url, type: req.headers['content-type'], body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, received, close: () => new Promise((r) => server.close(r)) };
+}
+
+test('detectChanges: new and lost good days, a new headline, lifts turning and a big dump', () => {
+  const prev = snapshot({ good: ['2026-02-05', '2026-02-06'], bad: ['2026-02-04'], liftsOpen: 0, label: msg('verdict.day', { date: '2026-02-05' }) });
+  const next = snapshot({
+    at: '2026-02-03T14:25:00.000Z',
+    good: ['2026-02-04', '2026-02-05'],
+    bad: ['2026-02-06'],
+    liftsOpen: 5,
+    overnight: 22,
+    label: msg('verdict.day', { date: '2026-02-04' }),
+  });
+
+  const events = detectChanges(prev, next);
+  assert.deepEqual(events.map((e) => e.key), [
+    'cypress:good-day:2026-02-04',
+    'cypress:good-day-lost:2026-02-06',
+    'cypress:next:2026-02-04:Next good day: Wed, Feb 4',
+    'cypress:lifts-opened:2026-02-03',
+    'cypress:big-snow:2026-02-03',
+  ]);
+  assert.match(events[4].message, /22 cm of new snow/);
+
+  // Nothing changed: nothing to say. A good day rolling out of the window isn't "lost".
+  assert.deepEqual(detectChanges(next, next), [events[4]]);
+  const rolled = snapshot({ at: '2026-02-06T14:25:00.000Z', good: ['2026-02-07'] });
+  assert.ok(!detectChanges(snapshot({ good: ['2026-02-05', '2026-02-07'] }), rolled).some((e) => e.type === 'good-day-lost'));
+});
+
+test('webhook and Slack notifiers post to a local stand-in, and the ledger stops repeats', async () => {
+  const hook = await webhookServer();
+  try {
+    const notifiers = [webhookNotifier(`${hook.url}/hook`), slackNotifier(`${hook.url}/slack`)];
+    const events = detectChanges(snapshot(), snapshot({ good: ['2026-02-05'] }));
+    const ledger = { sent: {} };
+    const d = { ...deps(), fetch: globalThis.fetch };
+
+    const first = await dispatchAlerts(events, notifiers, ledger, d);
+    assert.equal(first.sent.length, 1);
+    assert.deepEqual(Object.keys(ledger.sent), ['cypress:good-day:2026-02-05']);
+
+    const [generic, slack] = hook.received;
+    assert.equal(generic.path, '/hook');
+    assert.equal(generic.type, 'application/json');
+    assert.equal(generic.body.events[0].type, 'good-day');
+    assert.equal(generic.body.events[0].date, '2026-02-05');
+    assert.equal(slack.path, '/slack');
+    assert.match(slack.body.text, /Thu, Feb 5 now looks good/);
+    assert.equal(slack.body.blocks[0].type, 'section');
+
+    const again = await dispatchAlerts(events, notifiers, ledger, d);
+    assert.deepEqual(again, { sent: [], skipped: 1, errors: [] });
+    assert.equal(hook.received.length, 2);
+  } finally {
+    await hook.close();
+  }
+});
+
+test('a failing notifier is reported; keys are only recorded once something was delivered', async () => {
+  const down = await webhookServer(500);
+  try {
+    const events = detectChanges(snapshot(), snapshot({ good: ['2026-02-05'] }));
+    const ledger = { sent: {} };
+    const d = { ...deps(), fetch: globalThis.fetch };
+    const res = await dispatchAlerts(events, [webhookNotifier(down.url)], ledger, d);
+    assert.deepEqual(res.errors, [{ notifier: 'webhook', error: 'webhook: HTTP 500' }]);
+    assert.deepEqual(ledger.sent, {});
+  } finally {
+    await down.close();
+  }
+});
+
+test('email notifier speaks SMTP to a local stand-in', async () => {
+  const lines = [];
+  const server = net.createServer((sock) => {
+    let buf = '';
+    let inData = false;
+    sock.write('220 stand-in ESMTP\r\n');
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\r\n')) !== -1) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        lines.push(line);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            sock.write('250 queued\r\n');
+          }
+        } else if (line.startsWith('EHLO')) sock.write('250-stand-in\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) sock.write('235 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          sock.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') sock.end('221 bye\r\n');
+        else sock.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const [email] = notifiersFromEnv({
+      ALERT_SMTP_HOST: '127.0.0.1',
+      ALERT_SMTP_PORT: String(server.address().port),
+      ALERT_SMTP_USER: 'rider',
+      ALERT_SMTP_PASS: 'secret',
+      ALERT_EMAIL_TO: 'crew@example.com, andy@example.com',
+    });
+    assert.equal(email.name, 'email');
+    const events = detectChanges(snapshot(), snapshot({ good: ['2026-02-05'] }));
+    await email.send(events);
+
+    assert.ok(lines.includes('MAIL FROM:<rider>'));
+    assert.ok(lines.includes('RCPT TO:<andy@example.com>'));
+    assert.ok(lines.includes(`AUTH PLAIN ${Buffer.from('\0rider\0secret').toString('base64')}`));
+    assert.ok(lines.some((l) => l.startsWith('Subject: Cypress Mountain: Thu, Feb 5 now looks good')));
+    assert.equal(lines.at(-1), 'QUIT');
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+});
+
+test('no alert env vars means no notifiers', () => {
+  assert.deepEqual(notifiersFromEnv({}), []);
+  // SMTP needs both a host and recipients.
+  assert.deepEqual(notifiersFromEnv({ ALERT_SMTP_HOST: 'smtp.example.com' }), []);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { badgeFile, badgeSvg, badgeText } from '../scripts/badge.mjs';
+import { msg } from '../i18n.js';
+
+const data = {
+  resort: { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' },
+  next: { label: msg('verdict.day', { date: '2026-02-05' }), date: '2026-02-05', confidence: 'good', reasons: [] },
+};
+
+test('the badge reads "<resort> | <confidence> · <day>"', () => {
+  assert.deepEqual(badgeText(data), { label: 'Cypress', message: 'good · Thu Feb 5', color: '#6ee7b7' });
+  const seasonal = badgeText({ resort: { shortName: 'Grouse' }, next: { label: msg('verdict.nextSeason', {}), date: null, confidence: 'bad' } });
+  assert.equal(seasonal.message, 'bad · no good day yet');
+  assert.equal(badgeText({}).message, 'unknown · no good day yet');
+});
+
+test('badgeSvg sizes the two halves to their text and escapes it', () => {
+  const svg = badgeSvg(data);
+  // 7 and 16 characters at 6.6px each, plus 6px padding either side.
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="176" height="20"/);
+  assert.match(svg, /<rect x="58" width="118" height="20" fill="#6ee7b7"\/>/);
+  assert.match(svg, /<title>Cypress: good · Thu Feb 5<\/title>/);
+  assert.match(badgeSvg({ ...data, resort: { shortName: 'A&B' } }), />A&amp;B<\/text>/);
+});
+
+test('badgeFile follows the data file name', () => {
+  assert.equal(badgeFile('data.json'), 'badge.svg');
+  assert.equal(badgeFile('data-grouse.json'), 'badge-grouse.svg');
+});
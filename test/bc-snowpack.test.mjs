@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BC_HISTORY_MAX, bcHistory, coastalSnowpack, isoFromLongDate, parseBCCommentary } from '../scripts/bc-snowpack.mjs';
+import { fixture } from './helpers.mjs';
+
+test('isoFromLongDate reads the date formats the commentary has used, in any month', () => {
+  assert.equal(isoFromLongDate('February 18, 2026'), '2026-02-18');
+  assert.equal(isoFromLongDate('Snow Conditions – May 1, 2026'), '2026-05-01');
+  assert.equal(isoFromLongDate('Sept. 3 2025'), '2025-09-03');
+  assert.equal(isoFromLongDate('15 April 2026'), '2026-04-15');
+  assert.equal(isoFromLongDate('February 30, 2026'), null);
+  assert.equal(isoFromLongDate('no date here'), null);
+});
+
+test('parseBCCommentary keeps every basin and the summary from the fixture', () => {
+  const bc = parseBCCommentary(fixture('bc-snow-commentary.html'));
+  assert.equal(bc.updatedOn, '2026-02-18');
+  assert.equal(bc.provincialPctMedian, 94);
+  assert.deepEqual(bc.basins.map((b) => b.name), [
+    'Upper Fraser West', 'Upper Fraser East', 'Lower Fraser', 'South Coast', 'Vancouver Island', 'Skagit', 'Okanagan',
+  ]);
+  assert.ok(bc.blurb.endsWith('…') && bc.blurb.length === 261);
+});
+
+test('parseBCCommentary: a June commentary with the basins in a list and no "Last updated" line', () => {
+  const bc = parseBCCommentary(`<h1>Snow Conditions and Water Supply Bulletin</h1>
+<h3>June 1, 2026</h3>
+<p>Rapid melt through late May left most low and mid elevation stations snow-free ahead of schedule.</p>
+<p>The provincial average across all snow survey sites is now 61% of median.</p>
+<p>Basin averages:</p>
+<ul><li>South Coast: 38%</li><li>Lower Fraser: 45%</li><li>Upper Columbia: 77%</li></ul>`);
+  assert.equal(bc.updatedOn, '2026-06-01');
+  assert.equal(bc.provincialPctMedian, 61);
+  assert.equal(bc.southCoastPctMedian, 38);
+  assert.equal(bc.lowerFraserPctMedian, 45);
+  assert.equal(bc.vancouverIslandPctMedian, null);
+  assert.equal(bc.basins.length, 3);
+  assert.match(bc.blurb, /^Rapid melt/);
+});
+
+test('parseBCCommentary: basins written into sentences, with a capitalised word in front of the name', () => {
+  const bc = parseBCCommentary(`<h2>March 4, 2026</h2>
+<p>Storms in late February rebuilt much of the coastal snowpack, with heavy snow above 1000 m on the North Shore.</p>
+<p>The provincial average across all ASWS sites is 96% of median.</p>
+<p>The South Coast (82%) and Lower Fraser (88%) basins recovered the most. Meanwhile Vancouver Island (74%) lags, and
+Snowpack in the Upper Columbia (103%) is near normal. Elsewhere Far North (91%) is little changed.</p>`);
+  assert.equal(bc.updatedOn, '2026-03-04');
+  assert.equal(bc.southCoastPctMedian, 82);
+  assert.equal(bc.lowerFraserPctMedian, 88);
+  assert.equal(bc.vancouverIslandPctMedian, 74);
+  assert.deepEqual(bc.basins.map((b) => b.name), ['South Coast', 'Lower Fraser', 'Vancouver Island', 'Upper Columbia', 'Far North']);
+});
+
+test('coastalSnowpack prefers the North Shore basins and falls back to Vancouver Island', () => {
+  assert.deepEqual(coastalSnowpack({ southCoastPctMedian: 82, lowerFraserPctMedian: 88, vancouverIslandPctMedian: 71 }), { basins: 'coast', pct: 85 });
+  assert.deepEqual(coastalSnowpack({ lowerFraserPctMedian: 88 }), { basins: 'coast', pct: 88 });
+  assert.deepEqual(coastalSnowpack({ vancouverIslandPctMedian: 71 }), { basins: 'vancouverIsland', pct: 71 });
+  assert.equal(coastalSnowpack({ provincialPctMedian: 94 }), null);
+  assert.equal(coastalSnowpack(null), null);
+});
+
+test('bcHistory adds fresh commentaries by date, replaces a re-read one and keeps the latest points', () => {
+  const point = (date, pct) => ({ updatedOn: date, provincialPctMedian: pct, southCoastPctMedian: pct - 5 });
+  let history = bcHistory(point('2026-02-18', 94), [{ date: '2026-03-04', provincial: 90 }]);
+  assert.deepEqual(history.map((p) => p.date), ['2026-02-18', '2026-03-04']);
+  history = bcHistory(point('2026-02-18', 95), history);
+  assert.equal(history[0].provincial, 95);
+  assert.equal(bcHistory({ ...point('2026-03-18', 80), stale: true }, history).length, 2);
+  assert.equal(bcHistory({ error: 'HTTP 503' }, history).length, 2);
+
+  for (let i = 0; i < 30; i++) history = bcHistory(point(new Date(Date.UTC(2027, 0, 1 + 14 * i)).toISOString().slice(0, 10), 100), history);
+  assert.equal(history.length, BC_HISTORY_MAX);
+  assert.equal(history.at(-1).date, '2028-02-11');
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MODEL, buildClimatology, seasonRange, snowpackOdds, snowpackSeries, weekIndex, weekStart, weeklyOdds } from '../scripts/climatology.mjs';
+import { getResort } from '../scripts/resorts.mjs';
+import { deps, fakeFetch } from './helpers.mjs';
+
+const cypress = getResort('cypress');
+
+// Two seasons of archive data: 5 cm a day at -2°C through the snowy stretch, +5°C and dry otherwise.
+// 2023-24 snows from Nov 15 to Mar 31, 2024-25 only from Dec 15 to Feb 28.
+function archive() {
+  const daily = { time: [], snowfall_sum: [], rain_sum: [], temperature_2m_mean: [] };
+  const snowy = (iso) => (iso >= '2023-11-15' && iso <= '2024-03-31') || (iso >= '2024-12-15' && iso <= '2025-02-28');
+  for (let t = Date.parse('2023-09-01'); t <= Date.parse('2025-08-31'); t += 86400e3) {
+    const iso = new Date(t).toISOString().slice(0, 10);
+    daily.time.push(iso);
+    daily.snowfall_sum.push(snowy(iso) ? 5 : 0);
+    daily.rain_sum.push(0);
+    daily.temperature_2m_mean.push(snowy(iso) ? -2 : 5);
+  }
+  return { daily };
+}
+
+test('weeks run from January 1; the last one takes the leftover days', () => {
+  assert.equal(weekIndex('01-07'), 0);
+  assert.equal(weekIndex('01-08'), 1);
+  assert.equal(weekIndex('2028-02-29'), weekIndex('02-28'));
+  assert.equal(weekIndex('12-31'), 51);
+  assert.equal(weekStart(48, 2026), '2026-12-03');
+  // Leap years: Feb 29 joins week 8, and later weeks keep their usual dates.
+  assert.equal(weekStart(8, 2028), '2028-02-26');
+  assert.equal(weekStart(9, 2028), '2028-03-05');
+  assert.equal(weekStart(48, 2028), '2028-12-03');
+  for (let w = 0; w < 52; w++) assert.equal(weekIndex(weekStart(w, 2028)), w);
+  assert.deepEqual(seasonRange(new Date('2026-10-19T12:00:00Z'), 30), { first: 1996, last: 2025, start: '1996-09-01', end: '2026-08-31' });
+});
+
+test('snowpackSeries builds a base from snowfall and melts it with warmth and rain', () => {
+  const series = snowpackSeries({
+    time: ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04'],
+    snowfall_sum: [40, 20, 0, 0],
+    rain_sum: [0, 0, 0, 30],
+    temperature_2m_mean: [-5, -5, 4, 2],
+  });
+  assert.deepEqual(series.map((d) => d.baseCm), [39.6, 59, 54.4, 48.9]);
+  assert.deepEqual(series.map((d) => d.rideable), [false, true, true, false]);
+});
+
+test('weeklyOdds: the share of seasons in which a week was rideable', () => {
+  const weeks = weeklyOdds(snowpackSeries(archive().daily));
+  assert.equal(weeks.length, 52);
+  assert.equal(weeks[weekIndex('02-12')].pRideable, 1);
+  assert.equal(weeks[weekIndex('12-03')].pRideable, 0.5);
+  assert.equal(weeks[weekIndex('10-15')].pRideable, 0);
+  assert.equal(weeks[weekIndex('12-03')].start, '12-03');
+  assert.ok(weeks[weekIndex('02-12')].medianBaseCm > MODEL.rideableBaseCm);
+});
+
+test('buildClimatology reads the archive at the summit for whole seasons', async () => {
+  const fetch = fakeFetch([['archive-api.open-meteo.com', { body: archive() }]]);
+  const c = await buildClimatology(cypress, deps({ fetch, now: new Date('2025-10-01T12:00:00Z') }), { seasons: 2 });
+  const url = new URL(fetch.calls[0]);
+  assert.equal(url.searchParams.get('start_date'), '2023-09-01');
+  assert.equal(url.searchParams.get('end_date'), '2025-08-31');
+  assert.equal(url.searchParams.get('elevation'), '1440');
+  assert.deepEqual(c.seasons, { first: 2023, last: 2024 });
+  assert.equal(c.weeks[weekIndex('12-03')].pRideable, 0.5);
+
+  const failing = fakeFetch([['archive-api', { status: 429, body: 'slow down' }]]);
+  await assert.rejects(buildClimatology(cypress, deps({ fetch: failing })), /open-meteo archive: HTTP 429/);
+});
+
+test('snowpackOdds scales the odds with the snowpack, leaving certain weeks alone', () => {
+  assert.equal(snowpackOdds(0.5, 120), 0.59);
+  assert.equal(snowpackOdds(0.5, 80), 0.39);
+  assert.equal(snowpackOdds(0.5, null), 0.5);
+  assert.equal(snowpackOdds(0, 150), 0);
+  assert.equal(snowpackOdds(1, 50), 1);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fetchRoadEvents, parseRoadEvents, roadEventsUrl, tireRequirement } from '../scripts/drivebc.mjs';
+import { getResort } from '../scripts/resorts.mjs';
+import { deps, fakeFetch, jsonFixture } from './helpers.mjs';
+
+const cypress = getResort('cypress');
+const { road } = cypress;
+
+test('parseRoadEvents keeps events on the road, closures first, and takes the strongest tire rule', () => {
+  const out = parseRoadEvents(jsonFixture('drivebc-events.json'), road, { now: new Date('2026-02-02T14:25:00Z') });
+  assert.equal(out.name, 'Cypress Bowl Road');
+  assert.equal(out.closed, true);
+  // The Highway 1 paving job only mentions the Cypress Bowl Rd exit.
+  assert.deepEqual(out.events.map((e) => e.id), ['drivebc.ca/DBC-71234', 'drivebc.ca/DBC-70981']);
+  assert.deepEqual(out.events[0], {
+    id: 'drivebc.ca/DBC-71234',
+    type: 'INCIDENT',
+    severity: 'MAJOR',
+    description: 'Cypress Bowl Road, in both directions. Road closed between Highway 1 and Cypress Mountain Ski Area due to a vehicle incident. Assessment in progress. Next update at 7:00 AM PST.',
+    closed: true,
+    requirement: null,
+    updated: '2026-02-02T05:42:00-08:00',
+    url: 'https://api.open511.gov.bc.ca/events/drivebc.ca/DBC-71234',
+  });
+  assert.equal(out.events[1].requirement, 'winterTires');
+  assert.deepEqual(out.requirement, { level: 'winterTires', source: 'season', start: '10-01', end: '04-30' });
+});
+
+test('tire requirements: the season rule, event text, and chains over winter tires', () => {
+  const summer = parseRoadEvents({ events: [] }, road, { now: new Date('2026-07-01T18:00:00Z') });
+  assert.deepEqual(summer, { name: 'Cypress Bowl Road', closed: false, requirement: null, events: [] });
+
+  const chains = {
+    events: [{ id: 'x', status: 'ACTIVE', event_type: 'ROAD_CONDITION', description: 'Chains required for all vehicles above the chain-up area.', roads: [{ name: 'Cypress Bowl Road' }] }],
+  };
+  assert.deepEqual(parseRoadEvents(chains, road, { now: new Date('2026-02-02T14:25:00Z') }).requirement, { level: 'chains', source: 'event' });
+  assert.deepEqual(parseRoadEvents(chains, road, { now: new Date('2026-07-01T18:00:00Z') }).requirement, { level: 'chains', source: 'event' });
+
+  assert.equal(tireRequirement('Winter tires or chains required.'), 'winterTires');
+  assert.equal(tireRequirement('Winter tires required. Chains are mandatory for commercial vehicles.'), 'chains');
+  assert.equal(tireRequirement('Paving. Expect delays.'), null);
+  assert.throws(() => parseRoadEvents({ message: 'rate limited' }, road), /no events array/);
+});
+
+test('fetchRoadEvents asks the Open511 feed for active events around the road', async () => {
+  const fetch = fakeFetch([['api.open511.gov.bc.ca/events', { body: jsonFixture('drivebc-events.json') }]]);
+  const out = await fetchRoadEvents(cypress, deps({ fetch }));
+  const u = new URL(fetch.calls[0]);
+  assert.equal(u.searchParams.get('status'), 'ACTIVE');
+  assert.equal(u.searchParams.get('bbox'), '-123.27,49.33,-123.18,49.41');
+  assert.equal(out.sourceUrl, roadEventsUrl(road));
+  assert.equal(out.events.length, 2);
+
+  await assert.rejects(fetchRoadEvents(cypress, deps({ fetch: fakeFetch([]) })), /drivebc: HTTP 404/);
+});
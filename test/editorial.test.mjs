@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { buildEditorial, checkEditorial, parseFrontmatter, renderTemplate } from '../scripts/editorial.mjs';
+
+const data = JSON.parse(fs.readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+const editorialMd = fs.readFileSync(new URL('../editorial.md', import.meta.url), 'utf8');
+
+test('frontmatter is split from the body', () => {
+  const { meta, body } = parseFrontmatter('---\nauthor: "Andy"\nwritten-at: 2026-02-02T06:40:00-08:00\n---\nHello');
+  assert.deepEqual(meta, { author: 'Andy', 'written-at': '2026-02-02T06:40:00-08:00' });
+  assert.equal(body, 'Hello');
+  assert.deepEqual(parseFrontmatter('No frontmatter'), { meta: {}, body: 'No frontmatter' });
+});
+
+test('placeholders resolve against data.json, with today/tomorrow shorthands', () => {
+  const { text, errors } = renderTemplate('{{current.lifts.open}}/{{ current.lifts.total }} · {{today.rainMm}}mm · {{forecast.days[1].snowfallCm}} · {{tomorrow.date}}', data);
+  assert.deepEqual(errors, []);
+  assert.equal(text, '0/6 · 26.6mm · 0 · 2026-02-03');
+
+  const bad = renderTemplate('{{current.lifts.opne}} {{current.lifts}}', data);
+  assert.deepEqual(bad.errors, ['unknown placeholder {{current.lifts.opne}}', 'placeholder {{current.lifts}} is not a single value']);
+});
+
+test('the committed editorial renders cleanly against the committed data', () => {
+  const { editorial, errors } = buildEditorial(editorialMd, data);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(editorial.warnings, []);
+  assert.equal(editorial.author, 'Andy');
+  assert.match(editorial.body, /\*\*0\/6 lifts showing open\*\*/);
+});
+
+test('hand-typed numbers that no longer match the data are reported', () => {
+  const body = 'We have **2/6 lifts** open, **26.6mm** of rain, **27mm** rounded, **4.5mm** made up, a **150cm base**, **11cm** in 7 days and **90%** of median.';
+  assert.deepEqual(checkEditorial({}, body, data), [
+    '"2/6 lifts" but the report shows 0/6 lifts',
+    '"150cm base" but the base depth is 120 cm',
+    '"4.5mm" matches no forecast rain amount',
+    '"90%" matches no BC snowpack percentage',
+  ]);
+  // Placeholder values are never checked; they are always current.
+  assert.deepEqual(checkEditorial({}, '{{today.rainMm}}mm and {{current.snow.baseDepthCm}}cm base', data), []);
+});
+
+test('an editorial older than the data, or for another day, is stale', () => {
+  const newer = { ...data, generatedAt: '2026-02-03T14:25:00.000Z', forecast: { ...data.forecast, days: data.forecast.days.slice(1) } };
+  const { editorial } = buildEditorial(editorialMd, newer);
+  assert.equal(editorial.stale, true);
+  assert.ok(editorial.warnings.includes('written at 2026-02-02T06:40:00-08:00, before the data it describes (generated 2026-02-03T14:25:00.000Z)'));
+  assert.ok(editorial.warnings.includes('valid for 2026-02-02, but the data is for 2026-02-03'));
+});
@@ -0,0 +1,48 @@
+// Offline stand-ins for the runners in scripts/update.mjs (fetch, agent-browser, clock).
+
+import fs from 'node:fs';
+
+export function fixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+export function jsonFixture(name) {
+  return JSON.parse(fixture(name));
+}
+
+// routes: [[substring-or-RegExp, { status?, type?, body } | Error]]; first match wins, unmatched URLs 404.
+export function fakeFetch(routes) {
+  const calls = [];
+  const fetch = async (url) => {
+    const u = String(url);
+    calls.push(u);
+    const hit = routes.find(([m]) => (m instanceof RegExp ? m.test(u) : u.includes(m)));
+    if (!hit) return new Response('not found', { status: 404, headers: { 'content-type': 'text/plain' } });
+    const r = hit[1];
+    if (r instanceof Error) throw r;
+    const body = typeof r.body === 'string' ? r.body : JSON.stringify(r.body);
+    return new Response(body, { status: r.status ?? 200, headers: { 'content-type': r.type ?? 'application/json' } });
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+// snapshots: { [selector]: text }. Records every command so tests can assert on the session.
+export function fakeAb(snapshots) {
+  const calls = [];
+  const ab = async (...args) => {
+    calls.push(args);
+    if (args[0] === 'snapshot') {
+      const sel = args[args.indexOf('-s') + 1];
+      if (!(sel in snapshots)) throw new Error(`agent-browser: no element for ${sel}`);
+      return snapshots[sel];
+    }
+    return '';
+  };
+  ab.calls = calls;
+  return ab;
+}
+
+export function deps({ fetch = fakeFetch([]), ab = fakeAb({}), now = new Date('2026-02-02T14:25:00Z') } = {}) {
+  return { fetch, ab, now: () => now };
+}
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { archiveSnapshot, loadHistory, localParts, verifyAll, verifyResort } from '../scripts/history.mjs';
+
+// Five mornings at Cypress (Feb 1–5) and one late-evening Grouse run; see the files for the numbers.
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/history/', import.meta.url));
+
+test('loadHistory reads every snapshot in date order; a missing directory is no history', async () => {
+  const snaps = await loadHistory(FIXTURE_DIR);
+  assert.equal(snaps.length, 6);
+  assert.deepEqual(snaps.map((s) => s.resort.id), ['cypress', 'grouse', 'cypress', 'cypress', 'cypress', 'cypress']);
+  assert.deepEqual(await loadHistory(path.join(FIXTURE_DIR, 'nope')), []);
+});
+
+test('verifyResort lines up each day with the last forecast before it and the report after', async () => {
+  const cypress = (await loadHistory(FIXTURE_DIR)).filter((s) => s.resort.id === 'cypress');
+  const { rows, verdicts, stats } = verifyResort(cypress);
+
+  assert.deepEqual(rows.map((r) => [r.date, r.leadDays, r.predictedStoke, r.observedGood, r.hit]), [
+    // Nothing forecast Feb 1 or Feb 5 ahead of time, so those days are observed but not scored.
+    ['2026-02-01', null, null, false, null],
+    ['2026-02-02', 1, 'good', true, true],
+    ['2026-02-03', 1, 'good', false, false],
+    ['2026-02-04', 1, 'bad', false, true],
+    ['2026-02-05', null, null, true, null],
+  ]);
+  assert.deepEqual(rows[1], {
+    date: '2026-02-02',
+    leadDays: 1,
+    predictedStoke: 'good',
+    predictedSnowCm: 10,
+    predictedRainBefore3pm: false,
+    // The report the morning after, not the same day's.
+    observedSnowCm: 2,
+    liftsOpen: 5,
+    liftsTotal: 6,
+    observedGood: true,
+    hit: true,
+  });
+  assert.equal(rows[4].observedSnowCm, null);
+
+  assert.deepEqual(verdicts.map((v) => [v.date, v.hit]), [['2026-02-02', true], ['2026-02-03', false]]);
+  assert.deepEqual(stats, {
+    days: 3,
+    dayHitRate: 66.7,
+    goodCalls: 2,
+    goodCallHitRate: 50,
+    verdicts: 2,
+    verdictHitRate: 50,
+    snowMaeCm: 4,
+  });
+});
+
+test('verifyAll splits by resort and dates each snapshot in the resort time zone', async () => {
+  const report = verifyAll(await loadHistory(FIXTURE_DIR));
+  assert.deepEqual(Object.keys(report.resorts), ['cypress', 'grouse']);
+  assert.equal(report.resorts.cypress.snapshots, 5);
+  // 07:30 UTC on Feb 2 is still Feb 1 in Vancouver.
+  assert.deepEqual(report.resorts.grouse.rows.map((r) => [r.date, r.liftsOpen, r.observedGood]), [['2026-02-01', 4, true]]);
+  assert.equal(report.resorts.grouse.stats.days, 0);
+  assert.equal(report.resorts.grouse.stats.dayHitRate, null);
+});
+
+test('archiveSnapshot files a run under its local date and time in the resort time zone', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  try {
+    const out = { generatedAt: '2026-02-02T20:05:09.000Z', resort: { id: 'niseko', tz: 'Asia/Tokyo' } };
+    assert.equal(await archiveSnapshot(out, dir), path.join(dir, '2026-02-03', 'niseko-050509.json'));
+    const older = { generatedAt: '2026-02-02T20:05:09.000Z', resort: { id: 'cypress' } };
+    assert.equal(await archiveSnapshot(older, dir), path.join(dir, '2026-02-02', 'cypress-120509.json'));
+    assert.equal((await loadHistory(dir)).length, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  assert.deepEqual(localParts('2026-02-02T07:30:00Z', 'America/Toronto'), { date: '2026-02-02', time: '023000' });
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_LOCALE,
+  MESSAGES,
+  createFormatter,
+  defaultLocale,
+  fromDisplayUnits,
+  localeFromParams,
+  localeToParams,
+  msg,
+  normalizeLocale,
+  toDisplayUnits,
+} from '../i18n.js';
+import { DEFAULT_PROFILE, decideNext } from '../scoring.js';
+
+const en = createFormatter();
+const fr = createFormatter({ lang: 'fr', units: 'metric' });
+const us = createFormatter({ lang: 'en', units: 'imperial' });
+
+test('English and French catalogs have the same keys', () => {
+  assert.deepEqual(Object.keys(MESSAGES.fr).sort(), Object.keys(MESSAGES.en).sort());
+});
+
+test('units: metric as stored, imperial converted, each with the locale number format', () => {
+  assert.equal(en.snow(10.8), '10.8 cm');
+  assert.equal(en.temp(-2), '-2°C');
+  assert.equal(en.snow(null), '—');
+  assert.equal(fr.snow(10.8), '10,8 cm');
+  assert.equal(fr.temp(-2), '-2 °C');
+  assert.equal(us.snow(25.4), '10 in');
+  assert.equal(us.rain(1), '0.04 in');
+  assert.equal(us.temp(-5), '23°F');
+  assert.equal(us.speed(80), '50 mph');
+  assert.equal(us.elevation(1000), '3,281 ft');
+});
+
+test('hours, windows and dates', () => {
+  assert.equal(en.hour(15), '3pm');
+  assert.equal(en.hour(0), 'midnight');
+  assert.equal(en.window({ start: 16, end: 22 }), '4pm–10pm');
+  assert.equal(fr.window({ start: 16, end: 22 }), '16 h–22 h');
+  assert.equal(en.date('2026-02-03'), 'Tue, Feb 3');
+  assert.equal(en.dayLabel('2026-02-02', true), 'Mon, Feb 2 (today)');
+  assert.equal(en.longDate('2026-01-15'), 'January 15, 2026');
+  assert.equal(en.longDate(null), 'unknown date');
+  assert.equal(en.dateTime('2026-02-02T14:25:01.000Z', 'America/Vancouver'), 'Feb 2, 2026, 6:25 a.m.');
+  // The widget's day tooltip takes the date and stoke already formatted.
+  assert.equal(fr.t('ui.widgetDay', { date: fr.date('2026-02-03'), stoke: fr.t('stoke.good') }), 'mar. 3 févr. : bon');
+});
+
+test('messages nest and keep their params raw until formatted', () => {
+  const m = msg('reason.surfaceDetail', {
+    when: msg('when.on', { date: '2026-02-03' }),
+    surface: 'slush',
+    details: [msg('detail.overnightLow', { c: 3 }), msg('detail.high', { c: 8 })],
+  });
+  assert.equal(en.message(m), 'Surface on Tue, Feb 3: slush (overnight low 3°C, high 8°C).');
+  assert.equal(fr.message(m), 'Surface le mar. 3 févr. : neige fondante (minimum de nuit 3 °C, maximum 8 °C).');
+  assert.equal(us.message(m), 'Surface on Tue, Feb 3: slush (overnight low 37°F, high 46°F).');
+  // Files from before messages hold plain sentences; those show as-is.
+  assert.equal(fr.message('Snow (7 days): 11 cm.'), 'Snow (7 days): 11 cm.');
+  assert.equal(fr.message(msg('text', { text: 'as written' })), 'as written');
+  assert.equal(en.t('no.such.key'), 'no.such.key');
+});
+
+test('every verdict decideNext can produce formats fully in both languages', () => {
+  const day = (date, extra) => ({ date, rainMm: 0, snowfallCm: 5, preOpenRainMm: 0, hours: [{ hour: 10, rainMm: 0 }], ...extra });
+  const inputs = {
+    resort: { shortName: 'Cypress' },
+    lifts: { open: 6, total: 6 },
+    snow: { snow7DaysCm: 20, baseDepthCm: 150 },
+    forecast: {
+      days: [
+        day('2026-02-02', { hours: [{ hour: 10, rainMm: 2 }], windRisk: 'high', maxGustKmh: 90 }),
+        day('2026-02-03', { surface: 'powder', overnightLowC: -4, freezingLevelM: 900, windRisk: 'moderate', maxGustKmh: 55, consensus: { rainAmDisagree: true } }),
+      ],
+    },
+  };
+  const verdicts = [
+    decideNext(inputs),
+    decideNext({ ...inputs, forecast: { days: [inputs.forecast.days[0]] } }),
+    decideNext(inputs, { ...DEFAULT_PROFILE, rainToleranceMm: 1, weekdaysOnly: true }),
+    decideNext(inputs, { ...DEFAULT_PROFILE, session: 'night' }),
+  ];
+  for (const f of [en, fr, us]) {
+    for (const v of verdicts) {
+      for (const text of [f.message(v.label), ...v.reasons.map(f.message)]) {
+        assert.doesNotMatch(text, /[{}]|\b(reason|verdict|rule|when|detail)\./, text);
+      }
+    }
+  }
+  assert.equal(en.message(verdicts[0].label), 'Next good day: Tue, Feb 3');
+  assert.equal(fr.message(verdicts[0].label), 'Prochaine bonne journée : mar. 3 févr.');
+});
+
+test('locale: URL params, browser default and the settings inputs', () => {
+  assert.deepEqual(normalizeLocale({ lang: 'de', units: 'furlongs' }), DEFAULT_LOCALE);
+  // Prototype keys are not languages.
+  assert.deepEqual(normalizeLocale({ lang: 'constructor', units: 'toString' }), DEFAULT_LOCALE);
+  assert.deepEqual(normalizeLocale(localeFromParams(new URLSearchParams('lang=__proto__'))), DEFAULT_LOCALE);
+  assert.equal(createFormatter({ lang: 'constructor' }).t('stoke.good'), 'good');
+  assert.deepEqual(defaultLocale('fr-CA'), { lang: 'fr', units: 'metric' });
+  assert.deepEqual(defaultLocale('en-US'), { lang: 'en', units: 'imperial' });
+
+  const params = localeToParams({ lang: 'fr', units: 'metric' }, new URLSearchParams('resort=grouse&units=imperial'));
+  assert.equal(params.toString(), 'resort=grouse&lang=fr');
+  assert.deepEqual(normalizeLocale(localeFromParams(params)), { lang: 'fr', units: 'metric' });
+
+  assert.equal(toDisplayUnits('rain', 1, 'imperial'), 0.04);
+  assert.equal(toDisplayUnits('snow', 10, 'imperial'), 3.9);
+  assert.equal(toDisplayUnits('snow', 10, 'metric'), 10);
+  assert.equal(fromDisplayUnits('snow', '4', 'imperial'), 10.2);
+  assert.equal(fromDisplayUnits('rain', '0.5', 'metric'), '0.5');
+  assert.equal(fromDisplayUnits('rain', '', 'imperial'), '');
+});
+
+test('every rule in a decision trace formats in both languages', () => {
+  const inputs = {
+    lifts: { open: 3, total: 6 },
+    snow: { snow7DaysCm: 4, baseDepthCm: null },
+    road: { name: 'Cypress Bowl Road', closed: true },
+    forecast: {
+      days: [
+        { date: '2026-02-07', rainMm: 1, hours: [{ hour: 10, rainMm: 1 }], windRisk: 'moderate', maxGustKmh: 55, surface: 'ice', night: { start: 16, end: 22, windRisk: 'low' } },
+        { date: '2026-02-08', rainMm: 0, rainBefore3pm: false },
+      ],
+    },
+  };
+  const rules = [DEFAULT_PROFILE, { ...DEFAULT_PROFILE, session: 'night' }]
+    .flatMap((p) => [inputs, { ...inputs, road: { ...inputs.road, stale: true } }].map((i) => decideNext(i, p)))
+    .flatMap((v) => v.trace.days.flatMap((d) => d.rules));
+  for (const f of [en, fr, us]) {
+    for (const r of rules) assert.doesNotMatch(f.rule(r), /[{}]|trace\./, f.rule(r));
+  }
+  const rain = rules.find((r) => r.id === 'rain');
+  assert.equal(en.rule(rain), 'Rain before 3pm: 1 mm (allowed: 0 mm)');
+  assert.equal(fr.rule(rules.find((r) => r.id === 'weekday')), 'Fin de semaine : oui (jours de semaine seulement : non)');
+  assert.equal(us.rule(rules.find((r) => r.id === 'lifts')), 'Lifts open: 3/6 (needs 67%)');
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCalendar, calendarFile, eventUid, foldLine } from '../scripts/ical.mjs';
+import { msg } from '../i18n.js';
+
+const base = {
+  generatedAt: '2026-02-02T14:05:00.000Z',
+  resort: { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' },
+  next: {
+    label: msg('verdict.day', { date: '2026-02-03' }),
+    reasons: [msg('reason.noRainBefore', { hour: 15, date: '2026-02-03' }), msg('reason.snow7', { cm: 12 })],
+  },
+  forecast: {
+    days: [
+      { date: '2026-02-02', stoke: 'bad', snowfallCm: 0, rainMm: 21, rainBefore3pm: true },
+      { date: '2026-02-03', stoke: 'good', snowfallCm: 10.8, rainMm: 0, rainBefore3pm: false },
+      { date: '2026-02-04', stoke: 'meh', snowfallCm: 0, rainMm: 14, rainBefore3pm: false },
+      { date: '2026-02-28', stoke: 'good', snowfallCm: 2, rainMm: 0.4, rainBefore3pm: false },
+    ],
+  },
+};
+
+function events(ics) {
+  return ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1);
+}
+
+test('one all-day event per good day with numbers and the current reasons', () => {
+  const ics = buildCalendar(base);
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+  const evs = events(ics);
+  assert.equal(evs.length, 2);
+  assert.match(evs[0], /DTSTART;VALUE=DATE:20260203\r\nDTEND;VALUE=DATE:20260204/);
+  assert.match(evs[1], /DTEND;VALUE=DATE:20260301/);
+  assert.match(evs[0], /DTSTAMP:20260202T140500Z/);
+  // Hours since 2025-01-01.
+  assert.match(evs[0], /SEQUENCE:9542\r\n/);
+  assert.match(evs[0], /DESCRIPTION:Snow: 10\.8 cm\. Rain: 0 mm \(before 3pm: none\)\.\\n/);
+  assert.match(evs[0], /- No forecast rain before 3pm on Tue\\, Feb 3\./);
+  assert.match(evs[0], /Next good day: Tue\\, Feb 3/);
+});
+
+test('UIDs depend only on resort and date, so a re-forecast updates the same events', () => {
+  const later = {
+    ...base,
+    generatedAt: '2026-02-03T02:00:00.000Z',
+    forecast: { days: base.forecast.days.map((d) => (d.date === '2026-02-28' ? { ...d, stoke: 'meh' } : { ...d, snowfallCm: 15 })) },
+  };
+  const uids = (ics) => [...ics.matchAll(/^UID:(.+)$/gm)].map((m) => m[1].trim());
+
+  assert.deepEqual(uids(buildCalendar(base)), [eventUid('cypress', '2026-02-03'), eventUid('cypress', '2026-02-28')]);
+  // Feb 28 dropped out of "good": it is gone from the feed; Feb 3 keeps its UID.
+  assert.deepEqual(uids(buildCalendar(later)), [eventUid('cypress', '2026-02-03')]);
+  // ...and a higher SEQUENCE, so calendars take the new numbers.
+  const seq = (ics) => Number(ics.match(/^SEQUENCE:(\d+)/m)[1]);
+  assert.ok(seq(buildCalendar(later)) > seq(buildCalendar(base)));
+});
+
+test('long lines fold at 75 octets without splitting multi-byte characters', () => {
+  const line = 'DESCRIPTION:' + 'é'.repeat(60);
+  const folded = foldLine(line).split('\r\n');
+  assert.ok(folded.length > 1);
+  for (const l of folded) assert.ok(new TextEncoder().encode(l).length <= 75);
+  assert.equal(folded.map((l, i) => (i ? l.slice(1) : l)).join(''), line);
+});
+
+test('calendar file names follow the resort data files', () => {
+  assert.equal(calendarFile('data.json'), 'good-days.ics');
+  assert.equal(calendarFile('data-grouse.json'), 'good-days-grouse.ics');
+});
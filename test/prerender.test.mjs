@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+
+import { prerenderPage, setAttr, setInner, socialMeta, stokeDayHtml } from '../scripts/prerender.mjs';
+import { SHARE_HEIGHT, SHARE_WIDTH, shareLayout, sharePng, shareSvg, wrap } from '../scripts/share-image.mjs';
+import { fontText, textWidth } from '../scripts/png.mjs';
+import { msg } from '../i18n.js';
+
+const TEMPLATE = fs.readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+const data = {
+  generatedAt: '2026-02-02T14:25:01.000Z',
+  resort: { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress', tz: 'America/Vancouver' },
+  current: { lifts: { open: 0, total: 6, closed: 6 }, snow: { snow7DaysCm: 11, baseDepthCm: 120 } },
+  forecast: {
+    days: [
+      { date: '2026-02-02', stoke: 'bad', rainMm: 21, snowfallCm: 2.2, rainBefore3pm: true },
+      { date: '2026-02-03', stoke: 'good', rainMm: 0, snowfallCm: 10.8, rainBefore3pm: false, surface: 'powder', windRisk: 'moderate', maxGustKmh: 48 },
+    ],
+  },
+  next: {
+    label: msg('text', { text: 'Next good day: Tue, Feb 3 — "first chair"' }),
+    confidence: 'Good',
+    reasons: [
+      msg('reason.lifts', { resort: 'Cypress', open: 0, total: 6 }),
+      msg('reason.snow7', { cm: 11 }),
+      msg('reason.base', { cm: 120 }),
+      msg('reason.excludedToday', { rule: msg('rule.rainBefore', { hour: 15 }) }),
+    ],
+  },
+  bcSnowpack: {
+    updatedOn: '2026-01-15',
+    provincialPctMedian: 127,
+    southCoastPctMedian: 96,
+    lowerFraserPctMedian: null,
+    vancouverIslandPctMedian: 70,
+    basins: [{ name: 'South Coast', pctMedian: 96 }, { name: 'Vancouver Island', pctMedian: 70 }],
+    blurb: 'Above normal <province-wide>.',
+  },
+  sources: [{ label: 'Cypress Mountain report', url: 'https://www.cypressmountain.com/mountain-report' }],
+  editorial: { blurbHtml: '<p>Go <strong>Tuesday</strong>.</p>' },
+};
+
+test('prerenderPage fills the headline, reasons, stoke meter and panels', () => {
+  const html = prerenderPage(TEMPLATE, data);
+  assert.match(html, /<h2 id="nextDay">Next good day: Tue, Feb 3 — &quot;first chair&quot;<\/h2>/);
+  assert.match(html, /<div class="pill good" id="confidence">good<\/div>/);
+  assert.match(html, /<p class="muted" id="updated">Last updated: Feb 2, 2026, 6:25 a.m.<\/p>/);
+  assert.match(html, /id="editorial" aria-label="Editorial"><p>Go <strong>Tuesday<\/strong>.<\/p><\/div>/);
+  assert.match(html, /<ul id="reasons" class="reasons"><li>Cypress lift status: 0\/6 open.<\/li><li>Snow/);
+  assert.equal(html.match(/class="stoke-day"/g).length, 2);
+  assert.match(html, /<span class="v" id="lifts">0\/6 open \(6 closed\)<\/span>/);
+  assert.match(html, /<span class="v" id="base">120 cm<\/span>/);
+  assert.match(html, /<span class="v" id="bcProv">127% of median<\/span>/);
+  assert.match(html, /<span class="v" id="bcSC">96% of median<\/span>/);
+  assert.match(html, /<span class="v" id="bcLF">—<\/span>/);
+  assert.match(html, /id="bcBasins">All basins: South Coast 96%, Vancouver Island 70%\.<\/p>/);
+  assert.match(html, /<p class="muted" id="bcUpdated">Last updated: January 15, 2026<\/p>/);
+  assert.match(html, /<p class="muted" id="bcBlurb">Above normal &lt;province-wide&gt;.<\/p>/);
+  assert.match(html, /<li><a href="https:\/\/www.cypressmountain.com\/mountain-report" target="_blank" rel="noopener">Cypress Mountain report<\/a><\/li>/);
+  // app.js still loads and takes over.
+  assert.match(html, /<script type="module" src="app.js"><\/script>/);
+  assert.doesNotMatch(html, /Loading…/);
+});
+
+test('stokeDayHtml matches what app.js renders for the day session', () => {
+  assert.equal(
+    stokeDayHtml(data.forecast.days[0], undefined, true),
+    '<div class="stoke-day" role="listitem"><span class="stoke-day-label">Mon, Feb 2 (today)</span><span class="pill stoke-pill bad">bad</span><span class="stoke-day-detail">rain AM · 2.2 cm snow</span></div>',
+  );
+  const html = stokeDayHtml(data.forecast.days[1]);
+  assert.match(html, /<span class="stoke-surface surface-powder">fresh powder<\/span>/);
+  assert.match(html, /<span class="stoke-wind wind-moderate">wind: moderate \(gusts 48 km\/h\)<\/span>/);
+  assert.match(html, /<span class="stoke-day-label">Tue, Feb 3<\/span>/);
+  assert.match(html, /<span class="stoke-day-detail">10.8 cm snow<\/span>/);
+});
+
+test('socialMeta uses next.label and makes URLs absolute when the site URL is known', () => {
+  const rel = socialMeta(data);
+  assert.match(rel, /<meta property="og:title" content="Next good day: Tue, Feb 3 — &quot;first chair&quot;" \/>/);
+  assert.match(rel, /<meta property="og:image" content="share.png" \/>/);
+  assert.match(rel, /<meta name="twitter:card" content="summary_large_image" \/>/);
+  assert.match(rel, /og:description" content="Cypress lift status: 0\/6 open. Snow \(7 days\): 11 cm. Base depth: 120 cm."/);
+  assert.doesNotMatch(rel, /og:url/);
+
+  const abs = socialMeta(data, { siteUrl: 'https://ride.example/next/' });
+  assert.match(abs, /<meta property="og:url" content="https:\/\/ride.example\/next\/" \/>/);
+  assert.match(abs, /<meta name="twitter:image" content="https:\/\/ride.example\/next\/share.png" \/>/);
+});
+
+test('setInner / setAttr fail loudly when index.html loses an id', () => {
+  assert.throws(() => setInner('<p id="a">x</p>', 'nextDay', 'y'), /#nextDay not found/);
+  assert.equal(setAttr('<p id="a" class="x">1</p>', 'a', 'class', 'y'), '<p id="a" class="y">1</p>');
+  assert.equal(setAttr('<p id="a">1</p>', 'a', 'title', '$&'), '<p id="a" title="$&amp;">1</p>');
+});
+
+test('share image: wrapped verdict, one box per day, same layout as SVG and PNG', () => {
+  assert.equal(fontText('Café — 5°C…'), "CAFE — 5°C.");
+  assert.equal(textWidth('ABC', 2), 34);
+  const lines = wrap('Next good day: Tonight (dry 4pm–10pm) — go after work, it will be great', 7, 1080, 2);
+  assert.equal(lines.length, 2);
+  assert.ok(lines.every((l) => textWidth(l, 7) <= 1080));
+  assert.ok(lines[1].endsWith('...'));
+
+  const ops = shareLayout(data);
+  assert.equal(ops.filter((o) => o.type === 'rect' && o.h === 90).length, 14);
+  assert.ok(ops.some((o) => o.type === 'text' && o.text === 'CONFIDENCE: GOOD'));
+  assert.ok(ops.some((o) => o.type === 'text' && o.text === 'TUE'));
+
+  const svg = shareSvg(data);
+  assert.ok(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${SHARE_WIDTH}" height="${SHARE_HEIGHT}"`));
+  assert.match(svg, /— 'FIRST CHAIR'<\/text>/);
+
+  const png = sharePng(data);
+  assert.equal(png.readUInt32BE(16), SHARE_WIDTH);
+  assert.equal(png.readUInt32BE(20), SHARE_HEIGHT);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + png.readUInt32BE(33)));
+  const at = (x, y) => [...raw.subarray(y * (1 + SHARE_WIDTH * 3) + 1 + x * 3, y * (1 + SHARE_WIDTH * 3) + 4 + x * 3)];
+  assert.deepEqual(at(62, 422), [0xf8, 0x71, 0x71]); // first day: bad
+  assert.deepEqual(at(140, 422), [0x6e, 0xe7, 0xb7]); // second day: good
+});
+
+test('prerenderPage shows the Getting there card when the data file has road events', () => {
+  assert.match(prerenderPage(TEMPLATE, data), /<div class="card" id="roadCard" hidden>/);
+
+  const road = {
+    name: 'Cypress Bowl Road',
+    closed: true,
+    requirement: { level: 'winterTires', source: 'season' },
+    events: [{ id: 'a', type: 'INCIDENT', severity: 'MAJOR', description: 'Road closed <vehicle incident>.', closed: true, requirement: null, updated: '2026-02-02T05:42:00-08:00' }],
+  };
+  const html = prerenderPage(TEMPLATE, { ...data, road });
+  assert.match(html, /<div class="card" id="roadCard">/);
+  assert.match(html, /<span class="v road-closed" id="roadStatus">Closed<\/span>/);
+  assert.match(html, /<span class="v" id="roadTires">Winter tires required \(by law this time of year\)<\/span>/);
+  assert.match(html, /<li class="closed"><strong>Incident<\/strong> — Road closed &lt;vehicle incident&gt;.<span class="muted"> \(updated Feb 2, 2026, 5:42 a.m.\)<\/span><\/li>/);
+
+  const quiet = prerenderPage(TEMPLATE, { ...data, road: { ...road, closed: false, requirement: null, events: [] } });
+  assert.match(quiet, /<ul class="road-events" id="roadEvents"><li class="muted">No active DriveBC events on this road.<\/li><\/ul>/);
+});
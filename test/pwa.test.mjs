@@ -0,0 +1,201 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import zlib from 'node:zlib';
+
+import { ICONS, iconPng, manifest, serviceWorker, versionOf } from '../scripts/pwa.mjs';
+
+const SW_TEMPLATE = fs.readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+const ORIGIN = 'https://ride.example';
+
+test('manifest names the resort and lists the icons', () => {
+  const m = manifest({ resort: { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' } });
+  assert.equal(m.short_name, 'Ride Cypress?');
+  assert.equal(m.start_url, './');
+  assert.equal(m.display, 'standalone');
+  assert.deepEqual(m.icons.map((i) => i.sizes), ['192x192', '512x512']);
+  assert.deepEqual(m.icons.map((i) => i.src), ICONS.map((i) => i.file));
+});
+
+test('iconPng draws a valid PNG of the requested size', () => {
+  const png = iconPng(64);
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+  assert.equal(png.readUInt32BE(16), 64);
+  assert.equal(png.readUInt32BE(20), 64);
+
+  const idatLen = png.readUInt32BE(33);
+  assert.equal(png.toString('ascii', 37, 41), 'IDAT');
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLen));
+  assert.equal(raw.length, 64 * (1 + 64 * 3));
+  const pixel = (x, y) => [...raw.subarray(y * 193 + 1 + x * 3, y * 193 + 4 + x * 3)];
+  assert.deepEqual(pixel(0, 0), [0x0c, 0x18, 0x24]); // background
+  assert.deepEqual(pixel(32, 24), [0xe8, 0xf0, 0xfc]); // snow cap
+  assert.deepEqual(pixel(32, 40), [0x93, 0xc5, 0xfd]); // mountain
+  assert.ok(png.subarray(-8, -4).toString('ascii') === 'IEND');
+});
+
+test('versionOf changes with any shell file and serviceWorker stamps it in', () => {
+  const a = versionOf([['app.js', 'one'], ['style.css', 'x']]);
+  assert.match(a, /^[0-9a-f]{12}$/);
+  assert.equal(versionOf([['app.js', 'one'], ['style.css', 'x']]), a);
+  assert.notEqual(versionOf([['app.js', 'two'], ['style.css', 'x']]), a);
+
+  const sw = serviceWorker(SW_TEMPLATE, { version: a, shell: ['./', 'index.html'], data: ['data.json'] });
+  assert.ok(sw.includes(`const BUILD = {"version":"${a}","shell":["./","index.html"],"data":["data.json"]};`));
+  assert.throws(() => serviceWorker('self.addEventListener();', { version: a }), /BUILD line not found/);
+});
+
+// ---- sw.js, run against in-memory CacheStorage and a swappable network ----
+
+function fakeCaches(fetch) {
+  const stores = new Map();
+  const keyOf = (req, ignoreSearch) => {
+    const u = new URL(typeof req === 'string' ? req : req.url, ORIGIN);
+    if (ignoreSearch) u.search = '';
+    return u.href;
+  };
+  const find = (m, req, opts) => {
+    for (const [k, res] of m) if (keyOf(k, opts?.ignoreSearch) === keyOf(req, opts?.ignoreSearch)) return res.clone();
+    return undefined;
+  };
+  const cache = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const m = stores.get(name);
+    return {
+      put: async (req, res) => { m.set(keyOf(req), res); },
+      addAll: async (urls) => {
+        for (const u of urls) {
+          const res = await fetch(u);
+          if (!res.ok) throw new TypeError(`addAll: ${u} ${res.status}`);
+          m.set(keyOf(u), res);
+        }
+      },
+      match: async (req, opts) => find(m, req, opts),
+    };
+  };
+  return {
+    stores,
+    open: async (name) => cache(name),
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+    match: async (req, opts) => {
+      const names = opts?.cacheName ? [opts.cacheName] : [...stores.keys()];
+      for (const n of names) {
+        const hit = stores.has(n) && find(stores.get(n), req, opts);
+        if (hit) return hit;
+      }
+      return undefined;
+    },
+  };
+}
+
+async function loadWorker(build) {
+  const listeners = {};
+  const net = { online: true, hang: false, files: {} };
+  const fetch = async (req) => {
+    const url = new URL(typeof req === 'string' ? req : req.url, ORIGIN);
+    if (net.hang) return new Promise(() => {});
+    if (!net.online) throw new TypeError('Failed to fetch');
+    const body = net.files[url.pathname.slice(1) || 'index.html'];
+    return body == null ? new Response('nope', { status: 404 }) : new Response(body, { status: 200 });
+  };
+  const caches = fakeCaches(fetch);
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    skipWaiting: async () => {},
+    clients: { claim: async () => {} },
+  };
+  vm.runInNewContext(serviceWorker(SW_TEMPLATE, build), {
+    self, caches, fetch, Headers, Response, Request, URL,
+    // The network timeout fires straight away so the "one bar of signal" case doesn't slow the tests.
+    setTimeout: (fn, _ms, ...args) => setTimeout(fn, 0, ...args),
+  });
+
+  const lifecycle = async (type) => {
+    const waits = [];
+    listeners[type]({ waitUntil: (p) => waits.push(p) });
+    await Promise.all(waits);
+  };
+  const request = async (path) => {
+    let response;
+    listeners.fetch({ request: new Request(`${ORIGIN}/${path}`), respondWith: (p) => { response = p; }, waitUntil: () => {} });
+    return response;
+  };
+  return { net, caches, lifecycle, request };
+}
+
+const BUILD = { version: 'abc123', shell: ['./', 'index.html', 'app.js'], data: ['data.json', 'data-grouse.json'] };
+const FILES = {
+  'index.html': '<main></main>',
+  'app.js': 'main();',
+  'data.json': '{"generatedAt":"2026-02-02T14:05:00Z"}',
+  'data-grouse.json': '{"resort":{"id":"grouse"}}',
+};
+
+async function installed() {
+  const sw = await loadWorker(BUILD);
+  sw.net.files = { ...FILES };
+  await sw.lifecycle('install');
+  await sw.lifecycle('activate');
+  return sw;
+}
+
+test('install precaches the shell and the data files', async () => {
+  const { caches } = await installed();
+  assert.deepEqual([...caches.stores.keys()].sort(), ['data', 'shell-abc123']);
+  assert.deepEqual([...caches.stores.get('data').keys()], [`${ORIGIN}/data.json`, `${ORIGIN}/data-grouse.json`]);
+  assert.equal(caches.stores.get('shell-abc123').size, 3);
+});
+
+test('online: data comes from the network and refreshes the cache', async () => {
+  const sw = await installed();
+  sw.net.files['data.json'] = '{"generatedAt":"2026-02-02T20:05:00Z"}';
+  const res = await sw.request('data.json');
+  assert.equal(res.headers.get('x-served-from'), null);
+  assert.equal(await res.text(), '{"generatedAt":"2026-02-02T20:05:00Z"}');
+
+  sw.net.online = false;
+  const offline = await sw.request('data.json?t=1');
+  assert.equal(offline.headers.get('x-served-from'), 'sw-cache');
+  assert.equal(await offline.text(), '{"generatedAt":"2026-02-02T20:05:00Z"}');
+});
+
+test('offline or hanging network: the last cached data is served and marked', async () => {
+  const sw = await installed();
+  sw.net.online = false;
+  const res = await sw.request('data-grouse.json');
+  assert.equal(res.headers.get('x-served-from'), 'sw-cache');
+  assert.equal(await res.text(), FILES['data-grouse.json']);
+
+  sw.net.online = true;
+  sw.net.hang = true;
+  const slow = await sw.request('data.json');
+  assert.equal(slow.headers.get('x-served-from'), 'sw-cache');
+});
+
+test('offline with nothing cached: the page sees the failure', async () => {
+  const sw = await loadWorker(BUILD);
+  sw.net.online = false;
+  await assert.rejects(sw.request('data.json'), /Failed to fetch/);
+});
+
+test('shell is served from the cache, ignoring the query string', async () => {
+  const sw = await installed();
+  sw.net.online = false;
+  const res = await sw.request('?resort=grouse');
+  assert.equal(await res.text(), FILES['index.html']);
+});
+
+test('activating a new version drops the old shell cache but keeps the data', async () => {
+  const { caches } = await installed();
+  const next = await loadWorker({ ...BUILD, version: 'def456' });
+  next.caches.stores.set('shell-abc123', caches.stores.get('shell-abc123'));
+  next.caches.stores.set('data', caches.stores.get('data'));
+  next.net.files = { ...FILES };
+  await next.lifecycle('install');
+  await next.lifecycle('activate');
+  assert.deepEqual([...next.caches.stores.keys()].sort(), ['data', 'shell-def456']);
+});
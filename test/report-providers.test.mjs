@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { agentBrowserProvider, extractEmbeddedJson, httpProvider, parseReportData, runProviderChain, withTimeout } from '../scripts/report-providers.mjs';
+import { fakeFetch, fixture } from './helpers.mjs';
+
+const resort = {
+  id: 'test',
+  report: { url: 'https://example.test/report', selectors: ['#x'], parse: () => ({}) },
+};
+
+const provider = (name, result) => ({
+  name,
+  timeoutMs: 1000,
+  run: async () => {
+    if (result instanceof Error) throw result;
+    return result;
+  },
+});
+
+// cypress-report.next-data.html is hand-made in the shape of a Next.js report page, not a capture of the
+// live one; the all-or-nothing rule in httpProvider is what keeps a wrong guess from sticking.
+test('parseReportData reads lifts and snow from hydrated page data', () => {
+  const [data] = extractEmbeddedJson(fixture('cypress-report.next-data.html'));
+  const { lifts, snow } = parseReportData(data);
+  assert.deepEqual(lifts, { open: 4, total: 6, closed: 2 });
+  assert.deepEqual(snow, {
+    snowOvernightCm: 4,
+    snow24HoursCm: 9,
+    snow48HoursCm: 15,
+    snow7DaysCm: 22,
+    seasonTotalCm: 312,
+    baseDepthCm: 145,
+  });
+});
+
+test('chain fills parts from later providers and records who produced what', async () => {
+  const r = await runProviderChain(resort, {}, [
+    provider('http', { lifts: { open: null }, snow: { baseDepthCm: 100 } }),
+    provider('agent-browser', { lifts: { open: 2, total: 6, closed: 4 }, snow: { baseDepthCm: 999 } }),
+  ]);
+  assert.deepEqual(r.providers, { lifts: 'agent-browser', snow: 'http' });
+  assert.equal(r.snow.baseDepthCm, 100);
+  assert.equal(r.lifts.open, 2);
+});
+
+test('chain stops once lifts and snow are both known', async () => {
+  let called = false;
+  const r = await runProviderChain(resort, {}, [
+    provider('http', { lifts: { open: 1, total: 6, closed: 5 }, snow: { baseDepthCm: 100 } }),
+    { name: 'agent-browser', timeoutMs: 1000, run: async () => { called = true; return {}; } },
+  ]);
+  assert.equal(called, false);
+  assert.deepEqual(r.providerErrors, []);
+});
+
+test('per-provider timeouts move on to the next provider', async () => {
+  const hang = { name: 'http', timeoutMs: 20, run: () => new Promise(() => {}) };
+  const r = await runProviderChain(resort, {}, [hang, provider('agent-browser', { lifts: { open: 3, total: 6, closed: 3 }, snow: {} })]);
+  assert.match(r.providerErrors[0].error, /http: timed out after 20 ms/);
+  assert.equal(r.providers.lifts, 'agent-browser');
+});
+
+test('resort can override a provider timeout', async () => {
+  const hang = { name: 'http', timeoutMs: 60000, run: () => new Promise(() => {}) };
+  const r = await runProviderChain({ ...resort, report: { ...resort.report, timeouts: { http: 10 } } }, {}, [hang]);
+  assert.match(r.providerErrors[0].error, /timed out after 10 ms/);
+  assert.deepEqual(r.providers, { lifts: null, snow: null });
+});
+
+test('http only counts when it finds both lifts and snow; otherwise agent-browser reads the report', async () => {
+  // A page whose hydration data has a lift list but no snow numbers.
+  const page = `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { lifts: [{ name: 'A', status: 'Open' }] } })}</script>`;
+  const fetch = fakeFetch([['example.test/report', { type: 'text/html', body: page }]]);
+  const browser = provider('agent-browser', { lifts: { open: 2, total: 6, closed: 4 }, snow: { baseDepthCm: 120 } });
+  const r = await runProviderChain(resort, { fetch }, [httpProvider, browser]);
+  assert.match(r.providerErrors[0].error, /incomplete report data \(lifts: ok, snow: missing\)/);
+  assert.deepEqual(r.providers, { lifts: 'agent-browser', snow: 'agent-browser' });
+  assert.equal(r.lifts.open, 2);
+});
+
+test('a timed-out agent-browser run aborts the command it is waiting on', async () => {
+  let signal;
+  const ab = (...args) => {
+    signal = args.at(-1).signal;
+    return new Promise(() => {});
+  };
+  const r = await runProviderChain({ ...resort, report: { ...resort.report, timeouts: { 'agent-browser': 10 } } }, { ab }, [agentBrowserProvider]);
+  assert.match(r.providerErrors[0].error, /agent-browser: timed out after 10 ms/);
+  assert.equal(signal.aborted, true);
+});
+
+test('withTimeout passes results through untouched', async () => {
+  assert.equal(await withTimeout(Promise.resolve(42), 50, 'x'), 42);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RESORTS, getResort, inSeason, parseGenericReport, parseLiftStatus, parseSnow } from '../scripts/resorts.mjs';
+import { fixture } from './helpers.mjs';
+
+test('parseLiftStatus reads the Cypress lift widget', () => {
+  assert.deepEqual(parseLiftStatus(fixture('cypress-lift-status.snapshot.txt')), { open: 5, total: 6, closed: 1 });
+});
+
+test('parseSnow reads every Cypress snow total', () => {
+  assert.deepEqual(parseSnow(fixture('cypress-snow.snapshot.txt')), {
+    snowOvernightCm: 4,
+    snow24HoursCm: 9,
+    snow48HoursCm: 15,
+    snow7DaysCm: 22,
+    seasonTotalCm: 312,
+    baseDepthCm: 145,
+  });
+});
+
+test('page layout changed: parsers return nulls instead of throwing or guessing', () => {
+  assert.deepEqual(parseLiftStatus(fixture('cypress-lift-status.redesigned.snapshot.txt')), { open: null, total: null, closed: null });
+  const snow = parseSnow(fixture('cypress-snow.redesigned.snapshot.txt'));
+  assert.ok(Object.values(snow).every((v) => v === null));
+});
+
+test('parseGenericReport reads loose report text', () => {
+  const { lifts, snow } = parseGenericReport(fixture('grouse-report.snapshot.txt'));
+  assert.deepEqual(lifts, { open: 3, total: 5, closed: 2 });
+  assert.equal(snow.snowOvernightCm, 2);
+  assert.equal(snow.snow24HoursCm, 6);
+  assert.equal(snow.snow7DaysCm, 18);
+  assert.equal(snow.baseDepthCm, 160);
+  assert.equal(snow.seasonTotalCm, 280);
+});
+
+test('inSeason handles windows that wrap the new year', () => {
+  const cypress = getResort('cypress');
+  assert.equal(inSeason(cypress, new Date('2026-01-15T20:00:00Z')), true);
+  assert.equal(inSeason(cypress, new Date('2026-11-01T20:00:00Z')), true);
+  assert.equal(inSeason(cypress, new Date('2026-07-01T20:00:00Z')), false);
+});
+
+test('every resort has what update.mjs needs', () => {
+  for (const r of RESORTS) {
+    assert.ok(r.id && r.name && r.dataFile, r.id);
+    assert.equal(typeof r.report.parse, 'function', r.id);
+    assert.ok(r.hours.open < r.hours.close, r.id);
+  }
+});
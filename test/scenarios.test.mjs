@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { SCENARIOS, buildScenario, scenarioNow } from '../scripts/scenarios.mjs';
+import { distPath, injectDevSnippet } from '../scripts/dev.mjs';
+import { validateData } from '../scripts/schema.mjs';
+
+const TODAY = new Date('2026-10-19T17:00:00Z');
+
+const built = {};
+for (const id of Object.keys(SCENARIOS)) built[id] = await buildScenario(id, TODAY);
+const file = (id, name = 'data.json') => built[id].find((b) => b.file === name).data;
+
+test('scenarioNow: the next occurrence of the scenario day, at midday in Vancouver', () => {
+  assert.equal(scenarioNow(SCENARIOS.allrain, TODAY).toISOString(), '2026-11-20T20:00:00.000Z');
+  assert.equal(scenarioNow(SCENARIOS.offseason, TODAY).toISOString(), '2027-07-15T20:00:00.000Z');
+});
+
+test('every scenario writes a valid file for every resort', () => {
+  for (const [id, files] of Object.entries(built)) {
+    assert.deepEqual(files.map((b) => b.file), ['data.json', 'data-grouse.json', 'data-seymour.json'], id);
+    for (const { file: name, data } of files) assert.deepEqual(validateData(data), [], `${id}/${name}`);
+  }
+});
+
+test('each scenario lands on the verdict it is named for', () => {
+  const offseason = file('offseason');
+  assert.equal(offseason.next.label.key, 'verdict.nextSeason');
+  assert.equal(offseason.next.label.params.target.key, 'target.weekOf');
+  assert.equal(offseason.current.lifts.open, 0);
+
+  const allrain = file('allrain');
+  assert.ok(allrain.forecast.days.every((d) => d.stoke === 'bad'));
+  assert.equal(allrain.next.label.key, 'verdict.climateWeek');
+  assert.equal(allrain.road.closed, true);
+  assert.equal(file('allrain', 'data-seymour.json').next.label.key, 'verdict.nextSeason');
+
+  const powder = file('powderday');
+  assert.equal(powder.next.label.key, 'verdict.today');
+  assert.equal(powder.next.confidence, 'good');
+  assert.equal(powder.current.snow.snowOvernightCm, 25);
+  assert.equal(powder.road.requirement.level, 'chains');
+  assert.deepEqual(
+    [...new Set(powder.forecast.days.map((d) => d.surface))].sort(),
+    ['corn', 'ice', 'packed', 'powder', 'slush'],
+  );
+  assert.deepEqual([...new Set(powder.forecast.days.map((d) => d.windRisk))].sort(), ['high', 'low', 'moderate']);
+  assert.ok(powder.forecast.days.some((d) => d.consensus?.rainAmDisagree));
+  assert.ok(powder.forecast.days.some((d) => !d.rainBefore3pm && d.night?.rainMm > 0));
+
+  const bcError = file('bcError');
+  assert.match(bcError.bcSnowpack.error, /HTTP 503/);
+  assert.match(bcError.road.error, /drivebc: HTTP 503/);
+  assert.equal(bcError.current.lifts.stale, true);
+  assert.equal(bcError.current.lifts.open, 5);
+  assert.equal(bcError.seasonal.label.key, 'verdict.climateLow');
+
+  const noData = file('noData');
+  assert.match(noData.forecast.error, /open-meteo: HTTP 502/);
+  assert.equal(noData.current.lifts.open, null);
+  assert.equal(noData.next.label.params.target.key, 'target.lateNovEarlyDec');
+  assert.equal(file('noData', 'data-grouse.json').next.label.params.target.key, 'target.lateNovDec');
+});
+
+test('between them the scenarios cover every seasonalGuess verdict', () => {
+  const seasonal = Object.values(built).flat().map((b) => b.data.seasonal.label.key);
+  assert.deepEqual(
+    [...new Set(seasonal)].sort(),
+    ['verdict.climateLow', 'verdict.climateNow', 'verdict.climateWeek', 'verdict.likely', 'verdict.nextSeason'],
+  );
+});
+
+test('dev server: HTML gets the live-reload client and scenario bar; paths stay inside dist/', () => {
+  const html = injectDevSnippet('<html><body><main></main></body></html>', ['powderday', 'noData']);
+  assert.match(html, /<option value="powderday">scenario: powderday<\/option>/);
+  assert.match(html, /new EventSource\('\/__livereload'\)/);
+  assert.ok(html.endsWith('</script>\n</body></html>'));
+
+  const dist = path.resolve('/srv/dist');
+  assert.equal(distPath('/', dist), path.join(dist, 'index.html'));
+  assert.equal(distPath('/scenarios/noData/data.json?x=1', dist), path.join(dist, 'scenarios/noData/data.json'));
+  assert.equal(distPath('/%2e%2e/package.json', dist), null);
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { SCHEMA_VERSION, SchemaError, assertValidData, migrateData, validateData } from '../scripts/schema.mjs';
+
+const committed = JSON.parse(fs.readFileSync(new URL('../data.json', import.meta.url), 'utf8'));
+
+test('the committed data.json matches the current schema', () => {
+  assert.equal(committed.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(validateData(committed), []);
+});
+
+test('errors name the offending path', () => {
+  const bad = structuredClone(committed);
+  bad.forecast.days[3].stoke = 'epic';
+  delete bad.forecast.days[1].rainMm;
+  bad.current.lifts.open = '4';
+  assert.deepEqual(validateData(bad), [
+    { path: 'current.lifts.open', message: 'must be integer or null (got string)' },
+    { path: 'forecast.days[1].rainMm', message: 'is required' },
+    { path: 'forecast.days[3].stoke', message: 'must be one of "good", "meh", "bad"' },
+  ]);
+});
+
+test('a forecast needs days unless it records an error', () => {
+  const noDays = structuredClone(committed);
+  delete noDays.forecast.days;
+  assert.deepEqual(validateData(noDays), [{ path: 'forecast.days', message: 'is required' }]);
+
+  const failed = { ...structuredClone(committed), forecast: { error: 'open-meteo: HTTP 503' } };
+  assert.deepEqual(validateData(failed), []);
+});
+
+test('assertValidData throws a SchemaError listing the paths', () => {
+  const { next, ...noNext } = committed;
+  assert.ok(next);
+  assert.throws(() => assertValidData(noNext, 'data-grouse.json'), (e) => {
+    assert.ok(e instanceof SchemaError);
+    assert.match(e.message, /^data-grouse\.json: does not match data\.schema\.json \(v2\)\n {2}- next: is required$/);
+    return true;
+  });
+});
+
+test('pre-schema snapshots migrate to the current version', () => {
+  const { schemaVersion, resort, resorts, ...old } = structuredClone(committed);
+  assert.ok(schemaVersion && resort && resorts);
+  const migrated = migrateData(old);
+  assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.equal(Object.keys(migrated)[0], 'schemaVersion');
+  assert.deepEqual(migrated.resort, { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' });
+  assert.deepEqual(validateData(migrated), []);
+
+  // Current files pass through untouched; files from a newer version are refused.
+  assert.deepEqual(migrateData(committed), committed);
+  assert.throws(() => migrateData({ ...committed, schemaVersion: SCHEMA_VERSION + 1 }), /only knows up to/);
+});
+
+test('v1 files: sentences become text messages, labels and local times go, the BC date turns ISO', () => {
+  const v1 = {
+    schemaVersion: 1,
+    generatedAt: '2026-02-02T14:25:01.000Z',
+    generatedAtLocal: '2026-02-02, 06:25:01',
+    resort: { id: 'cypress', name: 'Cypress Mountain', shortName: 'Cypress' },
+    current: { lifts: { open: 0, total: 6 }, snow: {} },
+    forecast: { days: [{ date: '2026-02-03', label: 'Tue, Feb 3', rainMm: 0, snowfallCm: 4, rainBefore3pm: false, stoke: 'good' }] },
+    bcSnowpack: { updatedOn: 'February 18, 2026' },
+    next: { label: 'Next good day: Tue, Feb 3', confidence: 'meh', reasons: ['Snow (7 days): 11 cm.'] },
+    nextNight: null,
+    sources: [],
+  };
+  const migrated = migrateData(v1);
+  assert.equal(migrated.schemaVersion, 2);
+  assert.ok(!('generatedAtLocal' in migrated));
+  assert.ok(!('label' in migrated.forecast.days[0]));
+  assert.deepEqual(migrated.next.label, { key: 'text', params: { text: 'Next good day: Tue, Feb 3' } });
+  assert.deepEqual(migrated.next.reasons, [{ key: 'text', params: { text: 'Snow (7 days): 11 cm.' } }]);
+  assert.equal(migrated.nextNight, null);
+  assert.equal(migrated.bcSnowpack.updatedOn, '2026-02-18');
+  assert.deepEqual(validateData(migrated), []);
+});
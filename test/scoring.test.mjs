@@ -0,0 +1,278 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_PROFILE,
+  dayStoke,
+  decideNext,
+  isRainExcluded,
+  nightStoke,
+  normalizeProfile,
+  profileFromParams,
+  profileToParams,
+  rainTripHour,
+  windRisk,
+} from '../scoring.js';
+import { createFormatter } from '../i18n.js';
+
+const resort = { shortName: 'Cypress' };
+// Verdicts hold messages; check them as the English page shows them.
+const en = createFormatter();
+const english = (v) => ({ label: en.message(v.label), reasons: v.reasons.map(en.message) });
+
+function day(date, hours, extra = {}) {
+  const rainMm = hours.reduce((s, h) => s + (h.rainMm ?? 0), 0);
+  return { date, rainMm, snowfallCm: 0, preOpenRainMm: 0, hours, ...extra };
+}
+
+const dry = (date) => day(date, [{ hour: 9, rainMm: 0 }, { hour: 16, rainMm: 0 }]);
+const wetMorning = (date, mm = 1) => day(date, [{ hour: 10, rainMm: mm }, { hour: 16, rainMm: 0 }]);
+const wetEvening = (date) => day(date, [{ hour: 10, rainMm: 0 }, { hour: 18, rainMm: 3 }]);
+const withNight = (d, extra = {}) => ({ ...d, night: { start: 16, end: 22, windRisk: 'low', maxGustKmh: 20, ...extra } });
+const NIGHT = { ...DEFAULT_PROFILE, session: 'night' };
+
+test('today wins when lifts are open, snow is decent and the morning is dry', () => {
+  const next = decideNext({
+    resort,
+    lifts: { open: 5, total: 6 },
+    snow: { snow7DaysCm: 12, baseDepthCm: 50 },
+    forecast: { days: [dry('2026-02-02'), dry('2026-02-03')] },
+  });
+  assert.equal(next.confidence, 'good');
+  assert.equal(next.date, '2026-02-02');
+});
+
+test('models disagreeing about rain before 3pm downgrade today to meh', () => {
+  const today = { ...dry('2026-02-02'), consensus: { rainAmDisagree: true, disagreement: 1 } };
+  const next = decideNext({
+    resort,
+    lifts: { open: 5, total: 6 },
+    snow: { snow7DaysCm: 12 },
+    forecast: { days: [today] },
+  });
+  assert.equal(next.confidence, 'meh');
+  assert.equal(dayStoke(today), 'meh');
+});
+
+test('slush or ice keeps a dry day from being good and shows up in the reasons', () => {
+  const slushy = { ...dry('2026-02-03'), surface: 'slush', maxTempC: 8, overnightLowC: 3 };
+  assert.equal(dayStoke(slushy), 'meh');
+  assert.equal(dayStoke({ ...slushy, surface: 'powder' }), 'good');
+
+  const next = decideNext({ resort, forecast: { days: [wetMorning('2026-02-02'), slushy] } });
+  assert.ok(english(next).reasons.includes('Surface on Tue, Feb 3: slush (overnight low 3°C, high 8°C).'));
+});
+
+test('wind-hold risk: high excludes a day, moderate lowers confidence', () => {
+  assert.equal(windRisk(30), 'low');
+  assert.equal(windRisk(55), 'moderate');
+  assert.equal(windRisk(55, { moderateGustKmh: 60, highGustKmh: 80 }), 'low');
+  assert.equal(windRisk(90), 'high');
+  assert.equal(windRisk(null), null);
+
+  const gale = { ...dry('2026-02-02'), windRisk: 'high', maxGustKmh: 90 };
+  const breezy = { ...dry('2026-02-03'), windRisk: 'moderate', maxGustKmh: 55 };
+  const next = decideNext({ resort, lifts: { open: 6, total: 6 }, snow: { snow7DaysCm: 20 }, forecast: { days: [gale, breezy] } });
+  assert.equal(next.date, '2026-02-03');
+  const { reasons } = english(next);
+  assert.ok(reasons.includes('Excluded today: high wind-hold risk (gusts to 90 km/h).'));
+  assert.ok(reasons.includes('Wind-hold risk on Tue, Feb 3: moderate (gusts to 55 km/h).'));
+  assert.equal(dayStoke(gale), 'bad');
+  assert.equal(dayStoke(breezy), 'meh');
+});
+
+test('rain before 3pm today skips to the next dry-morning day', () => {
+  const next = decideNext({
+    resort,
+    lifts: { open: 6, total: 6 },
+    snow: { snow7DaysCm: 30 },
+    forecast: { days: [wetMorning('2026-02-02'), wetMorning('2026-02-03'), wetEvening('2026-02-04')] },
+  });
+  assert.equal(next.date, '2026-02-04');
+  const { reasons } = english(next);
+  assert.ok(reasons.includes('Excluded today: forecast shows rain before 3pm.'));
+  assert.ok(reasons.some((r) => /after 3pm, per rule/.test(r)));
+});
+
+test('no acceptable day uses the caller fallback', () => {
+  const fallback = { label: 'Next season', confidence: 'bad', reasons: ['seasonal'] };
+  const next = decideNext({ resort, forecast: { days: [wetMorning('2026-02-02'), wetMorning('2026-02-03')] } }, DEFAULT_PROFILE, fallback);
+  assert.equal(next.label, 'Next season');
+  assert.ok(next.reasons.includes('seasonal'));
+});
+
+test('missing forecast (source failure) still produces a verdict', () => {
+  const next = decideNext({ resort, lifts: { open: 0, total: 6 }, forecast: { error: 'HTTP 500' } });
+  assert.equal(next.confidence, 'bad');
+});
+
+test('rider profile: tolerance, cutoff hour and weekdays only', () => {
+  const d = wetMorning('2026-02-03', 0.5);
+  assert.equal(isRainExcluded(d, DEFAULT_PROFILE), true);
+  assert.equal(isRainExcluded(d, { ...DEFAULT_PROFILE, rainToleranceMm: 1 }), false);
+  assert.equal(isRainExcluded(d, { ...DEFAULT_PROFILE, rainCutoffHour: 10 }), false);
+
+  // 2026-02-07 is a Saturday.
+  const next = decideNext(
+    { resort, forecast: { days: [wetMorning('2026-02-06'), dry('2026-02-07'), dry('2026-02-09')] } },
+    { ...DEFAULT_PROFILE, weekdaysOnly: true },
+  );
+  assert.equal(next.date, '2026-02-09');
+});
+
+test('rainTripHour names the hour that crossed the tolerance, or pre-open rain', () => {
+  const d = day('2026-02-03', [{ hour: 9, rainMm: 0.4 }, { hour: 10, rainMm: 0.8 }, { hour: 16, rainMm: 2 }]);
+  assert.deepEqual(rainTripHour(d, DEFAULT_PROFILE), { hour: 9, mm: 0.4 });
+  assert.deepEqual(rainTripHour(d, { ...DEFAULT_PROFILE, rainToleranceMm: 1 }), { hour: 10, mm: 1.2 });
+  assert.equal(rainTripHour(d, { ...DEFAULT_PROFILE, rainToleranceMm: 2 }), null);
+  assert.deepEqual(rainTripHour({ ...d, preOpenRainMm: 0.5 }, DEFAULT_PROFILE), { preOpen: true, mm: 0.5 });
+});
+
+test('legacy days without hourly data fall back to the 3pm flag', () => {
+  const legacy = { date: '2026-02-04', rainMm: 0, snowfallCm: 0, rainBefore3pm: true };
+  assert.equal(dayStoke(legacy), 'bad');
+  assert.equal(isRainExcluded(legacy, { ...DEFAULT_PROFILE, rainToleranceMm: 5 }), true);
+});
+
+test('profile round-trips through URL params and clamps junk', () => {
+  const p = normalizeProfile({ rainCutoffHour: '13', rainToleranceMm: '1.5', minSnowCm: 'abc', weekdaysOnly: true });
+  assert.deepEqual(p, { rainCutoffHour: 13, rainToleranceMm: 1.5, minSnowCm: 10, weekdaysOnly: true, session: 'day' });
+
+  const params = profileToParams(p, new URLSearchParams('resort=grouse'));
+  assert.equal(params.toString(), 'resort=grouse&cutoff=13&rainTol=1.5&weekdays=1');
+  assert.deepEqual(normalizeProfile(profileFromParams(params)), p);
+});
+
+test('night session: morning rain is fine, evening rain or wind moves the verdict to the next night', () => {
+  const inputs = (days) => ({
+    resort,
+    lifts: { open: 5, total: 6 },
+    snow: { snow7DaysCm: 12, baseDepthCm: 50 },
+    forecast: { days },
+  });
+
+  const tonight = decideNext(inputs([withNight(wetMorning('2026-02-02')), withNight(dry('2026-02-03'))]), NIGHT);
+  assert.equal(tonight.date, '2026-02-02');
+  assert.equal(tonight.session, 'night');
+  assert.match(english(tonight).label, /^Next good night: Tonight \(dry 4pm–10pm\)/);
+
+  const later = decideNext(inputs([
+    withNight(wetEvening('2026-02-02')),
+    withNight(dry('2026-02-03'), { windRisk: 'high', maxGustKmh: 80 }),
+    withNight(dry('2026-02-04')),
+  ]), NIGHT);
+  assert.equal(later.date, '2026-02-04');
+  assert.ok(english(later).reasons.includes('Excluded tonight: forecast shows 3 mm rain 4pm–10pm.'));
+
+  // The day verdict for the same forecast is unaffected by evening rain.
+  assert.equal(decideNext(inputs([withNight(wetEvening('2026-02-02'))])).date, '2026-02-02');
+});
+
+test('nightStoke: no night session is bad, moderate evening wind is meh', () => {
+  assert.equal(nightStoke(dry('2026-02-02'), NIGHT), 'bad');
+  assert.equal(nightStoke(withNight(dry('2026-02-02'), { windRisk: 'moderate' }), NIGHT), 'meh');
+  assert.equal(nightStoke(withNight(wetMorning('2026-02-02', 5)), NIGHT), 'good');
+});
+
+test('decision trace: every day with each rule, inputs and threshold; the chosen day is the verdict', () => {
+  const inputs = {
+    resort,
+    lifts: { open: 1, total: 6 },
+    snow: { snow7DaysCm: 12, baseDepthCm: 50 },
+    forecast: {
+      days: [
+        dry('2026-02-02'),
+        wetMorning('2026-02-03', 2),
+        { ...dry('2026-02-04'), windRisk: 'high', maxGustKmh: 85 },
+        { ...dry('2026-02-05'), surface: 'slush' },
+        dry('2026-02-06'),
+      ],
+    },
+  };
+  const next = decideNext(inputs);
+  const { trace } = next;
+  assert.equal(trace.session, 'day');
+  assert.deepEqual(trace.days.map((d) => [d.date, d.ok, d.chosen]), [
+    ['2026-02-02', false, false],
+    ['2026-02-03', false, false],
+    ['2026-02-04', false, false],
+    ['2026-02-05', true, true],
+    ['2026-02-06', true, false],
+  ]);
+  assert.equal(next.date, trace.days.find((d) => d.chosen).date);
+
+  const rule = (date, id) => trace.days.find((d) => d.date === date).rules.find((r) => r.id === id);
+  // Only today is judged on the hill itself: dry, but 1/6 lifts is under the threshold.
+  assert.deepEqual(rule('2026-02-02', 'lifts'), { id: 'lifts', input: { open: 1, total: 6 }, threshold: { minPct: 67 }, pass: false });
+  assert.equal(rule('2026-02-02', 'snow').pass, true);
+  assert.equal(rule('2026-02-03', 'lifts'), undefined);
+  assert.deepEqual(rule('2026-02-03', 'rain'), { id: 'rain', input: { mm: 2 }, threshold: { hour: 15, maxMm: 0 }, pass: false });
+  assert.deepEqual(rule('2026-02-04', 'wind'), { id: 'wind', input: { risk: 'high', gust: 85 }, threshold: { risk: 'high' }, pass: false });
+  // Slush is a soft rule: it fails without ruling the day out.
+  assert.deepEqual(rule('2026-02-05', 'surface'), { id: 'surface', input: { surface: 'slush' }, threshold: { avoid: ['slush', 'ice'] }, pass: false, soft: true });
+
+  // A looser rider profile moves the pick, and the trace with it.
+  const loose = decideNext(inputs, { ...DEFAULT_PROFILE, rainToleranceMm: 2 });
+  assert.equal(loose.date, '2026-02-03');
+  assert.equal(loose.trace.days.find((d) => d.chosen).date, '2026-02-03');
+  assert.deepEqual(rule('2026-02-06', 'weekday').input, { weekend: false });
+});
+
+test('decision trace: night rules, and no chosen day when the verdict falls back', () => {
+  const inputs = {
+    resort,
+    lifts: { open: 6, total: 6 },
+    snow: { snow7DaysCm: 12, baseDepthCm: 50 },
+    forecast: { days: [dry('2026-02-02'), withNight(wetEvening('2026-02-03'))] },
+  };
+  const { trace } = decideNext(inputs, NIGHT);
+  assert.equal(trace.session, 'night');
+  assert.deepEqual(trace.days[0].rules.find((r) => r.id === 'nightSession'), { id: 'nightSession', input: { window: null }, threshold: {}, pass: false });
+  assert.deepEqual(trace.days[1].rules.find((r) => r.id === 'nightRain').input, { mm: 3, window: { start: 16, end: 22 } });
+  assert.ok(trace.days.every((d) => !d.chosen));
+  assert.equal(decideNext({ resort }).trace.days.length, 0);
+});
+
+test('a closed access road rules out today, day or night, and shows in the trace', () => {
+  const inputs = {
+    resort,
+    lifts: { open: 6, total: 6 },
+    snow: { snow7DaysCm: 20, baseDepthCm: 150 },
+    forecast: { days: [withNight(dry('2026-02-02')), withNight(dry('2026-02-03'))] },
+    road: { name: 'Cypress Bowl Road', closed: true, events: [] },
+  };
+  const next = decideNext(inputs);
+  assert.equal(next.date, '2026-02-03');
+  assert.ok(english(next).reasons.includes('Excluded today: DriveBC reports Cypress Bowl Road closed.'));
+  assert.deepEqual(next.trace.days[0].rules.find((r) => r.id === 'road'), { id: 'road', input: { road: 'Cypress Bowl Road', closed: true }, threshold: {}, pass: false });
+  assert.equal(next.trace.days[1].rules.find((r) => r.id === 'road'), undefined);
+
+  const night = decideNext(inputs, NIGHT);
+  assert.equal(night.date, '2026-02-03');
+  assert.ok(english(night).reasons.includes('Excluded tonight: DriveBC reports Cypress Bowl Road closed.'));
+
+  assert.equal(decideNext({ ...inputs, road: { ...inputs.road, closed: false } }).date, '2026-02-02');
+});
+
+test('a closure carried over from an earlier update only lowers confidence', () => {
+  const inputs = {
+    resort,
+    lifts: { open: 6, total: 6 },
+    snow: { snow7DaysCm: 20, baseDepthCm: 150 },
+    forecast: { days: [withNight(dry('2026-02-02')), withNight(dry('2026-02-03'))] },
+    // DriveBC failed on this update; withFallback copied the last closure forward.
+    road: { name: 'Cypress Bowl Road', closed: true, stale: true, error: 'HTTP 503', events: [] },
+  };
+  const stale = 'DriveBC last reported Cypress Bowl Road closed, but it couldn\'t be reached since: the closure may be over (lower confidence).';
+  for (const profile of [DEFAULT_PROFILE, NIGHT]) {
+    const next = decideNext(inputs, profile);
+    assert.equal(next.date, '2026-02-02');
+    assert.equal(next.confidence, 'meh');
+    assert.ok(english(next).reasons.includes(stale));
+    assert.ok(!english(next).reasons.some((r) => r.startsWith('Excluded')));
+  }
+  const rules = decideNext(inputs).trace.days[0].rules;
+  assert.equal(rules.find((r) => r.id === 'road'), undefined);
+  assert.deepEqual(rules.find((r) => r.id === 'roadStale'), { id: 'roadStale', input: { road: 'Cypress Bowl Road', confirmed: false }, threshold: {}, pass: false, soft: true });
+  assert.equal(decideNext(inputs).trace.days[0].ok, true);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { blendForecasts, disagreementScore, parseSnowForecast } from '../scripts/snow-forecast.mjs';
+import { fixture } from './helpers.mjs';
+import { decideNext } from '../scoring.js';
+import { createFormatter } from '../i18n.js';
+
+test('parseSnowForecast sums periods per day and flags AM/PM rain', () => {
+  const days = parseSnowForecast(fixture('snow-forecast.6day.html'));
+  assert.equal(days.length, 6);
+  // First day starts part-way through (PM + night only).
+  assert.deepEqual(days[0], { date: '2026-02-02', snowCm: 0, rainMm: 9, rainBefore3pm: true });
+  assert.deepEqual(days[1], { date: '2026-02-03', snowCm: 9, rainMm: 1.2, rainBefore3pm: true });
+  // Night-only rain doesn't count as before 3pm.
+  assert.equal(days[2].rainBefore3pm, false);
+  // Empty cells read as zero.
+  assert.deepEqual(days[5], { date: '2026-02-07', snowCm: 1, rainMm: 0, rainBefore3pm: false });
+});
+
+test('parseSnowForecast fails loudly when the table is gone', () => {
+  assert.throws(() => parseSnowForecast('<html><body>Please enable JavaScript</body></html>'), /layout changed/);
+});
+
+test('disagreementScore: agreement is 0, a split rain-before-3pm call is 1', () => {
+  const dry = { snowCm: 0, rainMm: 0, rainBefore3pm: false };
+  assert.equal(disagreementScore(dry, dry), 0);
+  assert.equal(disagreementScore(dry, { snowCm: 0, rainMm: 0.5, rainBefore3pm: true }), 1);
+  const a = disagreementScore({ snowCm: 10, rainMm: 0, rainBefore3pm: false }, { snowCm: 2, rainMm: 0, rainBefore3pm: false });
+  assert.ok(a > 0 && a < 1);
+});
+
+test('blendForecasts averages amounts per date and keeps both models', () => {
+  const om = [
+    { date: '2026-02-03', snowfallCm: 10, rainMm: 0, rainBefore3pm: false, stoke: 'good' },
+    { date: '2026-02-20', snowfallCm: 0, rainMm: 0, rainBefore3pm: false, stoke: 'good' },
+  ];
+  const [blended, untouched] = blendForecasts(om, parseSnowForecast(fixture('snow-forecast.6day.html')));
+  assert.equal(blended.snowfallCm, 9.5);
+  assert.equal(blended.rainMm, 0.6);
+  assert.equal(blended.consensus.rainAmDisagree, true);
+  assert.equal(blended.consensus.disagreement, 1);
+  assert.deepEqual(blended.consensus.models.openMeteo, { snowCm: 10, rainMm: 0, rainBefore3pm: false });
+  // Dates Snow-Forecast doesn't cover pass through unchanged.
+  assert.equal(untouched, om[1]);
+});
+
+test('blendForecasts moves the fresh-snow count with the blended total, for the surface', () => {
+  const sf = [{ date: '2026-02-03', snowCm: 0, rainMm: 6, rainBefore3pm: true }];
+  const [day] = blendForecasts([{ date: '2026-02-03', snowfallCm: 8, freshSnowCm: 9, rainMm: 0, rainBefore3pm: false }], sf);
+  assert.equal(day.snowfallCm, 4);
+  assert.equal(day.freshSnowCm, 5);
+  assert.equal(day.rainMm, 3);
+  assert.equal(blendForecasts([{ date: '2026-02-03', snowfallCm: 8, rainMm: 0, rainBefore3pm: false }], sf)[0].freshSnowCm, undefined);
+});
+
+test('after the blend, the rain-after-cutoff reason uses the hourly source, not the blended total', () => {
+  const en = createFormatter();
+  const hours = (evening) => [{ hour: 10, rainMm: 0 }, { hour: 18, rainMm: evening }];
+  const om = [
+    { date: '2026-02-02', snowfallCm: 0, rainMm: 12, rainBefore3pm: true, preOpenRainMm: 0, hours: [{ hour: 10, rainMm: 12 }] },
+    // Open-Meteo: dry all day. Snow-Forecast: 8 mm.
+    { date: '2026-02-03', snowfallCm: 0, rainMm: 0, rainBefore3pm: false, preOpenRainMm: 0, hours: hours(0) },
+    // Open-Meteo: 3 mm in the evening. Snow-Forecast: 9 mm.
+    { date: '2026-02-04', snowfallCm: 0, rainMm: 3, rainBefore3pm: false, preOpenRainMm: 0, hours: hours(3) },
+  ];
+  const sf = [
+    { date: '2026-02-03', snowCm: 0, rainMm: 8, rainBefore3pm: true },
+    { date: '2026-02-04', snowCm: 0, rainMm: 9, rainBefore3pm: false },
+  ];
+  const days = blendForecasts(om, sf);
+  assert.equal(days[1].rainMm, 4);
+  const reasons = (d) => decideNext({ resort: { shortName: 'Cypress' }, forecast: { days: [days[0], d] } }).reasons.map(en.message);
+
+  // No "total rain ... but after 3pm" when the hours the rule read hold none; the split shows as disagreement.
+  const dryDay = reasons(days[1]);
+  assert.ok(!dryDay.some((r) => /Forecast total rain/.test(r)));
+  assert.ok(dryDay.includes('Forecast models disagree about rain before 3pm on Tue, Feb 3 (lower confidence).'));
+  assert.ok(reasons(days[2]).includes('Forecast total rain: ~3 mm (but after 3pm, per rule).'));
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifySurface, surfaceStats } from '../scripts/surface.mjs';
+
+const resort = { summitM: 1440, hours: { open: 8, close: 22 } };
+
+const hour = (h, tempC, extra = {}) => ({ hour: h, tempC, snowfallCm: 0, rainMm: 0, freezingLevelM: 1000, ...extra });
+const dayOf = (fn) => Array.from({ length: 24 }, (_, h) => fn(h));
+
+test('surfaceStats pulls the overnight low from the evening before', () => {
+  const prev = dayOf((h) => hour(h, h >= 18 ? -6 : 2));
+  const today = dayOf((h) => hour(h, h < 8 ? -2 : 3, { snowfallCm: h < 6 ? 1 : 0, freezingLevelM: 1200 + h }));
+  const s = surfaceStats(today, prev, resort);
+  assert.equal(s.overnightLowC, -6);
+  assert.equal(s.minTempC, -2);
+  assert.equal(s.maxTempC, 3);
+  assert.equal(s.freezingLevelM, 1221);
+  assert.equal(s.freshSnowCm, 6);
+});
+
+test('classifySurface covers each surface', () => {
+  const base = { minTempC: -5, maxTempC: -2, overnightLowC: -5, freezingLevelM: 600, freshSnowCm: 0, rainMm: 0 };
+  assert.equal(classifySurface({ ...base, freshSnowCm: 12 }, null, resort), 'powder');
+  assert.equal(classifySurface(base, null, resort), 'packed');
+  assert.equal(classifySurface({ ...base, maxTempC: 8, overnightLowC: 3 }, null, resort), 'slush');
+  assert.equal(classifySurface({ ...base, maxTempC: 6, overnightLowC: -3 }, null, resort), 'corn');
+  assert.equal(classifySurface(base, { rainMm: 10, maxTempC: 5 }, resort), 'ice');
+  // Freezing level well above the summit means wet snow even if the station reads cool.
+  assert.equal(classifySurface({ ...base, overnightLowC: 0, maxTempC: 2, freezingLevelM: 2200 }, null, resort), 'slush');
+  // Warm fresh snow isn't powder.
+  assert.equal(classifySurface({ ...base, freshSnowCm: 12, maxTempC: 6, overnightLowC: 1 }, null, resort), 'slush');
+  assert.equal(classifySurface({ maxTempC: null }, null, resort), null);
+});
@@ -0,0 +1,363 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UsageError, explainDay, fetchBCSnowpack, fetchForecast, scrapeReport, seasonalGuess, updateResort } from '../scripts/update.mjs';
+import { getResort } from '../scripts/resorts.mjs';
+import { classifySurface } from '../scripts/surface.mjs';
+import { validateData } from '../scripts/schema.mjs';
+import { createFormatter } from '../i18n.js';
+import { deps, fakeAb, fakeFetch, fixture, jsonFixture } from './helpers.mjs';
+
+const cypress = getResort('cypress');
+const en = createFormatter();
+
+const cypressSnaps = () => ({
+  '#lift-status': fixture('cypress-lift-status.snapshot.txt'),
+  '#snow': fixture('cypress-snow.snapshot.txt'),
+});
+
+const bcOk = ['snow-conditions-commentary', { type: 'text/html', body: fixture('bc-snow-commentary.html') }];
+const meteo = (name) => ['api.open-meteo.com', { body: jsonFixture(name) }];
+
+test('fetchForecast buckets hours into days and applies the rain-before-3pm rule', async () => {
+  const fetch = fakeFetch([meteo('open-meteo.mixed.json')]);
+  const f = await fetchForecast(cypress, deps({ fetch }));
+
+  assert.equal(f.days.length, 14);
+  const [rainy, powder, evening, oneWetHour] = f.days;
+
+  assert.equal(rainy.rainBefore3pm, true);
+  assert.equal(rainy.stoke, 'bad');
+  assert.equal(rainy.rainMm, 21);
+
+  // Cold hours with snowfall count as snow, not rain.
+  assert.equal(powder.rainBefore3pm, false);
+  assert.equal(powder.snowfallCm, 10.8);
+  assert.equal(powder.stoke, 'good');
+
+  assert.equal(evening.rainBefore3pm, false);
+  assert.equal(evening.rainMm, 14);
+  assert.equal(evening.stoke, 'meh');
+
+  assert.equal(oneWetHour.rainBefore3pm, true);
+  assert.equal(f.excludeBefore3pmRain[oneWetHour.date], true);
+
+  // Hourly series is trimmed to operating hours; earlier rain is folded into preOpenRainMm.
+  assert.deepEqual(rainy.hours.map((h) => h.hour), [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21]);
+  assert.equal(rainy.preOpenRainMm, 12);
+
+  // Surface classification from temperatures, overnight refreeze and freezing level.
+  assert.equal(rainy.surface, 'slush');
+  assert.equal(powder.surface, 'powder');
+  assert.equal(powder.overnightLowC, -4);
+  assert.equal(powder.freezingLevelM, 550);
+
+  // Wind-hold risk from max gust during operating hours, using Cypress's own thresholds.
+  const [windy, breezy, calm] = f.days.slice(4, 7);
+  assert.equal(windy.maxGustKmh, 85);
+  assert.equal(windy.windRisk, 'high');
+  assert.equal(windy.stoke, 'bad');
+  assert.equal(breezy.windRisk, 'moderate');
+  assert.equal(breezy.stoke, 'meh');
+  assert.equal(calm.windRisk, 'low');
+  assert.equal(windy.hours.find((h) => h.hour === 12).gustKmh, 85);
+
+  // Night session (16–22h) is scored on its own: evening rain sinks the night, morning rain doesn't.
+  assert.deepEqual(evening.night, { start: 16, end: 22, rainMm: 10, snowfallCm: 0, maxGustKmh: 25, windRisk: 'low', stoke: 'bad' });
+  assert.equal(oneWetHour.night.stoke, 'good');
+  assert.equal(windy.night.windRisk, 'high');
+
+  const u = new URL(fetch.calls[0]);
+  assert.equal(u.searchParams.get('latitude'), String(cypress.lat));
+  assert.equal(u.searchParams.get('timezone'), 'America/Vancouver');
+  assert.match(u.searchParams.get('hourly'), /freezing_level_height/);
+  assert.match(u.searchParams.get('hourly'), /wind_gusts_10m/);
+});
+
+test('all-rain forecast: every day is excluded and the verdict falls back to the season guess', async () => {
+  const d = deps({
+    fetch: fakeFetch([meteo('open-meteo.allrain.json')]),
+    ab: fakeAb(cypressSnaps()),
+  });
+  const out = await updateResort(cypress, null, d);
+
+  assert.ok(out.forecast.days.every((day) => day.stoke === 'bad'));
+  assert.equal(out.next.label, out.seasonal.label);
+  assert.match(en.message(out.next.reasons.at(-1)), /no acceptable \(no rain before 3pm\) day/);
+  assert.deepEqual(validateData(out), []);
+  // The trace is rebuilt on demand, not stored.
+  assert.equal(out.next.trace, undefined);
+
+  const text = explainDay(out, out.forecast.days[1].date);
+  assert.match(text, /^Cypress Mountain, day session, data from /);
+  assert.match(text, /: ruled out\n/);
+  assert.match(text, /\n  ✗ Rain before 3pm: [\d.]+ mm \(allowed: 0 mm\)\n/);
+  // The hard wind rule and the soft one read differently.
+  assert.equal(text.match(/Wind-hold risk/g).length, 1);
+  assert.match(text, /\n  [✓!] Calm enough for full confidence: (yes|no) /);
+  assert.throws(() => explainDay(out, '1999-01-01'), (e) => e instanceof UsageError && /No forecast day 1999-01-01 \(the forecast covers /.test(e.message));
+});
+
+test('Snow-Forecast blend downgrades days where the models split on rain before 3pm', async () => {
+  const d = deps({
+    fetch: fakeFetch([
+      meteo('open-meteo.mixed.json'),
+      ['snow-forecast.com', { type: 'text/html', body: fixture('snow-forecast.6day.html') }],
+    ]),
+    ab: fakeAb(cypressSnaps()),
+  });
+  const out = await updateResort(cypress, null, d);
+  const powder = out.forecast.days[1];
+
+  assert.equal(powder.consensus.rainAmDisagree, true);
+  assert.equal(powder.stoke, 'meh');
+  assert.equal(powder.snowfallCm, 9.9);
+  assert.equal(out.forecast.models.snowForecast.error, undefined);
+  assert.equal(out.next.date, '2026-02-03');
+  assert.ok(out.next.reasons.some((r) => /models disagree/.test(en.message(r))));
+  // Beyond Snow-Forecast's 6 days, Open-Meteo stands alone.
+  assert.equal(out.forecast.days[10].consensus, undefined);
+  // The surface is classified from the blended numbers shown with it.
+  out.forecast.days.forEach((day, i) => assert.equal(day.surface, classifySurface(day, out.forecast.days[i - 1] ?? null, cypress), day.date));
+});
+
+test('Snow-Forecast failure is recorded without touching the Open-Meteo days', async () => {
+  const d = deps({ fetch: fakeFetch([meteo('open-meteo.mixed.json')]), ab: fakeAb(cypressSnaps()) });
+  const out = await updateResort(cypress, null, d);
+  assert.match(out.forecast.models.snowForecast.error, /snow-forecast: HTTP 404/);
+  assert.equal(out.forecast.days[1].stoke, 'good');
+});
+
+test('off-season without a climatology: seasonalGuess points at next season by the month', () => {
+  const g = seasonalGuess(null, cypress, new Date('2026-07-10T19:00:00Z'));
+  assert.equal(g.confidence, 'bad');
+  assert.match(en.message(g.label), /^Next season/);
+});
+
+test('without a climatology, seasonalGuess biases the target with BC snowpack percentages', () => {
+  const strong = seasonalGuess({ provincialPctMedian: 130, vancouverIslandPctMedian: 120 }, cypress, new Date('2026-07-10T19:00:00Z'));
+  assert.match(en.message(strong.label), /late Nov \(maybe early\)/);
+  const weak = seasonalGuess({ provincialPctMedian: 80, vancouverIslandPctMedian: 70 }, cypress, new Date('2026-07-10T19:00:00Z'));
+  assert.match(en.message(weak.label), /mid\/late Dec/);
+  assert.ok(weak.reasons.some((r) => en.message(r) === 'BC ASWS provincial avg: 80% of median (unknown date).'));
+});
+
+test('the South Coast and Lower Fraser basins stand in for the coast, ahead of Vancouver Island', () => {
+  const july = new Date('2026-07-10T19:00:00Z');
+  // A strong island doesn't help when the North Shore's own basins are weak.
+  const g = seasonalGuess({ provincialPctMedian: 100, southCoastPctMedian: 80, lowerFraserPctMedian: 86, vancouverIslandPctMedian: 120, updatedOn: '2026-06-15' }, cypress, july);
+  assert.match(en.message(g.label), /mid\/late Dec/);
+  assert.ok(g.reasons.some((r) => en.message(r) === 'BC ASWS South Coast / Lower Fraser avg: 83% of median (June 15, 2026).'));
+  assert.ok(!g.reasons.some((r) => r.key === 'reason.bcVanIsle'));
+});
+
+test('seasonalGuess with a climatology: odds per week, shifted by a current snowpack', () => {
+  // Even odds or better from the week of Nov 19; 40% the two weeks before.
+  const p = (w) => (w >= 46 || w <= 15 ? 0.55 : w >= 44 ? 0.4 : 0);
+  const climatology = {
+    model: { rideableBaseCm: 50 },
+    resorts: { cypress: { seasons: { first: 1996, last: 2025 }, weeks: Array.from({ length: 52 }, (_, w) => ({ week: w, pRideable: p(w) })) } },
+  };
+  const july = new Date('2026-07-10T19:00:00Z');
+
+  const plain = seasonalGuess(null, cypress, july, climatology);
+  assert.equal(en.message(plain.label), 'Next season (aim for the week of Thu, Nov 19, 55% chance) — check again in fall');
+  assert.equal(plain.weeks[0].start, '2026-10-29');
+  assert.equal(en.message(plain.reasons[1]), 'Climatology: 30 seasons of Open-Meteo archive data (1996–2026); a week counts as rideable with a modelled base of 50 cm on most of its days.');
+  assert.equal(en.message(plain.reasons[2]), 'Chance of rideable conditions by week: Thu, Oct 29 (0%), Thu, Nov 5 (40%), Thu, Nov 12 (40%), Thu, Nov 19 (55%), Thu, Nov 26 (55%), Thu, Dec 3 (55%).');
+
+  const strong = seasonalGuess({ provincialPctMedian: 130, vancouverIslandPctMedian: 120, updatedOn: '2026-06-15' }, cypress, july, climatology);
+  assert.match(en.message(strong.label), /week of Thu, Nov 5, 51% chance/);
+  assert.ok(strong.reasons.some((r) => en.message(r) === 'Snowpack at 125% of median: odds raised from the climatology.'));
+
+  // Last spring's numbers say nothing about next season.
+  const old = seasonalGuess({ provincialPctMedian: 130, vancouverIslandPctMedian: 120, updatedOn: '2026-04-01' }, cypress, july, climatology);
+  assert.deepEqual(old.label, plain.label);
+  assert.ok(old.reasons.some((r) => en.message(r) === 'The BC snowpack numbers are from April 1, 2026, too old to adjust the odds.'));
+
+  const feb = seasonalGuess(null, cypress, new Date('2026-02-02T19:00:00Z'), climatology);
+  assert.equal(en.message(feb.label), 'This week: 55% chance of rideable conditions in a typical season — watch for fresh snow + cold nights');
+  assert.equal(feb.confidence, 'meh');
+  const april = seasonalGuess({ provincialPctMedian: 70, updatedOn: '2026-04-01' }, cypress, new Date('2026-04-20T19:00:00Z'), climatology);
+  assert.equal(en.message(april.label), 'Low odds of rideable conditions over the next 6 weeks — watch for a storm cycle');
+  // 2028 is a leap year: the week holding Mar 6 still starts on Mar 5, not a day early.
+  assert.equal(seasonalGuess(null, cypress, new Date('2028-03-06T19:00:00Z'), climatology).weeks[0].start, '2028-03-05');
+  // Seymour is closed by then: next season, whatever the snow.
+  assert.equal(seasonalGuess(null, getResort('seymour'), new Date('2026-04-20T19:00:00Z'), { ...climatology, resorts: { seymour: climatology.resorts.cypress } }).label.key, 'verdict.nextSeason');
+});
+
+test('updateResort uses the climatology from deps', async () => {
+  const climatology = { model: { rideableBaseCm: 50 }, resorts: { cypress: { seasons: { first: 1996, last: 2025 }, weeks: Array.from({ length: 52 }, (_, w) => ({ week: w, pRideable: 0.8 })) } } };
+  const out = await updateResort(cypress, null, { ...deps(), climatology: () => climatology });
+  assert.equal(out.seasonal.label.key, 'verdict.climateNow');
+  assert.equal(out.seasonal.weeks.length, 6);
+  assert.deepEqual(validateData(out), []);
+});
+
+test('fetchBCSnowpack parses a commentary dated outside January', async () => {
+  const bc = await fetchBCSnowpack(deps({ fetch: fakeFetch([bcOk]) }));
+  assert.equal(bc.updatedOn, '2026-02-18');
+  assert.equal(bc.provincialPctMedian, 94);
+  assert.equal(bc.southCoastPctMedian, 82);
+  assert.equal(bc.lowerFraserPctMedian, 88);
+  assert.equal(bc.vancouverIslandPctMedian, 71);
+  assert.equal(bc.basins.length, 7);
+  assert.deepEqual(bc.basins[0], { name: 'Upper Fraser West', pctMedian: 104 });
+  assert.match(bc.blurb, /^A persistent ridge of high pressure/);
+});
+
+test('updateResort keeps one BC snowpack point per commentary across updates', async () => {
+  const run = (bc, now, previous) => updateResort(cypress, bc, deps({ fetch: fakeFetch([meteo('open-meteo.mixed.json')]), ab: fakeAb(cypressSnaps()), now }), previous);
+  const first = await run(
+    { updatedOn: '2026-02-01', provincialPctMedian: 101, southCoastPctMedian: 90, lowerFraserPctMedian: 95 },
+    new Date('2026-02-02T14:25:00Z'),
+  );
+  assert.deepEqual(first.bcSnowpack.history, [{ date: '2026-02-01', provincial: 101, southCoast: 90, lowerFraser: 95, vancouverIsland: null }]);
+
+  // The same commentary read again adds nothing; a new one adds a point; a failed read keeps the series.
+  const again = await run({ updatedOn: '2026-02-01', provincialPctMedian: 101, southCoastPctMedian: 90, lowerFraserPctMedian: 95 }, new Date('2026-02-03T14:25:00Z'), first);
+  assert.equal(again.bcSnowpack.history.length, 1);
+  const next = await run({ updatedOn: '2026-02-18', provincialPctMedian: 94, southCoastPctMedian: 82, lowerFraserPctMedian: 88 }, new Date('2026-02-19T14:25:00Z'), again);
+  assert.deepEqual(next.bcSnowpack.history.map((p) => [p.date, p.southCoast]), [['2026-02-01', 90], ['2026-02-18', 82]]);
+  const failed = await run({ error: 'fetch failed' }, new Date('2026-02-20T14:25:00Z'), next);
+  assert.equal(failed.bcSnowpack.stale, true);
+  assert.equal(failed.bcSnowpack.history.length, 2);
+  assert.deepEqual(validateData(failed), []);
+});
+
+test('fetchBCSnowpack rejects on HTTP errors and unexpected content types', async () => {
+  await assert.rejects(
+    fetchBCSnowpack(deps({ fetch: fakeFetch([['snow-conditions-commentary', { status: 503, type: 'text/html', body: '' }]]) })),
+    /HTTP 503/,
+  );
+  await assert.rejects(
+    fetchBCSnowpack(deps({ fetch: fakeFetch([['snow-conditions-commentary', { type: 'application/pdf', body: '%PDF' }]]) })),
+    /unexpected content-type/,
+  );
+});
+
+test('scrapeReport falls back to agent-browser and snapshots each selector in one session', async () => {
+  const ab = fakeAb(cypressSnaps());
+  const { lifts, snow, providers } = await scrapeReport(cypress, deps({ ab }));
+  assert.deepEqual(lifts, { open: 5, total: 6, closed: 1 });
+  assert.equal(snow.baseDepthCm, 145);
+  assert.deepEqual(providers, { lifts: 'agent-browser', snow: 'agent-browser' });
+  assert.deepEqual(ab.calls.map((c) => c[0]), ['open', 'wait', 'snapshot', 'snapshot']);
+  assert.equal(ab.calls[0][1], cypress.report.url);
+});
+
+test('scrapeReport uses the plain-HTTP provider when the page embeds its data', async () => {
+  const ab = fakeAb(cypressSnaps());
+  const fetch = fakeFetch([[cypress.report.url, { type: 'text/html', body: fixture('cypress-report.next-data.html') }]]);
+  const { lifts, snow, providers } = await scrapeReport(cypress, deps({ fetch, ab }));
+  assert.deepEqual(lifts, { open: 4, total: 6, closed: 2 });
+  assert.equal(snow.snow7DaysCm, 22);
+  assert.deepEqual(providers, { lifts: 'http', snow: 'http' });
+  assert.equal(ab.calls.length, 0);
+});
+
+test('page layout changed: lift total falls back to the registry and the update still completes', async () => {
+  const d = deps({
+    fetch: fakeFetch([meteo('open-meteo.mixed.json')]),
+    ab: fakeAb({
+      '#lift-status': fixture('cypress-lift-status.redesigned.snapshot.txt'),
+      '#snow': fixture('cypress-snow.redesigned.snapshot.txt'),
+    }),
+  });
+  const out = await updateResort(cypress, null, d);
+  assert.deepEqual(out.current.lifts, { open: null, total: 6, closed: null, fetchedAt: null, stale: false });
+  assert.equal(out.current.snow.baseDepthCm, null);
+  assert.deepEqual(out.next.label, { key: 'verdict.day', params: { date: '2026-02-03' } });
+  assert.equal(en.message(out.next.label), 'Next good day: Tue, Feb 3');
+});
+
+test('partial source failure: forecast error is recorded and the verdict still resolves', async () => {
+  const d = deps({
+    fetch: fakeFetch([['api.open-meteo.com', { status: 500, body: 'oops' }]]),
+    ab: fakeAb(cypressSnaps()),
+  });
+  const out = await updateResort(cypress, { error: 'fetch failed' }, d);
+
+  assert.match(out.forecast.error, /open-meteo: HTTP 500/);
+  assert.equal(out.current.lifts.open, 5);
+  assert.equal(out.next.label, out.seasonal.label);
+  assert.equal(out.generatedAt, '2026-02-02T14:25:00.000Z');
+  assert.deepEqual(validateData(out), []);
+});
+
+test('every report provider failing still writes the forecast and records why', async () => {
+  const d = deps({ fetch: fakeFetch([meteo('open-meteo.mixed.json')]), ab: fakeAb({}) });
+  const out = await updateResort(cypress, null, d);
+  assert.deepEqual(out.current.providers, { lifts: null, snow: null });
+  assert.deepEqual(out.current.providerErrors.map((e) => e.provider), ['http', 'agent-browser']);
+  assert.match(out.current.providerErrors[1].error, /no element for #lift-status/);
+  assert.equal(out.forecast.days.length, 14);
+  assert.deepEqual(validateData(out), []);
+});
+
+test('DriveBC road events: a closure lands in the data file and rules out today', async () => {
+  const d = deps({
+    fetch: fakeFetch([meteo('open-meteo.mixed.json'), ['api.open511.gov.bc.ca', { body: jsonFixture('drivebc-events.json') }]]),
+    ab: fakeAb(cypressSnaps()),
+  });
+  const out = await updateResort(cypress, null, d);
+  assert.equal(out.road.closed, true);
+  assert.equal(out.road.events.length, 2);
+  assert.equal(out.road.stale, false);
+  assert.ok(out.next.reasons.map(en.message).includes('Excluded today: DriveBC reports Cypress Bowl Road closed.'));
+  assert.ok(out.sources.some((s) => s.label === 'DriveBC events (Cypress Bowl Road)'));
+  assert.deepEqual(validateData(out), []);
+
+  // A feed failure keeps the last events, marked stale; resorts without a road get null.
+  const later = await updateResort(cypress, null, deps({ fetch: fakeFetch([meteo('open-meteo.mixed.json')]), ab: fakeAb(cypressSnaps()) }), out);
+  assert.equal(later.road.stale, true);
+  assert.match(later.road.error, /drivebc: HTTP 404/);
+  assert.equal(later.road.events.length, 2);
+  // ...and a closure nobody could confirm this time no longer rules out today.
+  assert.ok(!later.next.reasons.map(en.message).includes('Excluded today: DriveBC reports Cypress Bowl Road closed.'));
+  assert.ok(later.next.reasons.map(en.message).some((r) => /closure may be over/.test(r)));
+  const grouse = await updateResort(getResort('grouse'), null, deps({ fetch: fakeFetch([meteo('open-meteo.mixed.json')]) }));
+  assert.equal(grouse.road, null);
+});
+
+test('failed sources fall back to the previous data file and are marked stale', async () => {
+  const first = await updateResort(cypress, { provincialPctMedian: 94, vancouverIslandPctMedian: 71 }, deps({
+    fetch: fakeFetch([meteo('open-meteo.mixed.json')]),
+    ab: fakeAb(cypressSnaps()),
+  }));
+  assert.equal(first.forecast.stale, false);
+  assert.equal(first.current.lifts.fetchedAt, '2026-02-02T14:25:00.000Z');
+
+  // Next morning nothing answers: report, forecast and BC all fail.
+  const out = await updateResort(cypress, { error: 'fetch failed' }, deps({
+    fetch: fakeFetch([['api.open-meteo.com', { status: 503, body: 'down' }]]),
+    ab: fakeAb({}),
+    now: new Date('2026-02-03T15:00:00Z'),
+  }), first);
+
+  assert.equal(out.current.lifts.open, 5);
+  assert.equal(out.current.lifts.stale, true);
+  assert.equal(out.current.lifts.fetchedAt, '2026-02-02T14:25:00.000Z');
+  assert.match(out.current.lifts.error, /agent-browser: .*no element/);
+  assert.equal(out.current.snow.stale, true);
+
+  assert.equal(out.forecast.stale, true);
+  assert.match(out.forecast.error, /open-meteo: HTTP 503/);
+  // Yesterday is dropped so days[0] is still today.
+  assert.equal(out.forecast.days[0].date, '2026-02-03');
+  assert.equal(out.forecast.days.length, 13);
+
+  assert.equal(out.bcSnowpack.provincialPctMedian, 94);
+  assert.equal(out.bcSnowpack.stale, true);
+  assert.equal(out.bcSnowpack.error, 'fetch failed');
+  assert.deepEqual(validateData(out), []);
+
+  // A third failing run keeps the original fetch time instead of the stale run's.
+  const again = await updateResort(cypress, { error: 'fetch failed' }, deps({
+    fetch: fakeFetch([]),
+    ab: fakeAb({}),
+    now: new Date('2026-02-03T21:00:00Z'),
+  }), out);
+  assert.equal(again.forecast.fetchedAt, '2026-02-02T14:25:00.000Z');
+  assert.equal(again.current.lifts.fetchedAt, '2026-02-02T14:25:00.000Z');
+});
@@ -0,0 +1,146 @@
+/*
+  <cypress-next>: the verdict as an embeddable web component, for wikis and dashboards.
+
+    <script type="module" src="https://<site>/widget.js"></script>
+    <cypress-next resort="grouse" lang="fr"></cypress-next>
+
+  Shows the headline and the 14-day stoke strip from the site's data file (next to this script, so
+  whatever deploy serves the script serves the data), and links back to the full page. Everything renders
+  in a shadow root with its own styles, so the host page's CSS can't reach in and ours can't leak out.
+  Attributes: resort (default: the site's default resort), lang (en/fr; default: the browser's language),
+  units (metric/imperial). build.mjs copies this file to dist/ as is.
+*/
+import { createFormatter, defaultLocale, normalizeLocale } from './i18n.js';
+
+const DAYS = 14;
+const STYLE = `
+:host{all:initial;display:block;max-width:420px;font:14px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#e8f0fc}
+:host([hidden]){display:none}
+a{color:inherit;text-decoration:none}
+.card{display:block;padding:12px 14px;border-radius:12px;background:#0f1e2e;border:1px solid rgba(147,197,253,.18)}
+.top{display:flex;justify-content:space-between;gap:8px;font-size:12px;color:#9cb3d4}
+.headline{margin:4px 0 10px;font-size:17px;font-weight:700}
+.pill{padding:2px 8px;border-radius:999px;font-size:11px;font-weight:700;letter-spacing:.06em;text-transform:uppercase}
+.strip{display:grid;grid-template-columns:repeat(${DAYS},1fr);gap:3px}
+.day{height:22px;border-radius:4px;background:#1c3047;color:#0c1824;font-size:10px;font-weight:700;display:flex;align-items:center;justify-content:center}
+.good{background:#6ee7b7}.meh{background:#fcd34d}.bad{background:#f87171}
+.pill.good,.pill.meh,.pill.bad{color:#0c1824}
+.muted{color:#9cb3d4}
+`;
+
+function dataUrl(file){
+  return new URL(file, import.meta.url).href;
+}
+
+async function loadJson(file){
+  const res = await fetch(dataUrl(file), { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`${file}: HTTP ${res.status}`);
+  return res.json();
+}
+
+// The resort's data file: data.json lists every resort and its file (see scripts/resorts.mjs).
+async function loadData(resort){
+  const data = await loadJson('data.json');
+  const entry = (data.resorts ?? []).find(r => r.id === resort);
+  return entry && entry.dataFile !== 'data.json' ? loadJson(entry.dataFile) : data;
+}
+
+class CypressNext extends HTMLElement {
+  static get observedAttributes(){
+    return ['resort', 'lang', 'units'];
+  }
+
+  constructor(){
+    super();
+    this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback(){
+    this.load();
+  }
+
+  attributeChangedCallback(){
+    if (this.isConnected) this.load();
+  }
+
+  formatter(){
+    const fallback = defaultLocale(navigator.language);
+    return createFormatter(normalizeLocale({
+      lang: this.getAttribute('lang') ?? fallback.lang,
+      units: this.getAttribute('units') ?? fallback.units,
+    }));
+  }
+
+  // Each load takes a token; when attributes change mid-fetch, only the latest load gets to render.
+  async load(){
+    const id = this.loadId = (this.loadId ?? 0) + 1;
+    const f = this.formatter();
+    try {
+      const data = await loadData(this.getAttribute('resort'));
+      if (id === this.loadId) this.render(data, f);
+    } catch (e) {
+      if (id !== this.loadId) return;
+      this.renderError(f);
+      console.warn('cypress-next:', e);
+    }
+  }
+
+  shell(){
+    this.shadowRoot.innerHTML = '';
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    const card = document.createElement('a');
+    card.className = 'card';
+    card.target = '_blank';
+    card.rel = 'noopener';
+    this.shadowRoot.append(style, card);
+    return card;
+  }
+
+  render(data, f){
+    const card = this.shell();
+    const page = new URL('./', import.meta.url);
+    if (this.getAttribute('resort') && data.resort?.id) page.searchParams.set('resort', data.resort.id);
+    if (f.lang !== 'en') page.searchParams.set('lang', f.lang);
+    card.href = page.href;
+
+    const top = document.createElement('div');
+    top.className = 'top';
+    const title = document.createElement('span');
+    title.textContent = `${data.resort?.shortName ?? 'Cypress'} · ${f.t('ui.title')}`;
+    const conf = data.next?.confidence ?? 'unknown';
+    const pill = document.createElement('span');
+    pill.className = `pill ${conf}`;
+    pill.textContent = f.t(`stoke.${conf}`);
+    top.append(title, pill);
+
+    const headline = document.createElement('div');
+    headline.className = 'headline';
+    headline.textContent = data.next?.label ? f.message(data.next.label) : f.t('ui.unknownVerdict');
+
+    const strip = document.createElement('div');
+    strip.className = 'strip';
+    strip.setAttribute('role', 'img');
+    strip.setAttribute('aria-label', f.t('ui.stokeAria'));
+    (data.forecast?.days ?? []).slice(0, DAYS).forEach(d => {
+      const cell = document.createElement('span');
+      cell.className = `day ${d.stoke ?? ''}`;
+      cell.textContent = String(Number(d.date.slice(8, 10)));
+      cell.title = f.t('ui.widgetDay', { date: f.date(d.date), stoke: f.t(`stoke.${d.stoke ?? 'unknown'}`) });
+      strip.appendChild(cell);
+    });
+
+    card.append(top, headline, strip);
+  }
+
+  renderError(f){
+    const card = this.shell();
+    card.href = new URL('./', import.meta.url).href;
+    const p = document.createElement('span');
+    p.className = 'muted';
+    p.textContent = f.t('ui.couldNotLoad');
+    card.appendChild(p);
+  }
+}
+
+if (!customElements.get('cypress-next')) customElements.define('cypress-next', CypressNext);